@@ -0,0 +1,134 @@
+#!/usr/bin/env node
+/**
+ * Annotates the games of a PGN file with engine evaluations, the best
+ * move after each error and ?!/?/?? marks.
+ *
+ * Usage: npm run annotate -- games.pgn [-o annotated.pgn] [--depth 14] [--engine /path/to/uci-engine]
+ */
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import { createNodeEngine } from '../src/node/engine-transports.js';
+import { parsePgn, exportPgn } from '../src/lib/pgn.js';
+import { getMainline } from '../src/lib/move-tree.js';
+import { toWhitePerspective } from '../src/lib/evaluation.js';
+import { evaluatePosition, reviewMove, summarizeReview } from '../src/lib/game-review.js';
+import { annotateTree } from '../src/lib/game-annotation.js';
+
+const USAGE = `Usage: annotate-pgn <input.pgn> [options]
+
+Options:
+  -o, --output <file>   Write the annotated PGN here instead of to stdout
+  -d, --depth <n>       Search depth per position (default 14)
+  -e, --engine <path>   UCI engine executable (default: the bundled stockfish package)
+      --build <name>    Bundled stockfish build: lite or full (default lite)
+  -h, --help            Show this help`;
+
+const { values: options, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    output: { type: 'string', short: 'o' },
+    depth: { type: 'string', short: 'd', default: '14' },
+    engine: { type: 'string', short: 'e' },
+    build: { type: 'string', default: 'lite' },
+    help: { type: 'boolean', short: 'h' }
+  }
+});
+
+/**
+ * Reviews the mainline of one game, like the in-app game review
+ */
+const reviewGame = async (engine, tree, depth, onPosition) => {
+  const nodes = [tree.nodes[tree.rootId], ...getMainline(tree)];
+  const uciMoves = nodes.slice(1).map(node => node.move.uci);
+  const positions = [];
+  const moves = [];
+
+  engine.newGame();
+  for (let ply = 0; ply < nodes.length; ply++) {
+    const node = nodes[ply];
+    const evaluation = await evaluatePosition(
+      (search) => engine.go(search),
+      { startFen: tree.startFen, moves: uciMoves.slice(0, ply), fen: node.fen, depth }
+    );
+    positions.push({
+      nodeId: node.id,
+      fen: node.fen,
+      ...evaluation,
+      whiteScore: toWhitePerspective(evaluation.score, node.fen.split(' ')[1])
+    });
+
+    if (ply > 0) {
+      const move = { ...node.move, nodeId: node.id };
+      moves.push({ ...move, ...reviewMove(move, positions[ply - 1], evaluation) });
+    }
+    onPosition(ply + 1, nodes.length);
+  }
+
+  return { positions, moves };
+};
+
+/**
+ * One line per side, e.g. "White: 91.2% accuracy, 1 ?!, 0 ?, 0 ??"
+ */
+const describeSummary = (summary) => [['w', 'White'], ['b', 'Black']].map(([color, name]) => {
+  const { accuracy, counts } = summary[color];
+  return `${name}: ${accuracy.toFixed(1)}% accuracy, ${counts.inaccuracy} ?!, ${counts.mistake} ?, ${counts.blunder} ??`;
+});
+
+const main = async () => {
+  if (options.help || positionals.length !== 1) {
+    console.error(USAGE);
+    process.exitCode = options.help ? 0 : 1;
+    return;
+  }
+
+  const depth = parseInt(options.depth, 10);
+  if (!(depth > 0)) {
+    throw new Error(`Invalid depth "${options.depth}"`);
+  }
+
+  const games = parsePgn(await readFile(positionals[0], 'utf8'));
+  if (!games.length) {
+    throw new Error(`No games found in ${positionals[0]}`);
+  }
+
+  const engine = createNodeEngine({ binary: options.engine, build: options.build });
+  try {
+    const { name } = await engine.uci();
+    await engine.isReady();
+    const annotator = name ?? options.engine ?? 'Stockfish';
+
+    const output = [];
+    for (const [index, game] of games.entries()) {
+      const label = `Game ${index + 1}/${games.length}`;
+      if (game.error) {
+        console.error(`${label}: ${game.error}; annotating the moves before it`);
+      }
+
+      const { positions, moves } = await reviewGame(engine, game.tree, depth, (done, total) => {
+        process.stderr.write(`\r${label}: position ${done}/${total}`);
+      });
+      process.stderr.write('\n');
+      describeSummary(summarizeReview(moves)).forEach(line => console.error(`  ${line}`));
+
+      const tree = annotateTree(game.tree, positions, moves);
+      output.push(exportPgn(tree, { ...game.headers, Annotator: `${annotator} (depth ${depth})` }));
+    }
+
+    const pgn = output.join('\n');
+    if (options.output) {
+      await writeFile(options.output, pgn);
+      console.error(`Wrote ${options.output}`);
+    } else {
+      process.stdout.write(pgn);
+    }
+  } finally {
+    engine.quit();
+  }
+};
+
+main().catch((error) => {
+  console.error(`annotate-pgn: ${error.message}`);
+  process.exitCode = 1;
+});
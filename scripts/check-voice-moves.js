@@ -0,0 +1,41 @@
+#!/usr/bin/env node
+/**
+ * Runs the spoken-move parser over recorded transcripts, no microphone
+ * needed. Each fixture gives what was heard, the position, and the move it
+ * should become (in SAN), or "ambiguous" / "invalid". A fixture with a
+ * `reply` answers the clarifying question of the first phrase.
+ *
+ * Usage: npm run check-voice [-- fixtures.json]
+ */
+
+import { readFile } from 'node:fs/promises';
+import { parseSpokenMove } from '../src/lib/voice-moves.js';
+
+const DEFAULT_FIXTURES = new URL('./fixtures/voice-moves.json', import.meta.url);
+
+/**
+ * What a parse result amounts to: the move's SAN, or its status
+ */
+const describeResult = (result) => result.status === 'ok' ? result.move.san : result.status;
+
+/**
+ * Parses one fixture's transcript, and its reply if it has one
+ */
+const runFixture = ({ text, fen, reply, autoQueen = false }) => {
+  const result = parseSpokenMove(text, fen, { autoQueen });
+  if (reply === undefined || result.status !== 'ambiguous') return result;
+  return parseSpokenMove(reply, fen, { candidates: result.candidates, autoQueen });
+};
+
+const fixtures = JSON.parse(await readFile(process.argv[2] ?? DEFAULT_FIXTURES, 'utf8'));
+const failures = fixtures.filter(fixture => {
+  const actual = describeResult(runFixture(fixture));
+  if (actual === fixture.expected) return false;
+
+  const heard = fixture.reply === undefined ? `"${fixture.text}"` : `"${fixture.text}", then "${fixture.reply}"`;
+  console.error(`✗ ${heard} in ${fixture.fen}: expected ${fixture.expected}, got ${actual}`);
+  return true;
+});
+
+console.log(`${fixtures.length - failures.length} of ${fixtures.length} transcripts parsed as expected`);
+process.exitCode = failures.length ? 1 : 0;
@@ -0,0 +1,206 @@
+#!/usr/bin/env node
+/**
+ * Relays UCI engines on this machine to the browser over WebSocket, so the
+ * app can play and analyze with Leela, Komodo or a local Stockfish build.
+ *
+ * Every connection to ws://localhost:<port>/engines/<id> starts its own
+ * engine process, which is stopped when the connection closes. Each text
+ * frame is one UCI line. GET /engines lists the configured engines.
+ *
+ * Usage: npm run bridge -- [--engine lc0=/usr/local/bin/lc0 ...] [--config engines.json] [--port 8765]
+ */
+
+import { readFile } from 'node:fs/promises';
+import { createServer } from 'node:http';
+import { basename } from 'node:path';
+import { parseArgs } from 'node:util';
+import { WebSocketServer } from 'ws';
+import { createProcessTransport, getPackageCommand } from '../src/node/engine-transports.js';
+
+const USAGE = `Usage: uci-bridge [options]
+
+Options:
+  -e, --engine <id=path>     Serve a UCI engine executable under an id; repeatable
+  -c, --config <file>        Read engines from a JSON file:
+                             { "engines": { "<id>": { "name": "...", "command": "...", "args": [] } } }
+  -p, --port <n>             Port to listen on (default 8765)
+      --host <address>       Address to listen on (default 127.0.0.1)
+      --allow-origin <url>   Also accept connections from pages at this origin; repeatable
+                             (pages on localhost are always accepted)
+  -h, --help                 Show this help
+
+With no engines configured, the full build of the stockfish package is served as "stockfish".`;
+
+const { values: options } = parseArgs({
+  options: {
+    engine: { type: 'string', short: 'e', multiple: true, default: [] },
+    config: { type: 'string', short: 'c' },
+    port: { type: 'string', short: 'p', default: '8765' },
+    host: { type: 'string', default: '127.0.0.1' },
+    'allow-origin': { type: 'string', multiple: true, default: [] },
+    help: { type: 'boolean', short: 'h' }
+  }
+});
+
+const LOCAL_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+// WebSocket close reasons are limited to 123 bytes
+const MAX_CLOSE_REASON = 120;
+
+/**
+ * Engines from the command line and the config file, by id
+ * @returns {Promise<Map<string, {name: string, command: string, args: Array<string>}>>}
+ */
+const loadEngines = async () => {
+  const engines = new Map();
+
+  if (options.config) {
+    const config = JSON.parse(await readFile(options.config, 'utf8'));
+    Object.entries(config.engines ?? {}).forEach(([id, engine]) => {
+      if (typeof engine.command !== 'string') {
+        throw new Error(`Engine "${id}" in ${options.config} has no command`);
+      }
+      engines.set(id, { name: engine.name ?? id, command: engine.command, args: engine.args ?? [] });
+    });
+  }
+
+  options.engine.forEach(entry => {
+    const separator = entry.indexOf('=');
+    const id = separator > 0 ? entry.slice(0, separator) : basename(entry);
+    const command = separator > 0 ? entry.slice(separator + 1) : entry;
+    engines.set(id, { name: id, command, args: [] });
+  });
+
+  if (!engines.size) {
+    engines.set('stockfish', { name: 'Stockfish 17.1', ...getPackageCommand('full') });
+  }
+
+  return engines;
+};
+
+/**
+ * Pages on this machine may connect, and those allowed explicitly. Requests
+ * without an Origin header don't come from a browser page.
+ */
+const isAllowedOrigin = (origin) => {
+  if (!origin) return true;
+  if (options['allow-origin'].includes(origin)) return true;
+  try {
+    return LOCAL_HOSTS.includes(new URL(origin).hostname);
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Relays one connection to a fresh engine process until either side goes away.
+ * An engine that exits on its own, cleanly or not, closes the socket with
+ * 1011 and the reason, so the page's pending commands fail instead of waiting.
+ */
+const relay = (socket, id, engine) => {
+  const transport = createProcessTransport(engine.command, engine.args);
+  console.log(`${id}: connected, started ${engine.command}`);
+
+  transport.onmessage = ({ data }) => {
+    if (socket.readyState === socket.OPEN) socket.send(data);
+  };
+  transport.onerror = ({ message }) => {
+    console.error(`${id}: ${message}`);
+    if (socket.readyState === socket.OPEN || socket.readyState === socket.CONNECTING) {
+      socket.close(1011, message.slice(0, MAX_CLOSE_REASON));
+    }
+  };
+
+  socket.on('message', (data) => {
+    String(data).split('\n').forEach(line => {
+      const command = line.trim();
+      if (command) transport.postMessage(command);
+    });
+  });
+  socket.on('close', () => {
+    transport.terminate();
+    console.log(`${id}: disconnected`);
+  });
+};
+
+/**
+ * Turns down a WebSocket upgrade with a plain HTTP response
+ */
+const refuseUpgrade = (socket, status, message) => {
+  socket.end(`HTTP/1.1 ${status} ${message}\r\nConnection: close\r\n\r\n`);
+};
+
+const main = async () => {
+  if (options.help) {
+    console.error(USAGE);
+    return;
+  }
+
+  const port = parseInt(options.port, 10);
+  if (!(port > 0 && port < 65536)) {
+    throw new Error(`Invalid port "${options.port}"`);
+  }
+
+  const engines = await loadEngines();
+
+  const server = createServer((request, response) => {
+    const { origin } = request.headers;
+    if (!isAllowedOrigin(origin)) {
+      response.writeHead(403).end();
+      return;
+    }
+
+    const { pathname } = new URL(request.url, 'http://localhost');
+    if (request.method !== 'GET' || pathname !== '/engines') {
+      response.writeHead(404).end();
+      return;
+    }
+
+    response.writeHead(200, {
+      'Content-Type': 'application/json',
+      ...(origin && { 'Access-Control-Allow-Origin': origin, Vary: 'Origin' })
+    });
+    response.end(JSON.stringify({
+      engines: [...engines].map(([id, { name }]) => ({ id, name }))
+    }));
+  });
+
+  const sockets = new WebSocketServer({ noServer: true });
+  server.on('upgrade', (request, socket, head) => {
+    if (!isAllowedOrigin(request.headers.origin)) {
+      refuseUpgrade(socket, 403, 'Forbidden');
+      return;
+    }
+
+    const { pathname } = new URL(request.url, 'http://localhost');
+    const match = pathname.match(/^\/engines\/([^/]+)$/);
+    let id = null;
+    try {
+      id = match && decodeURIComponent(match[1]);
+    } catch {
+      // Malformed escapes name no engine
+    }
+    if (!engines.has(id)) {
+      refuseUpgrade(socket, 404, 'Not Found');
+      return;
+    }
+
+    sockets.handleUpgrade(request, socket, head, (connection) => relay(connection, id, engines.get(id)));
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, options.host, resolve);
+  });
+
+  const host = LOCAL_HOSTS.includes(options.host) ? 'localhost' : options.host;
+  console.log(`UCI bridge listening on ws://${host}:${port}`);
+  engines.forEach((engine, id) => {
+    console.log(`  ws://${host}:${port}/engines/${encodeURIComponent(id)}  ${engine.name} (${engine.command})`);
+  });
+};
+
+main().catch((error) => {
+  console.error(`uci-bridge: ${error.message}`);
+  process.exitCode = 1;
+});
@@ -1,32 +1,106 @@
-import { useState } from 'react'
+import { useState, useEffect, useCallback } from 'react'
 import StockfishInterface from './components/StockfishInterface'
 import ChessGame from './components/ChessGame'
+import AnalysisBoard from './components/AnalysisBoard'
+import BoardEditor from './components/BoardEditor'
+import EngineMatch from './components/EngineMatch'
+import PuzzleTrainer from './components/PuzzleTrainer'
+import EnginePoolProvider from './components/EnginePoolProvider'
+import { DEFAULT_MAX_ENGINES } from './lib/engine-pool.js'
+import { loadPreference, savePreference } from './lib/preferences.js'
 import './App.css'
 
 function App() {
   const [activeComponent, setActiveComponent] = useState('chess')
+  const [gameSetup, setGameSetup] = useState(null)
+  const [analysisFen, setAnalysisFen] = useState(undefined)
+  const [maxEngines, setMaxEngines] = useState(() => loadPreference('maxEngines', DEFAULT_MAX_ENGINES))
+
+  useEffect(() => {
+    savePreference('maxEngines', maxEngines)
+  }, [maxEngines])
+
+  // Positions from the board editor start a fresh game with the player on move
+  const handlePlaySetup = (fen) => {
+    setGameSetup({
+      fen,
+      playerColor: fen.split(' ')[1] === 'w' ? 'white' : 'black'
+    })
+    setActiveComponent('chess')
+  }
+
+  const handleSetupStarted = useCallback(() => setGameSetup(null), [])
+
+  const handleAnalyzeSetup = (fen) => {
+    setAnalysisFen(fen)
+    setActiveComponent('analysis')
+  }
 
   return (
-    <div className="app">
-      <nav className="app-nav">
-        <button 
-          onClick={() => setActiveComponent('chess')}
-          className={activeComponent === 'chess' ? 'active' : ''}
-        >
-          Chess Game
-        </button>
-        <button 
-          onClick={() => setActiveComponent('interface')}
-          className={activeComponent === 'interface' ? 'active' : ''}
-        >
-          Engine Interface
-        </button>
-      </nav>
-      
-      <main className="app-main">
-        {activeComponent === 'chess' ? <ChessGame /> : <StockfishInterface />}
-      </main>
-    </div>
+    <EnginePoolProvider maxEngines={maxEngines}>
+      <div className="app">
+        <nav className="app-nav">
+          <button 
+            onClick={() => setActiveComponent('chess')}
+            className={activeComponent === 'chess' ? 'active' : ''}
+          >
+            Chess Game
+          </button>
+          <button 
+            onClick={() => setActiveComponent('analysis')}
+            className={activeComponent === 'analysis' ? 'active' : ''}
+          >
+            Analysis Board
+          </button>
+          <button 
+            onClick={() => setActiveComponent('editor')}
+            className={activeComponent === 'editor' ? 'active' : ''}
+          >
+            Board Editor
+          </button>
+          <button 
+            onClick={() => setActiveComponent('puzzles')}
+            className={activeComponent === 'puzzles' ? 'active' : ''}
+          >
+            Puzzles
+          </button>
+          <button 
+            onClick={() => setActiveComponent('match')}
+            className={activeComponent === 'match' ? 'active' : ''}
+          >
+            Engine Match
+          </button>
+          <button 
+            onClick={() => setActiveComponent('interface')}
+            className={activeComponent === 'interface' ? 'active' : ''}
+          >
+            Engine Interface
+          </button>
+          <label className="engine-limit" title="Most engines running at once; more urgent jobs go first">
+            Engines:
+            <select value={maxEngines} onChange={(e) => setMaxEngines(parseInt(e.target.value))}>
+              {[1, 2, 3, 4].map(count => (
+                <option key={count} value={count}>{count}</option>
+              ))}
+            </select>
+          </label>
+        </nav>
+        
+        <main className="app-main">
+          {activeComponent === 'chess' && (
+            <ChessGame
+              setup={gameSetup}
+              onSetupStarted={handleSetupStarted}
+            />
+          )}
+          {activeComponent === 'analysis' && <AnalysisBoard key={analysisFen} initialFen={analysisFen} />}
+          {activeComponent === 'editor' && <BoardEditor onPlay={handlePlaySetup} onAnalyze={handleAnalyzeSetup} />}
+          {activeComponent === 'puzzles' && <PuzzleTrainer />}
+          {activeComponent === 'match' && <EngineMatch />}
+          {activeComponent === 'interface' && <StockfishInterface />}
+        </main>
+      </div>
+    </EnginePoolProvider>
   )
 }
 
@@ -0,0 +1,198 @@
+import { useState, useEffect } from 'react';
+import { Chessboard } from 'react-chessboard';
+import { Chess, DEFAULT_POSITION, validateFen } from 'chess.js';
+import { useMultiPvAnalysis } from '../hooks/useMultiPvAnalysis.js';
+import { uciToMove, formatMoveLine } from '../lib/chess-utils.js';
+import { formatScore } from '../lib/evaluation.js';
+
+// One color per MultiPV line, best line first
+const LINE_COLORS = ['#2e86de', '#27ae60', '#f39c12', '#8e44ad', '#e74c3c'];
+
+// Delay between moves when playing a line out on the board
+const PREVIEW_STEP_MS = 700;
+
+/**
+ * Analysis board showing several engine lines for any position
+ */
+const AnalysisBoard = ({ initialFen = DEFAULT_POSITION }) => {
+  const [fen, setFen] = useState(initialFen);
+  const [fenHistory, setFenHistory] = useState([]);
+  const [fenInput, setFenInput] = useState(initialFen);
+  const [fenError, setFenError] = useState('');
+  const [lineCount, setLineCount] = useState(3);
+  const [orientation, setOrientation] = useState('white');
+  const [preview, setPreview] = useState(null);
+
+  const { engineLoaded, lines } = useMultiPvAnalysis(fen, lineCount);
+
+  // Step through the clicked line one move at a time
+  useEffect(() => {
+    if (!preview || preview.step >= preview.fens.length - 1) return;
+
+    const timer = setTimeout(() => {
+      setPreview(prev => prev && { ...prev, step: prev.step + 1 });
+    }, PREVIEW_STEP_MS);
+
+    return () => clearTimeout(timer);
+  }, [preview]);
+
+  const goToPosition = (nextFen) => {
+    setFenHistory(prev => [...prev, fen]);
+    setFen(nextFen);
+    setFenInput(nextFen);
+    setPreview(null);
+  };
+
+  const handleLoadFen = () => {
+    const candidate = fenInput.trim();
+    const result = validateFen(candidate);
+
+    if (!result.ok) {
+      setFenError(result.error);
+      return;
+    }
+
+    setFenError('');
+    goToPosition(candidate);
+  };
+
+  const handleUndo = () => {
+    if (!fenHistory.length) return;
+
+    const previous = fenHistory[fenHistory.length - 1];
+    setFenHistory(prev => prev.slice(0, -1));
+    setFen(previous);
+    setFenInput(previous);
+    setPreview(null);
+  };
+
+  const onPieceDrop = ({ sourceSquare, targetSquare }) => {
+    if (!targetSquare) return false;
+
+    try {
+      const game = new Chess(fen);
+      game.move({ from: sourceSquare, to: targetSquare, promotion: 'q' });
+      goToPosition(game.fen());
+      return true;
+    } catch {
+      return false;
+    }
+  };
+
+  // Build every intermediate position of a line so it can be played out
+  const handlePlayLine = (line) => {
+    const game = new Chess(fen);
+    const fens = [fen];
+
+    for (const uci of line.pv) {
+      try {
+        game.move(uciToMove(uci));
+        fens.push(game.fen());
+      } catch {
+        break;
+      }
+    }
+
+    setPreview({ multipv: line.multipv, fens, step: 0 });
+  };
+
+  const arrows = preview ? [] : lines
+    .filter(line => line.pv.length)
+    .map(line => {
+      const { from, to } = uciToMove(line.pv[0]);
+      return {
+        startSquare: from,
+        endSquare: to,
+        color: LINE_COLORS[(line.multipv - 1) % LINE_COLORS.length]
+      };
+    });
+
+  const boardPosition = preview ? preview.fens[preview.step] : fen;
+
+  return (
+    <div className="analysis-board">
+      <div className="game-info">
+        <div className="engine-controls">
+          <label>
+            Lines:
+            <select
+              value={lineCount}
+              onChange={(e) => setLineCount(parseInt(e.target.value))}
+              style={{marginLeft: '10px'}}
+            >
+              {[1, 2, 3, 4, 5].map(count => (
+                <option key={count} value={count}>{count}</option>
+              ))}
+            </select>
+          </label>
+        </div>
+
+        <button onClick={() => setOrientation(orientation === 'white' ? 'black' : 'white')}>
+          Flip Board
+        </button>
+
+        <button onClick={handleUndo} disabled={!fenHistory.length}>
+          Undo
+        </button>
+
+        <button onClick={() => goToPosition(DEFAULT_POSITION)} className="reset-btn">
+          Start Position
+        </button>
+      </div>
+
+      <div className="fen-loader">
+        <input
+          type="text"
+          value={fenInput}
+          onChange={(e) => setFenInput(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && handleLoadFen()}
+          placeholder="Paste a FEN"
+        />
+        <button onClick={handleLoadFen}>Load FEN</button>
+        {fenError && <div className="fen-error">{fenError}</div>}
+      </div>
+
+      <div className="board-area">
+        <div className="chessboard-container">
+          <Chessboard
+            options={{
+              position: boardPosition,
+              onPieceDrop: ({ sourceSquare, targetSquare }) => onPieceDrop({ sourceSquare, targetSquare }),
+              boardOrientation: orientation,
+              arrows,
+              allowDragging: !preview
+            }}
+          />
+        </div>
+
+        <div className="analysis-panel">
+          {!engineLoaded && <div className="analysis-placeholder">⏳ Loading engine...</div>}
+          {engineLoaded && !lines.length && <div className="analysis-placeholder">Analyzing...</div>}
+
+          {lines.map(line => (
+            <button
+              key={line.multipv}
+              className={`analysis-line ${preview?.multipv === line.multipv ? 'active' : ''}`}
+              onClick={() => handlePlayLine(line)}
+              style={{borderLeftColor: LINE_COLORS[(line.multipv - 1) % LINE_COLORS.length]}}
+            >
+              <div className="analysis-header">
+                <span className="analysis-score">{formatScore(line.score)}</span>
+                <span className="analysis-depth">Depth {line.depth}</span>
+              </div>
+              <div className="analysis-pv">{formatMoveLine(fen, line.san)}</div>
+            </button>
+          ))}
+
+          {preview && (
+            <button onClick={() => setPreview(null)} className="preview-return">
+              Back to position
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AnalysisBoard;
@@ -0,0 +1,29 @@
+import { formatScore } from '../lib/evaluation.js';
+import { formatMoveLine } from '../lib/chess-utils.js';
+
+/**
+ * Sidebar showing the engine's current evaluation, depth and principal variation
+ */
+const AnalysisPanel = ({ analysis }) => {
+  if (!analysis) {
+    return (
+      <div className="analysis-panel">
+        <div className="analysis-placeholder">Waiting for engine...</div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="analysis-panel">
+      <div className="analysis-header">
+        <span className="analysis-score">{formatScore(analysis.score)}</span>
+        <span className="analysis-depth">Depth {analysis.depth}</span>
+      </div>
+      <div className="analysis-pv">
+        {formatMoveLine(analysis.fen, analysis.pv)}
+      </div>
+    </div>
+  );
+};
+
+export default AnalysisPanel;
@@ -0,0 +1,203 @@
+import { useState } from 'react';
+import { Chessboard, ChessboardProvider, SparePiece } from 'react-chessboard';
+import { DEFAULT_POSITION } from 'chess.js';
+import { parseFen, buildFen, getSetupErrors, describePiece, EMPTY_POSITION } from '../lib/fen.js';
+
+const PIECE_TYPES = ['K', 'Q', 'R', 'B', 'N', 'P'];
+
+const CASTLING_RIGHTS = [
+  { right: 'K', label: 'White O-O' },
+  { right: 'Q', label: 'White O-O-O' },
+  { right: 'k', label: 'Black O-O' },
+  { right: 'q', label: 'Black O-O-O' }
+];
+
+/**
+ * Converts a square map into react-chessboard's position object
+ */
+const toBoardPosition = (placement) => {
+  return Object.fromEntries(
+    Object.entries(placement).map(([square, pieceType]) => [square, { pieceType }])
+  );
+};
+
+/**
+ * Board editor for setting up arbitrary positions by dragging pieces from a
+ * palette or by typing a FEN
+ */
+const BoardEditor = ({ onPlay, onAnalyze }) => {
+  const [setup, setSetup] = useState(() => parseFen(DEFAULT_POSITION));
+  const [orientation, setOrientation] = useState('white');
+  const [fenInput, setFenInput] = useState(DEFAULT_POSITION);
+  const [fenInputError, setFenInputError] = useState('');
+
+  const fen = buildFen(setup);
+  const errors = getSetupErrors(fen);
+
+  const updateSetup = (changes) => {
+    const next = { ...setup, ...changes };
+    setSetup(next);
+    setFenInput(buildFen(next));
+    setFenInputError('');
+  };
+
+  const loadFen = (text) => {
+    try {
+      const parsed = parseFen(text);
+      setSetup(parsed);
+      setFenInput(buildFen(parsed));
+      setFenInputError('');
+    } catch (error) {
+      setFenInputError(error.message);
+    }
+  };
+
+  // Pieces dragged off the board are removed; palette pieces are added
+  const onPieceDrop = ({ piece, sourceSquare, targetSquare }) => {
+    const placement = { ...setup.placement };
+
+    if (!piece.isSparePiece) {
+      delete placement[sourceSquare];
+    }
+    if (targetSquare) {
+      placement[targetSquare] = piece.pieceType;
+    }
+
+    updateSetup({ placement });
+    return true;
+  };
+
+  const onSquareRightClick = ({ square }) => {
+    if (!setup.placement[square]) return;
+
+    const placement = { ...setup.placement };
+    delete placement[square];
+    updateSetup({ placement });
+  };
+
+  const toggleCastling = (right) => {
+    const rights = setup.castling.replace('-', '');
+    const next = rights.includes(right) ? rights.replace(right, '') : rights + right;
+    // Keep the KQkq order FEN requires
+    const ordered = 'KQkq'.split('').filter(r => next.includes(r)).join('');
+    updateSetup({ castling: ordered || '-' });
+  };
+
+  const enPassantRank = setup.turn === 'w' ? 6 : 3;
+  const enPassantOptions = 'abcdefgh'.split('').map(file => `${file}${enPassantRank}`);
+
+  const renderPalette = (color) => (
+    <div className="editor-palette">
+      {PIECE_TYPES.map(type => (
+        <div key={type} className="editor-palette-piece" title={describePiece(`${color}${type}`)}>
+          <SparePiece pieceType={`${color}${type}`} />
+        </div>
+      ))}
+    </div>
+  );
+
+  return (
+    <div className="board-editor">
+      <ChessboardProvider
+        options={{
+          position: toBoardPosition(setup.placement),
+          onPieceDrop,
+          onSquareRightClick,
+          boardOrientation: orientation,
+          allowDragOffBoard: true
+        }}
+      >
+        {renderPalette(orientation === 'white' ? 'b' : 'w')}
+        <div className="chessboard-container">
+          <Chessboard />
+        </div>
+        {renderPalette(orientation === 'white' ? 'w' : 'b')}
+      </ChessboardProvider>
+
+      <p className="editor-hint">Drag pieces from the palettes; drag a piece off the board or right-click it to remove it.</p>
+
+      <div className="game-info">
+        <div className="engine-controls">
+          <label>
+            Side to move:
+            <select
+              value={setup.turn}
+              onChange={(e) => updateSetup({ turn: e.target.value, enPassant: '-' })}
+              style={{marginLeft: '10px'}}
+            >
+              <option value="w">White</option>
+              <option value="b">Black</option>
+            </select>
+          </label>
+        </div>
+
+        <div className="engine-controls">
+          {CASTLING_RIGHTS.map(({ right, label }) => (
+            <label key={right} style={{marginRight: '10px'}}>
+              <input
+                type="checkbox"
+                checked={setup.castling.includes(right)}
+                onChange={() => toggleCastling(right)}
+                style={{marginRight: '4px'}}
+              />
+              {label}
+            </label>
+          ))}
+        </div>
+
+        <div className="engine-controls">
+          <label>
+            En passant:
+            <select
+              value={setup.enPassant}
+              onChange={(e) => updateSetup({ enPassant: e.target.value })}
+              style={{marginLeft: '10px'}}
+            >
+              <option value="-">None</option>
+              {enPassantOptions.map(square => (
+                <option key={square} value={square}>{square}</option>
+              ))}
+            </select>
+          </label>
+        </div>
+      </div>
+
+      <div className="game-info">
+        <button onClick={() => loadFen(DEFAULT_POSITION)}>Start Position</button>
+        <button onClick={() => loadFen(EMPTY_POSITION)}>Clear Board</button>
+        <button onClick={() => setOrientation(orientation === 'white' ? 'black' : 'white')}>
+          Flip Board
+        </button>
+      </div>
+
+      <div className="fen-loader">
+        <input
+          type="text"
+          value={fenInput}
+          onChange={(e) => setFenInput(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && loadFen(fenInput)}
+          placeholder="Paste a FEN"
+        />
+        <button onClick={() => loadFen(fenInput)}>Load FEN</button>
+        {fenInputError && <div className="fen-error">{fenInputError}</div>}
+      </div>
+
+      {errors.length > 0 && (
+        <ul className="editor-errors">
+          {errors.map(error => <li key={error}>{error}</li>)}
+        </ul>
+      )}
+
+      <div className="game-info">
+        <button onClick={() => onPlay(fen)} disabled={errors.length > 0} className="reset-btn">
+          Play vs Engine
+        </button>
+        <button onClick={() => onAnalyze(fen)} disabled={errors.length > 0}>
+          Open in Analysis
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default BoardEditor;
@@ -0,0 +1,33 @@
+import { formatClock } from '../lib/time-control.js';
+
+// Below this the running clock is shown in red
+const LOW_TIME_MS = 20 * 1000;
+
+/**
+ * Both players' clocks, the opponent's on top as on the board
+ */
+const ChessClocks = ({ clocks, activeColor, flagged, paused, orientation = 'white' }) => {
+  const renderClock = (color) => {
+    const classes = ['chess-clock'];
+    if (color === activeColor) classes.push('running');
+    if (color === activeColor && clocks[color] < LOW_TIME_MS) classes.push('low-time');
+    if (color === flagged) classes.push('flagged');
+
+    return (
+      <div className={classes.join(' ')} title={`${color === 'white' ? 'White' : 'Black'}'s clock`}>
+        <span className="chess-clock-side">{color === 'white' ? '♔' : '♚'}</span>
+        {formatClock(clocks[color])}
+      </div>
+    );
+  };
+
+  return (
+    <div className="chess-clocks">
+      {renderClock(orientation === 'white' ? 'black' : 'white')}
+      {paused && activeColor && <div className="chess-clock-paused">Paused</div>}
+      {renderClock(orientation)}
+    </div>
+  );
+};
+
+export default ChessClocks;
@@ -1,51 +1,433 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback, useRef } from 'react';
 import { Chessboard } from 'react-chessboard';
+import { DEFAULT_POSITION } from 'chess.js';
 import { useChessGame } from '../hooks/useChessGame.js';
 import { useStockfishEngine } from '../hooks/useStockfishEngine.js';
-import { isEnginesTurn, getRandomPlayerColor } from '../lib/chess-utils.js';
+import { useChessClock } from '../hooks/useChessClock.js';
+import { useGameReview } from '../hooks/useGameReview.js';
+import { useHints } from '../hooks/useHints.js';
+import { useEngineList } from '../hooks/useEngineList.js';
+import { useAnnouncer } from '../hooks/useAnnouncer.js';
+import { isEnginesTurn, getRandomPlayerColor, getTimeoutResult } from '../lib/chess-utils.js';
 import GameControls from './GameControls.jsx';
 import GameStatus from './GameStatus.jsx';
+import EvalBar from './EvalBar.jsx';
+import AnalysisPanel from './AnalysisPanel.jsx';
+import MoveList from './MoveList.jsx';
+import PgnPanel from './PgnPanel.jsx';
+import ChessClocks from './ChessClocks.jsx';
+import GameReport from './GameReport.jsx';
+import EvalGraph from './EvalGraph.jsx';
+import PromotionPicker from './PromotionPicker.jsx';
+import VoiceInput from './VoiceInput.jsx';
+import ResumeGamePrompt from './ResumeGamePrompt.jsx';
+import { exportPgn, formatPgnDate, getTreeResult } from '../lib/pgn.js';
+import { loadSavedGame, saveGame, clearSavedGame } from '../lib/game-storage.js';
+import { loadPreference, savePreference } from '../lib/preferences.js';
+import { getLineEnd, getPathToNode } from '../lib/move-tree.js';
+import { findOpening, formatOpening } from '../lib/openings.js';
+import { DEFAULT_BOOK_DEPTH, createPolyglotBook, getBuiltinBook } from '../lib/opening-book.js';
+import { createPuzzle, mergePuzzles } from '../lib/puzzles.js';
+import { loadPuzzles, savePuzzles } from '../lib/puzzle-storage.js';
+import { BUILTIN_ENGINE_ID } from '../lib/engine-registry.js';
+import { describeTimeControl, toPgnTimeControl, getEngineTimeLimits } from '../lib/time-control.js';
+import { DEFAULT_STRENGTH_LEVEL, CUSTOM_DEPTH_LEVEL, getStrengthLevel, describeStrengthLevel } from '../lib/strength-levels.js';
+import { buildMoveAnnouncement, describeGameEnd, describeClockWarning, CLOCK_WARNINGS_MS } from '../lib/announcements.js';
+
+const HINT_ARROW_COLOR = 'rgba(39, 174, 96, 0.85)';
+const THREAT_ARROW_COLOR = 'rgba(192, 57, 43, 0.85)';
+const HINT_SQUARE_STYLE = { boxShadow: 'inset 0 0 0 4px rgba(39, 174, 96, 0.85)' };
+
+const TIMEOUT_MESSAGES = {
+  '1-0': 'White wins on time!',
+  '0-1': 'Black wins on time!',
+  '1/2-1/2': "Draw: time ran out, but the opponent can't checkmate"
+};
 
 /**
- * Chess game component with Stockfish AI opponent
+ * Chess game component with Stockfish AI opponent.
+ * A `setup` ({ fen, playerColor }) from the board editor starts a new game;
+ * otherwise a game saved by an earlier visit is offered for resuming.
  */
-const ChessGame = () => {
+const ChessGame = ({ setup, onSetupStarted }) => {
   // Game configuration
-  const [playerColor, setPlayerColor] = useState(() => getRandomPlayerColor());
+  const [playerColor, setPlayerColor] = useState(() => setup?.playerColor ?? getRandomPlayerColor());
   const [engineDepth, setEngineDepth] = useState(10);
+  const [strengthLevel, setStrengthLevel] = useState(DEFAULT_STRENGTH_LEVEL);
+  const [showAnalysis, setShowAnalysis] = useState(false);
+  const [timeControl, setTimeControl] = useState(null);
+  const [pauseClocksWhenHidden, setPauseClocksWhenHidden] = useState(false);
+  const [showThreat, setShowThreat] = useState(false);
+  const [pieceFirstHints, setPieceFirstHints] = useState(false);
+  const [hintsUsed, setHintsUsed] = useState(0);
+  const [autoQueen, setAutoQueen] = useState(() => loadPreference('autoQueen', false));
+  const [announceMoves, setAnnounceMoves] = useState(() => loadPreference('announceMoves', false));
+  const [announceVerbosity, setAnnounceVerbosity] = useState(() => loadPreference('announceVerbosity', 'move'));
+  const [bookSource, setBookSource] = useState(() => loadPreference('bookSource', 'builtin'));
+  const [bookDepth, setBookDepth] = useState(() => loadPreference('bookDepth', DEFAULT_BOOK_DEPTH));
+  const [variety, setVariety] = useState(() => loadPreference('variety', 'low'));
+  const [engineId, setEngineId] = useState(() => loadPreference('gameEngine', BUILTIN_ENGINE_ID));
+  const [polyglotBook, setPolyglotBook] = useState(null);
+  const [bookError, setBookError] = useState('');
+  const [pendingPromotion, setPendingPromotion] = useState(null);
+  const [gameDate, setGameDate] = useState(() => new Date());
+  const [importedHeaders, setImportedHeaders] = useState(null);
+  const [savedGame, setSavedGame] = useState(() => setup ? null : loadSavedGame());
   
   // Chess game logic
   const {
     chessGame,
     chessPosition,
+    tree,
+    currentNodeId,
+    canGoBack,
+    canGoForward,
     moveFrom,
     setMoveFrom,
     optionSquares,
+    setOptionSquares,
     gameStatus,
+    opening,
     getMoveOptions,
     makeMove,
+    goToNode,
+    goBack,
+    goForward,
+    goToStart,
+    goToEnd,
     resetGame,
-    updateGameStatus,
-    updatePosition
-  } = useChessGame();
+    loadTree
+  } = useChessGame(setup?.fen);
   
-  // Stockfish engine
-  const { engineLoaded, isThinking, makeEngineMove } = useStockfishEngine(engineDepth);
+  // Opening book; a Polyglot file has to be chosen again after a reload
+  const book = { builtin: getBuiltinBook(), polyglot: polyglotBook }[bookSource] ?? null;
+
+  // The opponent: built-in Stockfish or an engine relayed by the UCI bridge
+  const { engines } = useEngineList();
+  const opponentName = engineId === BUILTIN_ENGINE_ID
+    ? 'Stockfish'
+    : engines.find(engine => engine.id === engineId)?.name ?? 'Engine';
+
+  const {
+    engineLoaded,
+    engineError,
+    isThinking,
+    makeEngineMove,
+    cancelEngineMove,
+    analysis,
+    startAnalysis,
+    stopAnalysis
+  } = useStockfishEngine(engineDepth, strengthLevel, { book, bookDepth, variety }, engineId);
+
+  // Clocks; their time control is the one the current game started with
+  const {
+    timeControl: gameTimeControl,
+    clocks,
+    activeColor,
+    flagged,
+    paused: clocksPaused,
+    getSnapshot,
+    press,
+    switchTo,
+    start: startClock,
+    stop: stopClock,
+    reset: resetClock
+  } = useChessClock(timeControl, { pauseWhenHidden: pauseClocksWhenHidden });
 
-  // Auto-play engine moves
+  // Post-game review, run in the background on the shared engines
+  const { review, startReview, cancelReview, clearReview } = useGameReview();
+
+  // Hints and threats, searched at full strength
+  const { hint, threat, isSearchingHint, requestHint, findThreat, clearThreat } = useHints();
+
+  // Announcements for screen readers, also spoken aloud when that's turned on
+  const { message: announcement, announce } = useAnnouncer(announceMoves);
+  const warnedClockRef = useRef(new Set());
+  // Node a takeback returned to; the next move played there becomes the game's line
+  const takebackNodeRef = useRef(null);
+
+  const hasMoves = tree.nodes[tree.rootId].children.length > 0;
+  const isPlayersTurn = !isEnginesTurn(playerColor, chessGame.turn());
+  const isGameOver = Boolean(flagged) || (!canGoForward && chessGame.isGameOver());
+  const timeoutResult = flagged
+    ? getTimeoutResult(tree.nodes[getLineEnd(tree, currentNodeId)].fen, flagged)
+    : null;
+
+  // The setup has been turned into this game; don't start it again on the next visit
   useEffect(() => {
-    if (isEnginesTurn(playerColor, chessGame.turn()) && engineLoaded && !chessGame.isGameOver() && !isThinking) {
+    if (setup) onSetupStarted?.();
+  }, [setup, onSetupStarted]);
+
+  // Keep the game saved so a reload or tab switch can resume it
+  const persistGame = useCallback(() => {
+    if (savedGame) return;
+
+    const isBlank = !hasMoves && tree.startFen === DEFAULT_POSITION;
+    if (isBlank || flagged || getTreeResult(tree) !== '*') {
+      clearSavedGame();
+      return;
+    }
+
+    saveGame({
+      tree,
+      currentNodeId,
+      settings: {
+        playerColor,
+        engineDepth,
+        strengthLevel,
+        showAnalysis,
+        timeControl: gameTimeControl,
+        pauseClocksWhenHidden,
+        showThreat,
+        pieceFirstHints
+      },
+      headers: importedHeaders,
+      startedAt: gameDate.toISOString(),
+      clocks: gameTimeControl ? getSnapshot() : null,
+      hintsUsed
+    });
+  }, [savedGame, hasMoves, flagged, tree, currentNodeId, playerColor, engineDepth, strengthLevel, showAnalysis,
+    gameTimeControl, pauseClocksWhenHidden, showThreat, pieceFirstHints, importedHeaders, gameDate, getSnapshot,
+    hintsUsed]);
+
+  // Saving again on the way out keeps the clocks up to date with the turn in progress
+  useEffect(() => {
+    persistGame();
+    window.addEventListener('pagehide', persistGame);
+    return () => {
+      window.removeEventListener('pagehide', persistGame);
+      persistGame();
+    };
+  }, [persistGame]);
+
+  // Play a move for the side on move, hand the clock to the other side and announce it.
+  // A move played where a takeback left the game replaces the taken-back line, so the
+  // record and the engine follow the game actually played.
+  const playMove = useCallback((from, to, promotion, { byEngine = false, whiteScore = null } = {}) => {
+    const mover = chessGame.turn() === 'w' ? 'white' : 'black';
+    const moveNumber = chessGame.moveNumber();
+    const mainline = !importedHeaders && currentNodeId === takebackNodeRef.current;
+    const move = makeMove(from, to, promotion, { mainline });
+    if (move) {
+      takebackNodeRef.current = null;
+      press(mover);
+      // Replaying the taken-back move carries on past the engine's old reply
+      if (chessGame.turn() === move.color) {
+        switchTo(mover);
+      }
+      announce(buildMoveAnnouncement(move, { verbosity: announceVerbosity, byEngine, whiteScore, moveNumber }));
+    }
+    return Boolean(move);
+  }, [chessGame, importedHeaders, currentNodeId, makeMove, press, switchTo, announce, announceVerbosity]);
+
+  // Auto-play engine moves, only at the end of a line so browsing old moves doesn't branch
+  useEffect(() => {
+    if (isEnginesTurn(playerColor, chessGame.turn()) && engineLoaded && !engineError && !chessGame.isGameOver() && !isThinking && !canGoForward && !savedGame && !flagged) {
       // Delay engine move slightly for better UX
       const timer = setTimeout(() => {
-        makeEngineMove(chessGame, updatePosition);
+        const timeLimits = gameTimeControl ? getEngineTimeLimits(getSnapshot(), gameTimeControl) : undefined;
+        makeEngineMove(chessGame, ({ from, to, promotion }, { whiteScore }) => {
+          playMove(from, to, promotion, { byEngine: true, whiteScore });
+        }, timeLimits);
       }, 500);
       
       return () => clearTimeout(timer);
     }
-  }, [chessPosition, playerColor, engineLoaded, isThinking, makeEngineMove, chessGame, updatePosition]);
+  }, [chessPosition, playerColor, engineLoaded, engineError, isThinking, canGoForward, savedGame, flagged,
+    gameTimeControl, getSnapshot, makeEngineMove, chessGame, playMove]);
+
+  // Checkmate or a draw on the board stops the clocks
+  useEffect(() => {
+    if (!canGoForward && chessGame.isGameOver()) {
+      stopClock();
+    }
+  }, [chessPosition, canGoForward, chessGame, stopClock]);
+
+  // Once a flag falls the engine has nothing left to play
+  useEffect(() => {
+    if (flagged) cancelEngineMove();
+  }, [flagged, cancelEngineMove]);
+
+  // Announce the end of the game once, when it's reached
+  const gameEndMessage = timeoutResult
+    ? TIMEOUT_MESSAGES[timeoutResult]
+    : isGameOver ? describeGameEnd(chessGame) : '';
+  useEffect(() => {
+    if (gameEndMessage) announce(gameEndMessage);
+  }, [gameEndMessage, announce]);
+
+  // Puzzles found by a finished review go to the puzzle trainer; a position
+  // that is already there is not added twice
+  useEffect(() => {
+    if (review?.status !== 'done' || !review.puzzles.length) return;
+
+    const game = importedHeaders
+      ? { white: importedHeaders.White ?? '?', black: importedHeaders.Black ?? '?', date: importedHeaders.Date ?? '????.??.??' }
+      : {
+          white: playerColor === 'white' ? 'Player' : opponentName,
+          black: playerColor === 'black' ? 'Player' : opponentName,
+          date: formatPgnDate(gameDate)
+        };
+    savePuzzles(mergePuzzles(loadPuzzles(), review.puzzles.map(candidate => createPuzzle(candidate, game))));
+  }, [review, importedHeaders, playerColor, gameDate, opponentName]);
+
+  // Warn as the player's clock runs low; a threshold counts again once the
+  // clock is back above it, e.g. after a takeback or a new game
+  useEffect(() => {
+    if (!gameTimeControl || flagged) return;
+
+    const remaining = clocks[playerColor];
+    const warned = warnedClockRef.current;
+    const thresholds = CLOCK_WARNINGS_MS.filter(threshold => threshold < gameTimeControl.baseMs);
+    thresholds.filter(threshold => remaining > threshold).forEach(threshold => warned.delete(threshold));
+
+    const crossed = thresholds.filter(threshold => remaining <= threshold && !warned.has(threshold));
+    if (crossed.length) {
+      crossed.forEach(threshold => warned.add(threshold));
+      announce(describeClockWarning(Math.min(...crossed)), { interrupt: true });
+    }
+  }, [clocks, playerColor, gameTimeControl, flagged, announce]);
+
+  // Leaving a position drops the engine's pending move for it
+  useEffect(() => {
+    return () => cancelEngineMove();
+  }, [chessPosition, cancelEngineMove]);
+
+  // Keyboard navigation through the move list
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return;
+
+      const actions = {
+        ArrowLeft: () => goBack(),
+        ArrowRight: goForward,
+        ArrowUp: goToStart,
+        Home: goToStart,
+        ArrowDown: goToEnd,
+        End: goToEnd
+      };
+
+      if (actions[e.key]) {
+        e.preventDefault();
+        actions[e.key]();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [goBack, goForward, goToStart, goToEnd]);
+
+  // Analyze in the background while the player is thinking
+  useEffect(() => {
+    if (!showAnalysis || !engineLoaded || flagged || chessGame.isGameOver() || isEnginesTurn(playerColor, chessGame.turn())) {
+      return;
+    }
+
+    startAnalysis(chessPosition);
+    return () => stopAnalysis();
+  }, [showAnalysis, engineLoaded, flagged, chessPosition, playerColor, chessGame, startAnalysis, stopAnalysis]);
+
+  // Keep the opponent's threat up to date while it's the player's move
+  useEffect(() => {
+    if (!showThreat || !isPlayersTurn || isGameOver || savedGame) return;
+
+    findThreat(chessPosition);
+    return () => clearThreat();
+  }, [showThreat, isPlayersTurn, isGameOver, savedGame, chessPosition, findThreat, clearThreat]);
+
+  // Hints are counted once per position; revealing the move after the piece is free
+  const handleHint = async () => {
+    const isNewHint = await requestHint(chessPosition, { pieceFirst: pieceFirstHints });
+    if (isNewHint) {
+      setHintsUsed(count => count + 1);
+    }
+  };
+
+  // Hint and threat markings for the position on the board
+  const arrows = [];
+  let squareStyles = optionSquares;
+  if (hint?.fen === chessPosition) {
+    if (hint.level === 'move') {
+      arrows.push({ startSquare: hint.from, endSquare: hint.to, color: HINT_ARROW_COLOR });
+    } else {
+      squareStyles = { ...optionSquares, [hint.from]: { ...optionSquares[hint.from], ...HINT_SQUARE_STYLE } };
+    }
+  }
+  if (showThreat && isPlayersTurn && threat?.fen === chessPosition) {
+    arrows.push({ startSquare: threat.from, endSquare: threat.to, color: THREAT_ARROW_COLOR });
+  }
+
+  useEffect(() => {
+    savePreference('autoQueen', autoQueen);
+  }, [autoQueen]);
+
+  useEffect(() => {
+    savePreference('bookSource', bookSource);
+    savePreference('bookDepth', bookDepth);
+    savePreference('variety', variety);
+  }, [bookSource, bookDepth, variety]);
+
+  useEffect(() => {
+    savePreference('gameEngine', engineId);
+  }, [engineId]);
+
+  const handleBookFile = async (file) => {
+    try {
+      setPolyglotBook(createPolyglotBook(await file.arrayBuffer(), file.name));
+      setBookSource('polyglot');
+      setBookError('');
+    } catch (error) {
+      setBookError(error.message);
+    }
+  };
+
+  useEffect(() => {
+    savePreference('announceMoves', announceMoves);
+    savePreference('announceVerbosity', announceVerbosity);
+  }, [announceMoves, announceVerbosity]);
+
+  // A promotion chosen for a position that's gone no longer applies
+  useEffect(() => {
+    setPendingPromotion(null);
+  }, [chessPosition]);
+
+  // Plays a move, first asking which piece to promote to unless auto-queen is on
+  const tryMove = (from, to) => {
+    const isPromotion = chessGame.moves({ square: from, verbose: true })
+      .some(move => move.to === to && move.promotion);
+
+    if (isPromotion && !autoQueen) {
+      setPendingPromotion({ from, to, color: chessGame.turn() });
+      setOptionSquares({});
+      return false;
+    }
+    return playMove(from, to, isPromotion ? 'q' : undefined);
+  };
+
+  const handlePromotionSelect = (piece) => {
+    const { from, to } = pendingPromotion;
+    setPendingPromotion(null);
+    if (playMove(from, to, piece)) {
+      setMoveFrom('');
+    }
+  };
+
+  const handlePromotionCancel = useCallback(() => {
+    setPendingPromotion(null);
+    setMoveFrom('');
+  }, [setMoveFrom]);
+
+  // Moves from voice or typed phrases arrive fully specified, promotion included
+  const handleVoiceMove = ({ from, to, promotion }) => {
+    if (playMove(from, to, promotion)) {
+      setMoveFrom('');
+    }
+  };
 
   // Handle square clicks
   const onSquareClick = ({ square, piece }) => {
+    if (flagged) return;
+
     // Piece clicked to move - if no moveFrom and there's a piece, try to select it
     if (!moveFrom && piece) {
       const hasMoveOptions = getMoveOptions(square);
@@ -70,7 +452,7 @@ const ChessGame = () => {
     }
 
     // Make the move
-    const success = makeMove(moveFrom, square);
+    const success = tryMove(moveFrom, square);
     if (success) {
       setMoveFrom('');
     }
@@ -86,49 +468,256 @@ const ChessGame = () => {
 
   // Handle piece drops (drag and drop)
   const onPieceDrop = ({ sourceSquare, targetSquare }) => {
-    const success = makeMove(sourceSquare, targetSquare);
+    if (flagged) return false;
+
+    const success = tryMove(sourceSquare, targetSquare);
     if (success) {
       setMoveFrom('');
     }
     return success;
   };
 
+  // Take back the last move pair, or just the player's move if the engine hasn't replied yet
+  const handleTakeback = () => {
+    cancelEngineMove();
+    takebackNodeRef.current = goBack(isEnginesTurn(playerColor, chessGame.turn()) ? 1 : 2);
+    switchTo(chessGame.turn() === 'w' ? 'white' : 'black');
+  };
+
+  // A new time control can't change a game in progress
+  const handleTimeControlChange = (nextTimeControl) => {
+    setTimeControl(nextTimeControl);
+    if (!hasMoves) {
+      resetClock(nextTimeControl);
+    }
+  };
+
+  // PGN of the current game; imported games keep their own tags
+  const getPgn = () => {
+    // The level goes into the record so results can be compared against a known strength.
+    // It is locked once the game has moves, so it is the level that played all of them.
+    const level = getStrengthLevel(strengthLevel);
+    const engineName = strengthLevel === CUSTOM_DEPTH_LEVEL && gameTimeControl
+      ? opponentName
+      : `${opponentName} (${describeStrengthLevel(strengthLevel, engineDepth)})`;
+    const engineElo = level?.elo ? String(level.elo) : undefined;
+    const gameOpening = findOpening(getPathToNode(tree, getLineEnd(tree, tree.rootId)).map(node => node.fen));
+    const headers = importedHeaders ?? {
+      Event: 'Casual game',
+      Site: 'chess-experiments',
+      Date: formatPgnDate(gameDate),
+      Round: '-',
+      White: playerColor === 'white' ? 'Player' : engineName,
+      Black: playerColor === 'black' ? 'Player' : engineName,
+      TimeControl: toPgnTimeControl(gameTimeControl),
+      Hints: String(hintsUsed),
+      ...(engineElo && { [playerColor === 'white' ? 'BlackElo' : 'WhiteElo']: engineElo }),
+      ...(gameOpening && { ECO: gameOpening.eco, Opening: gameOpening.name }),
+      ...(timeoutResult && { Result: timeoutResult, Termination: 'time forfeit' })
+    };
+    return exportPgn(tree, headers);
+  };
+
+  // Load an imported game at its first position for review
+  const handleLoadGame = ({ tree: importedTree, headers }) => {
+    cancelEngineMove();
+    clearReview();
+    setImportedHeaders(headers);
+    loadTree(importedTree);
+    resetClock(null);
+  };
+
+  // Restore the saved game with the settings it was played with
+  const handleResume = () => {
+    const { tree: savedTree, currentNodeId: savedNodeId, settings, headers, startedAt, clocks: savedClocks } = savedGame;
+    setPlayerColor(settings.playerColor);
+    setEngineDepth(settings.engineDepth);
+    setStrengthLevel(settings.strengthLevel);
+    setShowAnalysis(Boolean(settings.showAnalysis));
+    setTimeControl(settings.timeControl);
+    setPauseClocksWhenHidden(Boolean(settings.pauseClocksWhenHidden));
+    setShowThreat(Boolean(settings.showThreat));
+    setPieceFirstHints(Boolean(settings.pieceFirstHints));
+    setHintsUsed(savedGame.hintsUsed);
+    resetClock(settings.timeControl, savedClocks);
+    if (savedClocks?.active) {
+      startClock(savedClocks.active);
+    }
+    setImportedHeaders(headers ?? null);
+    setGameDate(new Date(startedAt));
+    clearReview();
+    loadTree(savedTree, savedTree.nodes[savedNodeId] ? savedNodeId : savedTree.rootId);
+    setSavedGame(null);
+  };
+
+  const handleDiscardSaved = () => {
+    clearSavedGame();
+    setSavedGame(null);
+  };
+
   // Handle new game
   const handleNewGame = () => {
+    cancelEngineMove();
+    clearReview();
+    setImportedHeaders(null);
+    setGameDate(new Date());
+    setHintsUsed(0);
     resetGame();
+    resetClock(timeControl);
     setPlayerColor(getRandomPlayerColor());
   };
 
   return (
     <div className="chess-game">
+      {savedGame && (
+        <ResumeGamePrompt
+          savedGame={savedGame}
+          onResume={handleResume}
+          onStartNew={handleDiscardSaved}
+        />
+      )}
+
       <GameControls 
         playerColor={playerColor}
         setPlayerColor={setPlayerColor}
         engineDepth={engineDepth}
         setEngineDepth={setEngineDepth}
+        strengthLevel={strengthLevel}
+        setStrengthLevel={setStrengthLevel}
+        strengthLocked={hasMoves}
+        autoQueen={autoQueen}
+        setAutoQueen={setAutoQueen}
+        timeControl={timeControl}
+        setTimeControl={handleTimeControlChange}
+        timeControlPending={describeTimeControl(timeControl) !== describeTimeControl(gameTimeControl)}
+        pauseClocksWhenHidden={pauseClocksWhenHidden}
+        setPauseClocksWhenHidden={setPauseClocksWhenHidden}
         onNewGame={handleNewGame}
+        onTakeback={handleTakeback}
+        canTakeback={canGoBack}
+        showAnalysis={showAnalysis}
+        setShowAnalysis={setShowAnalysis}
+        onHint={handleHint}
+        canHint={isPlayersTurn && !isGameOver && !canGoForward}
+        isSearchingHint={isSearchingHint}
+        hintsUsed={hintsUsed}
+        pieceFirstHints={pieceFirstHints}
+        setPieceFirstHints={setPieceFirstHints}
+        showThreat={showThreat}
+        setShowThreat={setShowThreat}
+        announceMoves={announceMoves}
+        setAnnounceMoves={setAnnounceMoves}
+        announceVerbosity={announceVerbosity}
+        setAnnounceVerbosity={setAnnounceVerbosity}
+        bookSource={bookSource}
+        setBookSource={setBookSource}
+        polyglotBookName={polyglotBook?.name}
+        onBookFile={handleBookFile}
+        bookError={bookError}
+        bookDepth={bookDepth}
+        setBookDepth={setBookDepth}
+        variety={variety}
+        setVariety={setVariety}
+        engines={engines}
+        engineId={engineId}
+        setEngineId={setEngineId}
+        engineError={engineError}
       />
+
+      <div className="visually-hidden" role="status" aria-live="polite" aria-atomic="true">
+        <span key={announcement.id}>{announcement.text}</span>
+      </div>
       
-      <div className="chessboard-container">
-        <Chessboard 
-          options={{
-            position: chessPosition,
-            onSquareClick: ({ piece, square }) => onSquareClick({ square, piece }),
-            onPieceDrag: ({ square }) => onPieceDrag({ sourceSquare: square }),
-            onPieceDrop: ({ sourceSquare, targetSquare }) => onPieceDrop({ sourceSquare, targetSquare }),
-            squareStyles: optionSquares,
-            boardOrientation: playerColor,
-            allowDrawingArrows: false
-          }}
-        />
+      <div className="opening-name">{formatOpening(opening)}</div>
+
+      <div className="board-area">
+        {showAnalysis && <EvalBar score={analysis?.score} orientation={playerColor} />}
+
+        <div className="chessboard-container">
+          <Chessboard 
+            options={{
+              position: chessPosition,
+              onSquareClick: ({ piece, square }) => onSquareClick({ square, piece }),
+              onPieceDrag: ({ square }) => onPieceDrag({ sourceSquare: square }),
+              onPieceDrop: ({ sourceSquare, targetSquare }) => onPieceDrop({ sourceSquare, targetSquare }),
+              squareStyles,
+              arrows,
+              boardOrientation: playerColor,
+              allowDragging: !flagged,
+              allowDrawingArrows: false
+            }}
+          />
+          {pendingPromotion && (
+            <PromotionPicker
+              square={pendingPromotion.to}
+              color={pendingPromotion.color}
+              orientation={playerColor}
+              onSelect={handlePromotionSelect}
+              onCancel={handlePromotionCancel}
+            />
+          )}
+        </div>
+
+        {gameTimeControl && (
+          <ChessClocks
+            clocks={clocks}
+            activeColor={activeColor}
+            flagged={flagged}
+            paused={clocksPaused}
+            orientation={playerColor}
+          />
+        )}
+
+        {showAnalysis && <AnalysisPanel analysis={analysis} />}
       </div>
+
+      <VoiceInput
+        fen={chessPosition}
+        enabled={isPlayersTurn && !isGameOver && !savedGame}
+        autoQueen={autoQueen}
+        onMove={handleVoiceMove}
+      />
+
+      {review && (
+        <EvalGraph
+          positions={review.positions}
+          moves={review.moves}
+          total={review.total}
+          currentNodeId={currentNodeId}
+          onSelect={goToNode}
+        />
+      )}
+
+      <MoveList
+        tree={tree}
+        currentNodeId={currentNodeId}
+        onSelect={goToNode}
+        onStart={goToStart}
+        onBack={() => goBack()}
+        onForward={goForward}
+        onEnd={goToEnd}
+        canGoBack={canGoBack}
+        canGoForward={canGoForward}
+      />
+
+      <PgnPanel getPgn={getPgn} onLoadGame={handleLoadGame} />
       
       <GameStatus 
         chessGame={chessGame}
-        gameStatus={gameStatus}
+        gameStatus={timeoutResult ? TIMEOUT_MESSAGES[timeoutResult] : gameStatus}
         isThinking={isThinking}
         engineLoaded={engineLoaded}
       />
+
+      <GameReport
+        review={review}
+        canReview={hasMoves}
+        isGameOver={isGameOver}
+        onStart={() => startReview(tree)}
+        onCancel={cancelReview}
+        onSelectMove={goToNode}
+        currentNodeId={currentNodeId}
+      />
     </div>
   );
 };
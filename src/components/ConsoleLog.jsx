@@ -0,0 +1,107 @@
+import { useState, useRef, useEffect, useLayoutEffect } from 'react';
+import { tokenizeInfoLine, formatLogTime } from '../lib/console-log.js';
+
+// Every row is one line high, so only the rows in view need rendering
+const ROW_HEIGHT = 20;
+const OVERSCAN_ROWS = 10;
+
+const INFO_FIELD_CLASSES = {
+  depth: 'text-sky-300',
+  seldepth: 'text-sky-300',
+  multipv: 'text-purple-300',
+  score: 'text-yellow-300',
+  wdl: 'text-yellow-200',
+  pv: 'text-gray-100',
+  currmove: 'text-gray-100',
+  refutation: 'text-gray-100',
+  currline: 'text-gray-100',
+  string: 'text-orange-300'
+};
+
+/**
+ * An `info` line with each field in its own color, and scores green or
+ * red by sign
+ */
+const InfoLine = ({ text }) => tokenizeInfoLine(text).map((token, index) => {
+  let className = token.keyword ? 'text-gray-500' : INFO_FIELD_CLASSES[token.field] ?? 'text-green-400';
+  if (token.field === 'score' && /^-?\d+$/.test(token.text)) {
+    className = token.text.startsWith('-') ? 'text-red-400' : 'text-green-300';
+  }
+  return <span key={index} className={className}>{index ? ' ' : ''}{token.text}</span>;
+});
+
+const LogText = ({ entry }) => {
+  if (entry.direction === 'sent') {
+    return <span className="text-cyan-300 font-semibold">{entry.text}</span>;
+  }
+  if (entry.text.startsWith('info')) {
+    return <InfoLine text={entry.text} />;
+  }
+  if (entry.text.startsWith('bestmove')) {
+    return <span className="text-yellow-300 font-semibold">{entry.text}</span>;
+  }
+  return <span className="text-green-400">{entry.text}</span>;
+};
+
+/**
+ * Virtualized view of the console log. It follows new lines while scrolled
+ * to the bottom and stays put once the user scrolls up.
+ */
+const ConsoleLog = ({ entries, emptyText }) => {
+  const containerRef = useRef(null);
+  const followRef = useRef(true);
+  const [scrollTop, setScrollTop] = useState(0);
+  const [viewportHeight, setViewportHeight] = useState(0);
+
+  useEffect(() => {
+    const container = containerRef.current;
+    const observer = new ResizeObserver(() => setViewportHeight(container.clientHeight));
+    observer.observe(container);
+    return () => observer.disconnect();
+  }, []);
+
+  useLayoutEffect(() => {
+    const container = containerRef.current;
+    if (followRef.current) {
+      container.scrollTop = container.scrollHeight;
+      setScrollTop(container.scrollTop);
+    }
+  }, [entries, viewportHeight]);
+
+  const handleScroll = () => {
+    const container = containerRef.current;
+    followRef.current = container.scrollTop + container.clientHeight >= container.scrollHeight - ROW_HEIGHT;
+    setScrollTop(container.scrollTop);
+  };
+
+  const first = Math.max(0, Math.floor(scrollTop / ROW_HEIGHT) - OVERSCAN_ROWS);
+  const last = Math.min(entries.length, Math.ceil((scrollTop + viewportHeight) / ROW_HEIGHT) + OVERSCAN_ROWS);
+
+  return (
+    <div
+      ref={containerRef}
+      onScroll={handleScroll}
+      className="h-full overflow-auto font-mono text-sm"
+      role="log"
+    >
+      {!entries.length && <div className="text-gray-500">{emptyText}</div>}
+      <div className="relative" style={{ height: entries.length * ROW_HEIGHT }}>
+        {entries.slice(first, last).map((entry, index) => (
+          <div
+            key={entry.id}
+            className="absolute left-0 whitespace-nowrap"
+            style={{ top: (first + index) * ROW_HEIGHT, height: ROW_HEIGHT, lineHeight: `${ROW_HEIGHT}px` }}
+          >
+            <span className="text-gray-600">{formatLogTime(entry.time)}</span>
+            <span className={entry.direction === 'sent' ? 'text-cyan-500' : 'text-gray-600'}>
+              {entry.direction === 'sent' ? ' > ' : ' < '}
+            </span>
+            <LogText entry={entry} />
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default ConsoleLog;
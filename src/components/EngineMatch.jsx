@@ -0,0 +1,279 @@
+import { useState } from 'react';
+import { Chessboard } from 'react-chessboard';
+import { useEngineMatch } from '../hooks/useEngineMatch.js';
+import { DEFAULT_MATCH_ENGINE, parseOpenings } from '../lib/engine-match.js';
+import PgnPanel from './PgnPanel.jsx';
+
+const SIDES = [
+  { side: 'a', title: 'Engine A' },
+  { side: 'b', title: 'Engine B' }
+];
+
+const TERMINATIONS = {
+  normal: '',
+  adjudication: 'move limit'
+};
+
+/**
+ * Formats an Elo difference, e.g. "+35" or "-∞"
+ */
+const formatElo = (elo) => {
+  if (!Number.isFinite(elo)) return elo > 0 ? '+∞' : '-∞';
+  return `${elo > 0 ? '+' : ''}${Math.round(elo)}`;
+};
+
+// Empty number fields mean "no limit"
+const parseOptional = (value) => {
+  const number = parseInt(value, 10);
+  return Number.isNaN(number) ? null : number;
+};
+
+/**
+ * Settings of one side of the match
+ */
+const EngineConfigForm = ({ title, config, onChange, disabled }) => {
+  const update = (changes) => onChange({ ...config, ...changes });
+
+  return (
+    <fieldset className="match-engine" disabled={disabled}>
+      <legend>{title}</legend>
+      <label>
+        Name
+        <input type="text" value={config.name} onChange={(e) => update({ name: e.target.value })} />
+      </label>
+      <label>
+        Depth
+        <input
+          type="number"
+          min="1"
+          max="30"
+          value={config.depth ?? ''}
+          placeholder="none"
+          onChange={(e) => update({ depth: parseOptional(e.target.value) })}
+        />
+      </label>
+      <label>
+        Nodes
+        <input
+          type="number"
+          min="1"
+          step="1000"
+          value={config.nodes ?? ''}
+          placeholder="none"
+          onChange={(e) => update({ nodes: parseOptional(e.target.value) })}
+        />
+      </label>
+      <label>
+        Skill Level
+        <input
+          type="number"
+          min="0"
+          max="20"
+          value={config.skillLevel}
+          onChange={(e) => update({ skillLevel: parseOptional(e.target.value) ?? 20 })}
+        />
+      </label>
+      <label>
+        Elo
+        <input
+          type="number"
+          min="1320"
+          max="3190"
+          step="50"
+          value={config.elo ?? ''}
+          placeholder="full strength"
+          onChange={(e) => update({ elo: parseOptional(e.target.value) })}
+        />
+      </label>
+      <label>
+        Hash (MB)
+        <input
+          type="number"
+          min="1"
+          max="1024"
+          value={config.hash}
+          onChange={(e) => update({ hash: parseOptional(e.target.value) ?? DEFAULT_MATCH_ENGINE.hash })}
+        />
+      </label>
+      <label>
+        Threads
+        <input
+          type="number"
+          min="1"
+          max="64"
+          value={config.threads}
+          onChange={(e) => update({ threads: parseOptional(e.target.value) ?? 1 })}
+        />
+      </label>
+    </fieldset>
+  );
+};
+
+/**
+ * Engine-vs-engine matches between two configurations, with a live score
+ * table and the games as PGN
+ */
+const EngineMatch = () => {
+  const [configs, setConfigs] = useState({
+    a: { ...DEFAULT_MATCH_ENGINE, name: 'Stockfish A' },
+    b: { ...DEFAULT_MATCH_ENGINE, name: 'Stockfish B', depth: 5 }
+  });
+  const [gameCount, setGameCount] = useState(10);
+  const [openingsText, setOpeningsText] = useState('');
+  const [exportRound, setExportRound] = useState('all');
+
+  const { match, startMatch, stopMatch } = useEngineMatch();
+  const isRunning = match?.status === 'running';
+  const openings = parseOpenings(openingsText);
+
+  const handleStart = () => {
+    setExportRound('all');
+    startMatch({ configs, gameCount, openings: openings.fens });
+  };
+
+  const finishedGames = match ? match.games.filter(game => game.pgn) : [];
+  const getPgn = () => {
+    const games = exportRound === 'all'
+      ? finishedGames
+      : finishedGames.filter(game => String(game.round) === exportRound);
+    return games.map(game => game.pgn).join('\n');
+  };
+
+  const summary = match?.summary;
+
+  return (
+    <div className="engine-match">
+      <div className="match-engines">
+        {SIDES.map(({ side, title }) => (
+          <EngineConfigForm
+            key={side}
+            title={title}
+            config={configs[side]}
+            onChange={(config) => setConfigs(prev => ({ ...prev, [side]: config }))}
+            disabled={isRunning}
+          />
+        ))}
+      </div>
+
+      <div className="match-setup">
+        <label>
+          Games:
+          <input
+            type="number"
+            min="1"
+            max="1000"
+            value={gameCount}
+            onChange={(e) => setGameCount(Math.max(1, parseOptional(e.target.value) ?? 1))}
+            disabled={isRunning}
+          />
+        </label>
+        <textarea
+          value={openingsText}
+          onChange={(e) => setOpeningsText(e.target.value)}
+          placeholder="Opening FENs, one per line (optional). Each is played with both colors."
+          rows={3}
+          disabled={isRunning}
+        />
+        {openings.errors.map(error => (
+          <div key={error} className="fen-error">{error}</div>
+        ))}
+        {isRunning ? (
+          <button onClick={stopMatch}>Stop Match</button>
+        ) : (
+          <button onClick={handleStart} disabled={openings.errors.length > 0}>Start Match</button>
+        )}
+      </div>
+
+      {match && (
+        <div className="board-area">
+          <div className="chessboard-container">
+            <Chessboard options={{ position: match.position ?? undefined, allowDragging: false }} />
+          </div>
+
+          <div className="match-results">
+            <table className="match-score">
+              <thead>
+                <tr>
+                  <th></th>
+                  <th>Wins</th>
+                  <th>Draws</th>
+                  <th>Losses</th>
+                  <th>Score</th>
+                </tr>
+              </thead>
+              <tbody>
+                <tr>
+                  <th>A: {match.configs.a.name}</th>
+                  <td>{summary.wins}</td>
+                  <td>{summary.draws}</td>
+                  <td>{summary.losses}</td>
+                  <td>{summary.points} / {summary.played}</td>
+                </tr>
+                <tr>
+                  <th>B: {match.configs.b.name}</th>
+                  <td>{summary.losses}</td>
+                  <td>{summary.draws}</td>
+                  <td>{summary.wins}</td>
+                  <td>{summary.played - summary.points} / {summary.played}</td>
+                </tr>
+              </tbody>
+            </table>
+
+            <div className="match-elo">
+              {summary.elo === null
+                ? 'Elo difference: waiting for the first result'
+                : `Elo difference (A − B): ${formatElo(summary.elo)}${summary.eloError === null ? '' : ` ± ${Number.isFinite(summary.eloError) ? Math.round(summary.eloError) : '∞'}`}`}
+            </div>
+
+            <div className="match-status">
+              {isRunning && `Playing game ${Math.min(summary.played + 1, match.games.length)} of ${match.games.length}`}
+              {match.status === 'done' && 'Match finished'}
+              {match.status === 'stopped' && `Match stopped after ${summary.played} games`}
+              {match.status === 'error' && <span className="fen-error">The match failed: {match.error}</span>}
+            </div>
+
+            <table className="match-games">
+              <thead>
+                <tr>
+                  <th>#</th>
+                  <th>White</th>
+                  <th>Black</th>
+                  <th>Result</th>
+                  <th>Moves</th>
+                </tr>
+              </thead>
+              <tbody>
+                {match.games.map(game => (
+                  <tr key={game.round}>
+                    <td>{game.round}</td>
+                    <td>{game.white.toUpperCase()}</td>
+                    <td>{game.black.toUpperCase()}</td>
+                    <td>
+                      {game.result ?? ''}
+                      {game.termination && TERMINATIONS[game.termination] && ` (${TERMINATIONS[game.termination]})`}
+                    </td>
+                    <td>{game.result ? Math.ceil(game.plies / 2) : ''}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      {finishedGames.length > 0 && (
+        <div className="match-export">
+          <select value={exportRound} onChange={(e) => setExportRound(e.target.value)}>
+            <option value="all">All games ({finishedGames.length})</option>
+            {finishedGames.map(game => (
+              <option key={game.round} value={String(game.round)}>Game {game.round}</option>
+            ))}
+          </select>
+          <PgnPanel getPgn={getPgn} filename={exportRound === 'all' ? 'match.pgn' : `match-game-${exportRound}.pgn`} />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default EngineMatch;
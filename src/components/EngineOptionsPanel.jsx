@@ -0,0 +1,185 @@
+import { useState } from 'react';
+import { isDefaultValue } from '../lib/uci-options.js';
+
+/**
+ * The default as shown next to an option
+ */
+const formatDefault = (option) => {
+  if (option.type === 'check') return option.default ? 'on' : 'off';
+  if (option.type === 'string' && option.default === '') return 'empty';
+  return String(option.default);
+};
+
+/**
+ * A form field that only reports its value once editing is done: on
+ * Enter, on leaving the field, or on letting go of a slider. Hash and the
+ * like reallocate on every `setoption`, so each step of a drag shouldn't
+ * reach the engine.
+ */
+const useDraft = (value, onCommit) => {
+  const [draft, setDraft] = useState(null);
+
+  const commit = () => {
+    if (draft !== null && draft !== String(value)) onCommit(draft);
+    setDraft(null);
+  };
+
+  return {
+    value: draft ?? String(value),
+    onChange: (e) => setDraft(e.target.value),
+    onBlur: commit,
+    onKeyDown: (e) => {
+      if (e.key === 'Enter') commit();
+      if (e.key === 'Escape') setDraft(null);
+    },
+    onPointerUp: commit
+  };
+};
+
+const SpinControl = ({ option, value, onChange, disabled }) => {
+  const slider = useDraft(value, onChange);
+  const field = useDraft(value, onChange);
+
+  // Arrow keys move a slider without Enter ever being pressed
+  const onSliderKeyUp = (e) => {
+    if (e.key.startsWith('Arrow') || e.key === 'Home' || e.key === 'End') slider.onPointerUp();
+  };
+
+  return (
+    <div className="flex items-center space-x-2">
+      <input
+        type="range"
+        min={option.min}
+        max={option.max}
+        {...slider}
+        onKeyUp={onSliderKeyUp}
+        disabled={disabled}
+        className="flex-1 min-w-0"
+      />
+      <input
+        type="number"
+        min={option.min}
+        max={option.max}
+        {...field}
+        disabled={disabled}
+        className="w-20 px-1 py-0.5 text-sm border border-gray-300 rounded-md"
+      />
+    </div>
+  );
+};
+
+const StringControl = ({ value, onChange, disabled }) => {
+  const field = useDraft(value, onChange);
+
+  return (
+    <input
+      type="text"
+      {...field}
+      disabled={disabled}
+      className="w-full px-2 py-0.5 text-sm border border-gray-300 rounded-md font-mono"
+    />
+  );
+};
+
+/**
+ * Settings built from the options an engine advertised in its `uci`
+ * answer: sliders for spins, checkboxes, dropdowns for combos, buttons and
+ * text fields. Each shows its default and can be reset to it.
+ */
+const EngineOptionsPanel = ({ options, values, onChange, onResetAll, disabled }) => {
+  if (!options.length) {
+    return <p className="text-sm text-gray-500">The engine has not listed any options.</p>;
+  }
+
+  const changedCount = options.filter(option => option.type !== 'button' && !isDefaultValue(option, values[option.name])).length;
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between">
+        <p className="text-xs text-gray-500">
+          Changes are saved for this engine and applied whenever it starts.
+        </p>
+        <button
+          onClick={onResetAll}
+          disabled={disabled || !changedCount}
+          className="ml-2 px-2 py-1 text-xs bg-gray-100 hover:bg-gray-200 rounded-md transition-colors whitespace-nowrap"
+        >
+          Reset all
+        </button>
+      </div>
+
+      {options.map(option => {
+        if (option.type === 'button') {
+          return (
+            <div key={option.name}>
+              <button
+                onClick={() => onChange(option.name)}
+                disabled={disabled}
+                className="px-3 py-1 text-sm bg-gray-100 hover:bg-gray-200 rounded-md transition-colors"
+              >
+                {option.name}
+              </button>
+            </div>
+          );
+        }
+
+        const value = values[option.name];
+        const isDefault = isDefaultValue(option, value);
+
+        return (
+          <div key={option.name} className="text-sm">
+            <div className="flex items-center justify-between">
+              {option.type === 'check' ? (
+                <label className="flex items-center space-x-2 font-medium text-gray-800">
+                  <input
+                    type="checkbox"
+                    checked={Boolean(value)}
+                    onChange={(e) => onChange(option.name, e.target.checked)}
+                    disabled={disabled}
+                  />
+                  <span>{option.name}</span>
+                </label>
+              ) : (
+                <span className="font-medium text-gray-800">{option.name}</span>
+              )}
+              <span className="flex items-center space-x-1 text-xs text-gray-500">
+                <span>default: {formatDefault(option)}</span>
+                <button
+                  onClick={() => onChange(option.name, option.default)}
+                  disabled={disabled || isDefault}
+                  title="Reset to default"
+                  className="px-1 text-blue-600 hover:underline disabled:text-gray-300 disabled:no-underline"
+                >
+                  reset
+                </button>
+              </span>
+            </div>
+
+            {option.type !== 'check' && (
+              <div className="mt-1">
+                {option.type === 'spin' && (
+                  <SpinControl option={option} value={value} onChange={(next) => onChange(option.name, next)} disabled={disabled} />
+                )}
+                {option.type === 'combo' && (
+                  <select
+                    value={value}
+                    onChange={(e) => onChange(option.name, e.target.value)}
+                    disabled={disabled}
+                    className="w-full px-2 py-0.5 text-sm border border-gray-300 rounded-md"
+                  >
+                    {option.vars.map(entry => <option key={entry} value={entry}>{entry}</option>)}
+                  </select>
+                )}
+                {option.type === 'string' && (
+                  <StringControl value={value} onChange={(next) => onChange(option.name, next)} disabled={disabled} />
+                )}
+              </div>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default EngineOptionsPanel;
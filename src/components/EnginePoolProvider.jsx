@@ -0,0 +1,28 @@
+import { useState, useEffect } from 'react';
+import { EnginePool, DEFAULT_MAX_ENGINES } from '../lib/engine-pool.js';
+import { EnginePoolContext } from '../hooks/useEnginePool.js';
+import { loadOptionProfile } from '../lib/engine-profiles.js';
+
+/**
+ * Provides one engine pool to everything below it, so engines stay warm
+ * while components come and go (e.g. when switching tabs)
+ */
+const EnginePoolProvider = ({ maxEngines = DEFAULT_MAX_ENGINES, children }) => {
+  const [pool] = useState(() => new EnginePool({ maxEngines, getOptionProfile: loadOptionProfile }));
+
+  useEffect(() => {
+    pool.setMaxEngines(maxEngines);
+  }, [pool, maxEngines]);
+
+  useEffect(() => {
+    return () => pool.shutdown();
+  }, [pool]);
+
+  return (
+    <EnginePoolContext.Provider value={pool}>
+      {children}
+    </EnginePoolContext.Provider>
+  );
+};
+
+export default EnginePoolProvider;
@@ -0,0 +1,28 @@
+import { isBridgedEngine } from '../lib/engine-registry.js';
+
+/**
+ * Select between the built-in engine and bridged ones. A saved choice the
+ * bridge no longer lists stays selectable, marked as unavailable.
+ */
+const EngineSelect = ({ engines, value, onChange, disabled, className, style }) => {
+  const options = engines.map(({ id, name }) => ({ id, label: isBridgedEngine(id) ? `${name} (bridge)` : name }));
+  if (!engines.some(engine => engine.id === value)) {
+    options.push({ id: value, label: `${decodeURIComponent(value.split('/').pop())} (unavailable)` });
+  }
+
+  return (
+    <select
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      disabled={disabled}
+      className={className}
+      style={style}
+    >
+      {options.map(({ id, label }) => (
+        <option key={id} value={id}>{label}</option>
+      ))}
+    </select>
+  );
+};
+
+export default EngineSelect;
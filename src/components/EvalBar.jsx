@@ -0,0 +1,26 @@
+import { formatScore, getWhiteBarPercent } from '../lib/evaluation.js';
+
+/**
+ * Vertical evaluation bar, White's share growing from the bottom when the
+ * board is seen from White's side
+ */
+const EvalBar = ({ score, orientation = 'white' }) => {
+  const whitePercent = getWhiteBarPercent(score);
+  const whiteToward = orientation === 'white' ? 'to top' : 'to bottom';
+
+  return (
+    <div
+      className="eval-bar"
+      style={{
+        background: `linear-gradient(${whiteToward}, #f0f0f0 ${whitePercent}%, #333 ${whitePercent}%)`
+      }}
+      title={score ? formatScore(score) : 'No evaluation yet'}
+    >
+      <span className={`eval-bar-label ${whitePercent >= 50 ? 'white-ahead' : 'black-ahead'}`}>
+        {formatScore(score)}
+      </span>
+    </div>
+  );
+};
+
+export default EvalBar;
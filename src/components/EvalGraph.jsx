@@ -0,0 +1,78 @@
+import { formatScore } from '../lib/evaluation.js';
+
+const WIDTH = 600;
+const HEIGHT = 120;
+
+// Labels marked on the curve, with their marker colors
+const MARKED_LABELS = {
+  mistake: '#e67e22',
+  blunder: '#c0392b'
+};
+
+/**
+ * Game-long evaluation chart as White's winning chances, drawn from the
+ * positions evaluated so far. Clicking a ply jumps to its position.
+ */
+const EvalGraph = ({ positions, moves, total, currentNodeId, onSelect }) => {
+  if (!positions.length || total < 2) return null;
+
+  const step = WIDTH / (total - 1);
+  const labels = Object.fromEntries(moves.map(move => [move.nodeId, move]));
+
+  const points = positions.map((position, ply) => ({
+    ...position,
+    x: ply * step,
+    y: HEIGHT * (1 - position.whiteChances) / 2
+  }));
+
+  const line = points.map(({ x, y }) => `${x.toFixed(1)},${y.toFixed(1)}`).join(' L ');
+  const lastX = points[points.length - 1].x;
+  const currentPly = points.findIndex(point => point.nodeId === currentNodeId);
+
+  return (
+    <svg
+      className="eval-graph"
+      viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+      role="img"
+      aria-label="Evaluation over the game"
+    >
+      <rect width={WIDTH} height={HEIGHT} fill="#333" />
+      <path d={`M 0,${HEIGHT} L ${line} L ${lastX.toFixed(1)},${HEIGHT} Z`} fill="#f0f0f0" />
+      <line x1="0" y1={HEIGHT / 2} x2={WIDTH} y2={HEIGHT / 2} stroke="#888" strokeDasharray="4 4" />
+
+      {currentPly >= 0 && (
+        <line x1={points[currentPly].x} y1="0" x2={points[currentPly].x} y2={HEIGHT} stroke="#3498db" strokeWidth="2" />
+      )}
+
+      {points.map(point => {
+        const move = labels[point.nodeId];
+        return move && MARKED_LABELS[move.label] ? (
+          <circle key={point.nodeId} cx={point.x} cy={point.y} r="4" fill={MARKED_LABELS[move.label]} stroke="white" />
+        ) : null;
+      })}
+
+      {points.map((point, ply) => {
+        const move = labels[point.nodeId];
+        const title = move
+          ? `${move.moveNumber}${move.color === 'w' ? '.' : '...'} ${move.san} ${formatScore(point.whiteScore)}${move.label ? ` (${move.label})` : ''}`
+          : `Start ${formatScore(point.whiteScore)}`;
+
+        return (
+          <rect
+            key={point.nodeId}
+            className="eval-graph-ply"
+            x={Math.max(0, point.x - step / 2)}
+            y="0"
+            width={ply === 0 ? step / 2 : step}
+            height={HEIGHT}
+            onClick={() => onSelect(point.nodeId)}
+          >
+            <title>{title}</title>
+          </rect>
+        );
+      })}
+    </svg>
+  );
+};
+
+export default EvalGraph;
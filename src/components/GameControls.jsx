@@ -1,3 +1,12 @@
+import { TIME_CONTROL_PRESETS, BONUS_MODES, findPresetId } from '../lib/time-control.js';
+import { STRENGTH_LEVELS, CUSTOM_DEPTH_LEVEL, describeStrengthLevel } from '../lib/strength-levels.js';
+import { VERBOSITY_LEVELS } from '../lib/announcements.js';
+import { VARIETY_LEVELS } from '../lib/opening-book.js';
+import EngineSelect from './EngineSelect.jsx';
+
+// Starting point when switching to a custom time control
+const DEFAULT_CUSTOM_TIME_CONTROL = { baseMs: 10 * 60 * 1000, bonusMs: 5000, mode: 'increment' };
+
 /**
  * Game controls component for chess game
  */
@@ -6,8 +15,59 @@ const GameControls = ({
   setPlayerColor, 
   engineDepth, 
   setEngineDepth, 
-  onNewGame
+  strengthLevel,
+  setStrengthLevel,
+  strengthLocked,
+  autoQueen,
+  setAutoQueen,
+  timeControl,
+  setTimeControl,
+  timeControlPending,
+  pauseClocksWhenHidden,
+  setPauseClocksWhenHidden,
+  onNewGame,
+  onTakeback,
+  canTakeback,
+  showAnalysis,
+  setShowAnalysis,
+  onHint,
+  canHint,
+  isSearchingHint,
+  hintsUsed,
+  pieceFirstHints,
+  setPieceFirstHints,
+  showThreat,
+  setShowThreat,
+  announceMoves,
+  setAnnounceMoves,
+  announceVerbosity,
+  setAnnounceVerbosity,
+  bookSource,
+  setBookSource,
+  polyglotBookName,
+  onBookFile,
+  bookError,
+  bookDepth,
+  setBookDepth,
+  variety,
+  setVariety,
+  engines,
+  engineId,
+  setEngineId,
+  engineError
 }) => {
+  const presetId = timeControl ? findPresetId(timeControl) ?? 'custom' : 'untimed';
+
+  const handlePresetChange = (id) => {
+    if (id === 'untimed') {
+      setTimeControl(null);
+    } else if (id === 'custom') {
+      setTimeControl(timeControl ?? DEFAULT_CUSTOM_TIME_CONTROL);
+    } else {
+      setTimeControl(TIME_CONTROL_PRESETS.find(preset => preset.id === id).timeControl);
+    }
+  };
+
   return (
     <div className="game-info">
       <div className="player-info">
@@ -16,18 +76,261 @@ const GameControls = ({
       
       <div className="engine-controls">
         <label>
-          Engine Depth: 
-          <input 
-            type="number" 
-            min="1" 
-            max="20" 
-            value={engineDepth} 
-            onChange={(e) => setEngineDepth(parseInt(e.target.value))}
-            style={{marginLeft: '10px', width: '60px'}}
+          Opponent:
+          <EngineSelect
+            engines={engines}
+            value={engineId}
+            onChange={setEngineId}
+            style={{marginLeft: '10px'}}
+          />
+        </label>
+      </div>
+      {engineError && <div className="time-control-note book-error">{engineError}</div>}
+
+      <div className="engine-controls">
+        <label>
+          Engine strength:
+          <select
+            value={strengthLevel}
+            onChange={(e) => setStrengthLevel(e.target.value)}
+            disabled={strengthLocked}
+            title={strengthLocked ? 'The game is played at one strength; start a new game to change it' : undefined}
+            style={{marginLeft: '10px'}}
+          >
+            {STRENGTH_LEVELS.map(({ id }) => (
+              <option key={id} value={id}>{describeStrengthLevel(id)}</option>
+            ))}
+            <option value={CUSTOM_DEPTH_LEVEL}>Fixed depth</option>
+          </select>
+        </label>
+      </div>
+
+      {strengthLevel === CUSTOM_DEPTH_LEVEL && (
+        <div className="engine-controls">
+          <label>
+            Engine Depth: 
+            <input 
+              type="number" 
+              min="1" 
+              max="20" 
+              value={engineDepth} 
+              onChange={(e) => setEngineDepth(parseInt(e.target.value))}
+              disabled={Boolean(timeControl) || strengthLocked}
+              title={timeControl
+                ? 'In timed games the engine manages its own time'
+                : strengthLocked ? 'The game is played at one strength; start a new game to change it' : undefined}
+              style={{marginLeft: '10px', width: '60px'}}
+            />
+          </label>
+        </div>
+      )}
+
+      <div className="engine-controls book-controls">
+        <label>
+          Opening book:
+          <select
+            value={bookSource}
+            onChange={(e) => setBookSource(e.target.value)}
+            style={{marginLeft: '10px'}}
+          >
+            <option value="none">None</option>
+            <option value="builtin">Built-in</option>
+            <option value="polyglot">{polyglotBookName ?? 'Polyglot file'}</option>
+          </select>
+        </label>
+        <label className="book-file">
+          Load .bin
+          <input
+            type="file"
+            accept=".bin"
+            onChange={(e) => {
+              if (e.target.files?.[0]) onBookFile(e.target.files[0]);
+              e.target.value = '';
+            }}
+          />
+        </label>
+        {bookSource !== 'none' && (
+          <label>
+            for
+            <input
+              type="number"
+              min="1"
+              max="30"
+              value={bookDepth}
+              onChange={(e) => setBookDepth(Math.max(1, parseInt(e.target.value) || 1))}
+              style={{margin: '0 6px', width: '50px'}}
+            />
+            moves
+          </label>
+        )}
+      </div>
+
+      {bookSource === 'polyglot' && !polyglotBookName && (
+        <div className="time-control-note">Load a Polyglot .bin file to use it</div>
+      )}
+      {bookError && <div className="time-control-note book-error">{bookError}</div>}
+
+      <div className="engine-controls">
+        <label>
+          Variety:
+          <select
+            value={variety}
+            onChange={(e) => setVariety(e.target.value)}
+            title="How freely the engine picks among book moves and near-equal moves"
+            style={{marginLeft: '10px'}}
+          >
+            {VARIETY_LEVELS.map(({ id, label }) => (
+              <option key={id} value={id}>{label}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <div className="engine-controls">
+        <label>
+          Time control:
+          <select
+            value={presetId}
+            onChange={(e) => handlePresetChange(e.target.value)}
+            style={{marginLeft: '10px'}}
+          >
+            <option value="untimed">Untimed</option>
+            {TIME_CONTROL_PRESETS.map(({ id, category }) => (
+              <option key={id} value={id}>{category} {id}</option>
+            ))}
+            <option value="custom">Custom...</option>
+          </select>
+        </label>
+      </div>
+
+      {presetId === 'custom' && (
+        <div className="engine-controls time-control-custom">
+          <label>
+            Minutes:
+            <input
+              type="number"
+              min="0.5"
+              max="180"
+              step="0.5"
+              value={timeControl.baseMs / 60000}
+              onChange={(e) => setTimeControl({ ...timeControl, baseMs: Math.max(0.5, parseFloat(e.target.value) || 0) * 60000 })}
+            />
+          </label>
+          <label>
+            Seconds:
+            <input
+              type="number"
+              min="0"
+              max="60"
+              value={timeControl.bonusMs / 1000}
+              onChange={(e) => setTimeControl({ ...timeControl, bonusMs: Math.max(0, parseInt(e.target.value) || 0) * 1000 })}
+            />
+          </label>
+          <select
+            value={timeControl.mode}
+            onChange={(e) => setTimeControl({ ...timeControl, mode: e.target.value })}
+          >
+            {Object.entries(BONUS_MODES).map(([mode, label]) => (
+              <option key={mode} value={mode}>{label}</option>
+            ))}
+          </select>
+        </div>
+      )}
+
+      {timeControlPending && (
+        <div className="time-control-note">The new time control applies from the next game</div>
+      )}
+
+      {timeControl && (
+        <div className="engine-controls">
+          <label>
+            <input
+              type="checkbox"
+              checked={pauseClocksWhenHidden}
+              onChange={(e) => setPauseClocksWhenHidden(e.target.checked)}
+              style={{marginRight: '6px'}}
+            />
+            Pause clocks while this tab is hidden
+          </label>
+        </div>
+      )}
+
+      <div className="engine-controls">
+        <label>
+          <input
+            type="checkbox"
+            checked={showAnalysis}
+            onChange={(e) => setShowAnalysis(e.target.checked)}
+            style={{marginRight: '6px'}}
+          />
+          Show analysis
+        </label>
+      </div>
+
+      <div className="engine-controls">
+        <label>
+          <input
+            type="checkbox"
+            checked={autoQueen}
+            onChange={(e) => setAutoQueen(e.target.checked)}
+            style={{marginRight: '6px'}}
+          />
+          Always promote to a queen
+        </label>
+      </div>
+
+      <div className="engine-controls">
+        <label>
+          <input
+            type="checkbox"
+            checked={showThreat}
+            onChange={(e) => setShowThreat(e.target.checked)}
+            style={{marginRight: '6px'}}
+          />
+          Show threat
+        </label>
+        <label style={{marginLeft: '12px'}}>
+          <input
+            type="checkbox"
+            checked={pieceFirstHints}
+            onChange={(e) => setPieceFirstHints(e.target.checked)}
+            style={{marginRight: '6px'}}
           />
+          Hints show the piece first
         </label>
       </div>
+
+      <div className="engine-controls">
+        <label>
+          <input
+            type="checkbox"
+            checked={announceMoves}
+            onChange={(e) => setAnnounceMoves(e.target.checked)}
+            style={{marginRight: '6px'}}
+          />
+          Announce moves aloud
+        </label>
+        <select
+          value={announceVerbosity}
+          onChange={(e) => setAnnounceVerbosity(e.target.value)}
+          aria-label="Announcement detail"
+          style={{marginLeft: '10px'}}
+        >
+          {VERBOSITY_LEVELS.map(({ id, label }) => (
+            <option key={id} value={id}>{label}</option>
+          ))}
+        </select>
+      </div>
+
+      <button onClick={onHint} disabled={!canHint || isSearchingHint} className="hint-btn">
+        {isSearchingHint ? 'Thinking...' : 'Hint'}
+        {hintsUsed > 0 && <span className="hint-count"> ({hintsUsed} used)</span>}
+      </button>
       
+      <button onClick={onTakeback} disabled={!canTakeback} className="takeback-btn">
+        Take Back
+      </button>
+
       <button onClick={onNewGame} className="reset-btn">
         New Game
       </button>
@@ -0,0 +1,151 @@
+import { LABEL_SYMBOLS, ERROR_LABELS } from '../lib/game-review.js';
+import { formatMoveLine } from '../lib/chess-utils.js';
+
+const SIDES = [
+  { color: 'w', name: 'White' },
+  { color: 'b', name: 'Black' }
+];
+
+/**
+ * Groups reviewed moves into rows of a white and a black move
+ */
+const toMoveRows = (moves) => {
+  const rows = [];
+  moves.forEach(move => {
+    if (move.color === 'w' || !rows.length) {
+      rows.push({ moveNumber: move.moveNumber, w: null, b: null });
+    }
+    rows[rows.length - 1][move.color] = move;
+  });
+  return rows;
+};
+
+/**
+ * Post-game review: starts the engine pass over the game, shows its progress
+ * and then each side's accuracy and every move's label
+ */
+const GameReport = ({ review, canReview, isGameOver, onStart, onCancel, onSelectMove, currentNodeId }) => {
+  if (!review || review.status === 'error') {
+    return (
+      <div className="game-report">
+        <button
+          onClick={onStart}
+          disabled={!canReview}
+          className={isGameOver ? 'review-btn highlighted' : 'review-btn'}
+        >
+          Analyze Game
+        </button>
+        {review?.status === 'error' && <div className="review-note">The review failed, try again.</div>}
+      </div>
+    );
+  }
+
+  const { status, total, positions, moves, summary, puzzles } = review;
+  const errors = moves.filter(move => ERROR_LABELS.includes(move.label));
+
+  const renderMove = (move) => {
+    if (!move) return <td />;
+    return (
+      <td
+        className={`review-move review-${move.label} ${move.nodeId === currentNodeId ? 'current' : ''}`}
+        onClick={() => onSelectMove(move.nodeId)}
+        title={move.label}
+      >
+        {move.san} <span className="review-symbol">{LABEL_SYMBOLS[move.label]}</span>
+      </td>
+    );
+  };
+
+  return (
+    <div className="game-report">
+      {status === 'running' ? (
+        <div className="review-progress">
+          <progress value={positions.length} max={total} />
+          <span>
+            {positions.length < total
+              ? `Analyzing position ${positions.length + 1} of ${total}`
+              : 'Looking for puzzles...'}
+          </span>
+          <button onClick={onCancel}>Cancel</button>
+        </div>
+      ) : (
+        <div className="review-progress">
+          {status === 'cancelled' && (
+            <span className="review-note">Review stopped after {moves.length} of {total - 1} moves.</span>
+          )}
+          <button onClick={onStart} disabled={!canReview} className="review-btn">
+            Analyze Again
+          </button>
+        </div>
+      )}
+
+      {status === 'done' && puzzles.length > 0 && (
+        <div className="review-note">
+          {puzzles.length === 1 ? '1 puzzle' : `${puzzles.length} puzzles`} from this game added to the Puzzles tab.
+        </div>
+      )}
+
+      {summary && (
+        <table className="review-summary">
+          <thead>
+            <tr>
+              <th></th>
+              <th>Accuracy</th>
+              <th>Avg. loss</th>
+              <th>Inaccuracies</th>
+              <th>Mistakes</th>
+              <th>Blunders</th>
+            </tr>
+          </thead>
+          <tbody>
+            {SIDES.map(({ color, name }) => (
+              <tr key={color}>
+                <th>{name}</th>
+                <td>{summary[color].moves ? `${summary[color].accuracy.toFixed(1)}%` : '-'}</td>
+                <td>{summary[color].moves ? `${Math.round(summary[color].acpl)} cp` : '-'}</td>
+                <td className="review-inaccuracy">{summary[color].counts.inaccuracy}</td>
+                <td className="review-mistake">{summary[color].counts.mistake}</td>
+                <td className="review-blunder">{summary[color].counts.blunder}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {moves.length > 0 && (
+        <table className="review-moves">
+          <tbody>
+            {toMoveRows(moves).map(row => (
+              <tr key={`${row.moveNumber}-${row.w?.nodeId ?? row.b?.nodeId}`}>
+                <td className="review-move-number">{row.moveNumber}.</td>
+                {renderMove(row.w)}
+                {renderMove(row.b)}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {errors.length > 0 && (
+        <ul className="review-errors">
+          {errors.map(move => (
+            <li key={move.nodeId} className={`review-${move.label}`} onClick={() => onSelectMove(move.nodeId)}>
+              <strong>
+                {move.moveNumber}{move.color === 'w' ? '.' : '...'} {move.san}{LABEL_SYMBOLS[move.label]}
+              </strong>
+              {' '}{move.label}
+              {move.bestSan && (
+                <span className="review-alternative">
+                  {' '}— better was <strong>{move.bestSan}</strong>
+                  {move.bestLine.length > 1 && ` (${formatMoveLine(move.fenBefore, move.bestLine)})`}
+                </span>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default GameReport;
@@ -0,0 +1,79 @@
+/**
+ * Renders the moves of a line starting at firstId, with side variations in
+ * parentheses right after the move they replace
+ */
+const renderLine = (tree, firstId, currentNodeId, onSelect) => {
+  const elements = [];
+  let nodeId = firstId;
+  let showNumber = true;
+
+  while (nodeId !== undefined) {
+    const node = tree.nodes[nodeId];
+    const parent = tree.nodes[node.parentId];
+    const isWhite = node.move.color === 'w';
+    const label = isWhite
+      ? `${node.moveNumber}. ${node.move.san}`
+      : `${showNumber ? `${node.moveNumber}... ` : ''}${node.move.san}`;
+
+    elements.push(
+      <button
+        key={node.id}
+        className={`move-list-move ${node.id === currentNodeId ? 'current' : ''}`}
+        onClick={() => onSelect(node.id)}
+      >
+        {label}
+      </button>
+    );
+
+    // Alternatives are listed once, after the move that continues the line
+    const alternatives = parent.children[0] === node.id ? parent.children.slice(1) : [];
+    alternatives.forEach(altId => {
+      elements.push(
+        <span key={`variation-${altId}`} className="move-list-variation">
+          ({renderLine(tree, altId, currentNodeId, onSelect)})
+        </span>
+      );
+    });
+
+    showNumber = alternatives.length > 0;
+    nodeId = node.children[0];
+  }
+
+  return elements;
+};
+
+/**
+ * Clickable move list with navigation buttons
+ */
+const MoveList = ({
+  tree,
+  currentNodeId,
+  onSelect,
+  onStart,
+  onBack,
+  onForward,
+  onEnd,
+  canGoBack,
+  canGoForward
+}) => {
+  const root = tree.nodes[tree.rootId];
+
+  return (
+    <div className="move-list">
+      <div className="move-list-moves">
+        {root.children.length
+          ? renderLine(tree, root.children[0], currentNodeId, onSelect)
+          : <span className="move-list-empty">No moves yet</span>}
+      </div>
+
+      <div className="move-list-nav">
+        <button onClick={onStart} disabled={!canGoBack} title="First move (Home)">⏮</button>
+        <button onClick={onBack} disabled={!canGoBack} title="Previous move (←)">◀</button>
+        <button onClick={onForward} disabled={!canGoForward} title="Next move (→)">▶</button>
+        <button onClick={onEnd} disabled={!canGoForward} title="Last move (End)">⏭</button>
+      </div>
+    </div>
+  );
+};
+
+export default MoveList;
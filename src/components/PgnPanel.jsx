@@ -0,0 +1,134 @@
+import { useState, useRef } from 'react';
+import { parsePgn } from '../lib/pgn.js';
+import { downloadText } from '../lib/download.js';
+
+/**
+ * Copies text to the clipboard, falling back to a hidden textarea where the
+ * async clipboard API is unavailable
+ */
+const copyText = async (text) => {
+  if (navigator.clipboard?.writeText) {
+    await navigator.clipboard.writeText(text);
+    return;
+  }
+
+  const textarea = document.createElement('textarea');
+  textarea.value = text;
+  document.body.appendChild(textarea);
+  textarea.select();
+  document.execCommand('copy');
+  document.body.removeChild(textarea);
+};
+
+/**
+ * Describes an imported game for the game picker
+ */
+const describeGame = ({ headers }, index) => {
+  const players = `${headers.White || '?'} vs ${headers.Black || '?'}`;
+  const event = headers.Event && headers.Event !== '?' ? ` - ${headers.Event}` : '';
+  return `${index + 1}. ${players}${event} (${headers.Result || '*'})`;
+};
+
+/**
+ * PGN export (clipboard, download) and import (paste, file upload); without
+ * onLoadGame only the export is offered
+ */
+const PgnPanel = ({ getPgn, onLoadGame, filename = 'game.pgn' }) => {
+  const [importText, setImportText] = useState('');
+  const [games, setGames] = useState([]);
+  const [message, setMessage] = useState('');
+  const fileInputRef = useRef(null);
+
+  const handleCopy = async () => {
+    try {
+      await copyText(getPgn());
+      setMessage('PGN copied to clipboard');
+    } catch (error) {
+      setMessage(`Could not copy: ${error.message}`);
+    }
+  };
+
+  const handleDownload = () => {
+    downloadText(getPgn(), filename, 'application/x-chess-pgn');
+  };
+
+  const loadGame = (game) => {
+    onLoadGame(game);
+    setMessage(game.error ? `Loaded with problems: ${game.error}` : 'Game loaded');
+  };
+
+  const handleImport = (text) => {
+    const parsed = parsePgn(text);
+
+    if (!parsed.length) {
+      setGames([]);
+      setMessage('No games found in PGN');
+      return;
+    }
+
+    setGames(parsed);
+    if (parsed.length === 1) {
+      loadGame(parsed[0]);
+    } else {
+      setMessage(`Found ${parsed.length} games, choose one to load`);
+    }
+  };
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+
+    const text = await file.text();
+    setImportText(text);
+    handleImport(text);
+    e.target.value = '';
+  };
+
+  return (
+    <div className="pgn-panel">
+      <div className="pgn-actions">
+        <button onClick={handleCopy}>Copy PGN</button>
+        <button onClick={handleDownload}>Download PGN</button>
+        {onLoadGame && (
+          <>
+            <button onClick={() => fileInputRef.current?.click()}>Open PGN File</button>
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept=".pgn,application/x-chess-pgn,text/plain"
+              onChange={handleFileChange}
+              style={{display: 'none'}}
+            />
+          </>
+        )}
+      </div>
+
+      {onLoadGame && (
+        <>
+          <textarea
+            value={importText}
+            onChange={(e) => setImportText(e.target.value)}
+            placeholder="Paste PGN here to import"
+            rows={4}
+          />
+          <button onClick={() => handleImport(importText)} disabled={!importText.trim()}>
+            Import PGN
+          </button>
+        </>
+      )}
+
+      {games.length > 1 && (
+        <select onChange={(e) => loadGame(games[parseInt(e.target.value)])} defaultValue="">
+          <option value="" disabled>Choose a game...</option>
+          {games.map((game, index) => (
+            <option key={index} value={index}>{describeGame(game, index)}</option>
+          ))}
+        </select>
+      )}
+
+      {message && <div className="pgn-message">{message}</div>}
+    </div>
+  );
+};
+
+export default PgnPanel;
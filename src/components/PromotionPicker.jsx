@@ -0,0 +1,61 @@
+import { useEffect } from 'react';
+import { defaultPieces } from 'react-chessboard';
+import { describePiece } from '../lib/fen.js';
+
+const PROMOTION_PIECES = ['q', 'n', 'r', 'b'];
+const SQUARE_PERCENT = 12.5;
+
+/**
+ * Piece chooser shown over the promotion square, running toward the middle
+ * of the board with the queen nearest the square. Clicking elsewhere or
+ * pressing Escape cancels the move.
+ */
+const PromotionPicker = ({ square, color, orientation = 'white', onSelect, onCancel }) => {
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onCancel();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onCancel]);
+
+  const file = square.charCodeAt(0) - 'a'.charCodeAt(0);
+  const rank = parseInt(square[1], 10);
+  const column = orientation === 'white' ? file : 7 - file;
+  const row = orientation === 'white' ? 8 - rank : rank - 1;
+  const atTop = row === 0;
+  const pieces = atTop ? PROMOTION_PIECES : [...PROMOTION_PIECES].reverse();
+
+  return (
+    <div className="promotion-backdrop" onClick={onCancel}>
+      <div
+        className="promotion-picker"
+        style={{
+          left: `${column * SQUARE_PERCENT}%`,
+          top: `${atTop ? 0 : 4 * SQUARE_PERCENT}%`,
+          width: `${SQUARE_PERCENT}%`
+        }}
+        onClick={(e) => e.stopPropagation()}
+      >
+        {pieces.map(type => {
+          const pieceCode = `${color}${type.toUpperCase()}`;
+          const Piece = defaultPieces[pieceCode];
+          const label = `Promote to a ${describePiece(pieceCode).split(' ')[1]}`;
+          return (
+            <button
+              key={type}
+              className="promotion-option"
+              onClick={() => onSelect(type)}
+              title={label}
+              aria-label={label}
+            >
+              <Piece />
+            </button>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default PromotionPicker;
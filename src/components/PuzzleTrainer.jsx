@@ -0,0 +1,148 @@
+import { Chessboard } from 'react-chessboard';
+import { usePuzzleTrainer } from '../hooks/usePuzzleTrainer.js';
+import { uciToMove, uciLineToSan, formatMoveLine } from '../lib/chess-utils.js';
+import { getSolverColor } from '../lib/puzzles.js';
+
+const FEEDBACK = {
+  correct: 'Correct!',
+  alternative: 'That works too!',
+  wrong: 'Not the move.'
+};
+
+/**
+ * Formats a due time relative to now, e.g. "in 3 days"
+ */
+const formatDue = (dueAt) => {
+  const days = Math.ceil((dueAt - Date.now()) / (24 * 60 * 60 * 1000));
+  if (days <= 0) return 'now';
+  return days === 1 ? 'tomorrow' : `in ${days} days`;
+};
+
+/**
+ * Where a puzzle came from, e.g. "Player vs Stockfish, 2026.10.19 — after 23...Qd7??"
+ */
+const describeSource = (puzzle) => {
+  const { game, blunder } = puzzle;
+  const move = `${blunder.moveNumber}${blunder.color === 'w' ? '.' : '...'}${blunder.san}??`;
+  return game ? `${game.white} vs ${game.black}, ${game.date} — after ${move}` : `After ${move}`;
+};
+
+/**
+ * Puzzles made from the blunders of reviewed games, with the success rate
+ * and the schedule of failed puzzles coming back
+ */
+const PuzzleTrainer = () => {
+  const { puzzles, stats, session, playMove, nextPuzzle, retryPuzzle, deletePuzzle } = usePuzzleTrainer();
+
+  if (!puzzles.length) {
+    return (
+      <div className="puzzle-trainer">
+        <div className="puzzle-empty">
+          No puzzles yet. Analyze a finished game and its blunders that left one
+          clearly winning move will show up here.
+        </div>
+      </div>
+    );
+  }
+
+  const nextDue = puzzles
+    .filter(puzzle => puzzle.dueAt !== null)
+    .reduce((earliest, puzzle) => earliest === null || puzzle.dueAt < earliest ? puzzle.dueAt : earliest, null);
+
+  const statsBar = (
+    <div className="puzzle-stats">
+      <span>{stats.total} puzzles</span>
+      <span>{stats.unseen} new</span>
+      <span>{stats.due} due</span>
+      <span>
+        Success rate: {stats.successRate === null
+          ? '-'
+          : `${Math.round(stats.successRate)}% (${stats.successes} / ${stats.attempts})`}
+      </span>
+    </div>
+  );
+
+  if (!session) {
+    return (
+      <div className="puzzle-trainer">
+        {statsBar}
+        <div className="puzzle-empty">
+          All caught up.{nextDue !== null && ` The next repetition is due ${formatDue(nextDue)}.`}
+        </div>
+      </div>
+    );
+  }
+
+  const { puzzle, fen, status, feedback, lastMove, line } = session;
+  const solverColor = getSolverColor(puzzle);
+  const isSolving = status === 'solving' && !session.pendingReply;
+
+  const onPieceDrop = ({ sourceSquare, targetSquare }) => {
+    if (!targetSquare) return false;
+    // Promote as the solution does when it is the same move, otherwise to a queen
+    const expected = line[0] ? uciToMove(line[0]) : null;
+    const promotion = expected?.from === sourceSquare && expected?.to === targetSquare ? expected.promotion : null;
+    const uci = `${sourceSquare}${targetSquare}`;
+    return playMove(promotion ? `${uci}${promotion}` : uci) || playMove(`${uci}q`);
+  };
+
+  const squareStyles = lastMove ? {
+    [lastMove.from]: { backgroundColor: 'rgba(255, 255, 0, 0.4)' },
+    [lastMove.to]: { backgroundColor: 'rgba(255, 255, 0, 0.4)' }
+  } : {};
+  const arrows = status === 'failed' && line[0]
+    ? [{ startSquare: uciToMove(line[0]).from, endSquare: uciToMove(line[0]).to, color: '#27ae60' }]
+    : [];
+
+  return (
+    <div className="puzzle-trainer">
+      {statsBar}
+
+      <div className="board-area">
+        <div className="chessboard-container">
+          <Chessboard
+            options={{
+              position: fen,
+              onPieceDrop,
+              boardOrientation: solverColor,
+              allowDragging: isSolving,
+              squareStyles,
+              arrows
+            }}
+          />
+        </div>
+
+        <div className="puzzle-panel">
+          <div className="puzzle-prompt">
+            {solverColor === 'white' ? 'White' : 'Black'} to move and win
+          </div>
+          <div className="puzzle-source">{describeSource(puzzle)}</div>
+          {puzzle.step !== null && (
+            <div className="puzzle-source">Repetition {puzzle.step + 1} of a missed puzzle</div>
+          )}
+
+          {status === 'checking' && <div className="puzzle-feedback">Checking your move...</div>}
+          {feedback && status !== 'failed' && <div className="puzzle-feedback correct">{FEEDBACK[feedback]}</div>}
+          {status === 'solved' && <div className="puzzle-feedback correct">Puzzle solved.</div>}
+          {status === 'failed' && (
+            <div className="puzzle-feedback wrong">
+              {FEEDBACK.wrong}
+              {line.length > 0 && ` The solution was ${formatMoveLine(fen, uciLineToSan(fen, line))}.`}
+              {!session.retry && ' It will come back tomorrow.'}
+            </div>
+          )}
+
+          <div className="puzzle-actions">
+            {(status === 'solved' || status === 'failed') && (
+              <button onClick={retryPuzzle}>Try Again</button>
+            )}
+            <button onClick={nextPuzzle}>{isSolving ? 'Skip' : 'Next Puzzle'}</button>
+            <button onClick={() => deletePuzzle(puzzle.id)} className="reset-btn">Delete</button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PuzzleTrainer;
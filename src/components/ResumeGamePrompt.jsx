@@ -0,0 +1,27 @@
+import { getMainline } from '../lib/move-tree.js';
+
+/**
+ * Offers to resume the game saved by a previous visit
+ */
+const ResumeGamePrompt = ({ savedGame, onResume, onStartNew }) => {
+  const moveCount = Math.ceil(getMainline(savedGame.tree).length / 2);
+  const savedAt = new Date(savedGame.savedAt).toLocaleString();
+
+  return (
+    <div className="resume-prompt">
+      <div className="resume-prompt-card">
+        <h3>Unfinished game found</h3>
+        <p>
+          Playing as {savedGame.settings.playerColor}, {moveCount} {moveCount === 1 ? 'move' : 'moves'} in,
+          saved {savedAt}.
+        </p>
+        <div className="resume-prompt-actions">
+          <button onClick={onResume} className="resume-btn">Resume Game</button>
+          <button onClick={onStartNew} className="reset-btn">Start New Game</button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ResumeGamePrompt;
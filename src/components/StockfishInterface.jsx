@@ -1,14 +1,60 @@
-import { useState, useRef, useEffect } from 'react';
+import { useState, useRef, useEffect, useMemo } from 'react';
 import { useStockfish } from '../hooks/useStockfish';
+import { useEngineList } from '../hooks/useEngineList.js';
+import { BUILTIN_ENGINE_ID, DEFAULT_BRIDGE_URL } from '../lib/engine-registry.js';
+import { loadPreference, savePreference } from '../lib/preferences.js';
+import { MAX_LOG_ENTRIES, compileSearch, filterLog, formatLogAsText, formatLogAsJson } from '../lib/console-log.js';
+import { downloadText } from '../lib/download.js';
+import EngineSelect from './EngineSelect.jsx';
+import EngineOptionsPanel from './EngineOptionsPanel.jsx';
+import ConsoleLog from './ConsoleLog.jsx';
 
 const StockfishInterface = () => {
+  const [engineId, setEngineId] = useState(() => loadPreference('consoleEngine', BUILTIN_ENGINE_ID));
+  const { engines, bridgeUrl, setBridgeUrl, bridgeError, refresh } = useEngineList();
+  const [bridgeInput, setBridgeInput] = useState(bridgeUrl || DEFAULT_BRIDGE_URL);
+  const [sidebarTab, setSidebarTab] = useState('commands');
   const [command, setCommand] = useState('');
   const [commandHistory, setCommandHistory] = useState([]);
   const [historyIndex, setHistoryIndex] = useState(-1);
-  const outputRef = useRef(null);
+  const [direction, setDirection] = useState('all');
+  const [hideInfo, setHideInfo] = useState(false);
+  const [bestmoveOnly, setBestmoveOnly] = useState(false);
+  const [search, setSearch] = useState('');
   const inputRef = useRef(null);
 
-  const { isLoaded, isReady, output, error, sendCommand, clearOutput } = useStockfish();
+  const {
+    isLoaded,
+    isReady,
+    log,
+    error,
+    engineName,
+    sendCommand,
+    engineOptions,
+    optionValues,
+    setEngineOption,
+    resetEngineOptions,
+    clearLog
+  } = useStockfish(engineId);
+
+  const { regex, error: searchError } = useMemo(() => compileSearch(search), [search]);
+  const visibleLog = useMemo(
+    () => filterLog(log, { direction, hideInfo, bestmoveOnly, regex }),
+    [log, direction, hideInfo, bestmoveOnly, regex]
+  );
+
+  const exportLog = (format) => {
+    const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+    if (format === 'json') {
+      downloadText(formatLogAsJson(log, { engine: engineName }), `engine-session-${stamp}.json`, 'application/json');
+    } else {
+      downloadText(formatLogAsText(log), `engine-session-${stamp}.log`);
+    }
+  };
+
+  useEffect(() => {
+    savePreference('consoleEngine', engineId);
+  }, [engineId]);
 
   // Sample commands for quick access
   const sampleCommands = [
@@ -29,12 +75,6 @@ const StockfishInterface = () => {
     'setoption name Clear Hash',
   ];
 
-  useEffect(() => {
-    if (outputRef.current) {
-      outputRef.current.scrollTop = outputRef.current.scrollHeight;
-    }
-  }, [output]);
-
   const handleSendCommand = () => {
     if (!command.trim() || !isLoaded) return;
 
@@ -106,14 +146,20 @@ const StockfishInterface = () => {
         <div className="flex items-center justify-between">
           <h1 className="text-2xl font-bold text-gray-900">Stockfish Interface</h1>
           <div className="flex items-center space-x-4">
+            <EngineSelect
+              engines={engines}
+              value={engineId}
+              onChange={setEngineId}
+              className="px-2 py-1 text-sm border border-gray-300 rounded-md"
+            />
             <span className={`font-medium ${getStatusColor()}`}>
               {getStatusText()}
             </span>
             <button
-              onClick={clearOutput}
+              onClick={clearLog}
               className="px-3 py-1 text-sm bg-gray-100 hover:bg-gray-200 rounded-md transition-colors"
             >
-              Clear Output
+              Clear Log
             </button>
           </div>
         </div>
@@ -122,15 +168,58 @@ const StockfishInterface = () => {
       <div className="flex-1 flex">
         {/* Main Content */}
         <div className="flex-1 flex flex-col">
+          {/* Log Filters */}
+          <div className="px-4 pt-4 flex flex-wrap items-center gap-3 text-sm">
+            <select
+              value={direction}
+              onChange={(e) => setDirection(e.target.value)}
+              className="px-2 py-1 border border-gray-300 rounded-md"
+            >
+              <option value="all">Sent and received</option>
+              <option value="sent">Sent only</option>
+              <option value="received">Received only</option>
+            </select>
+            <label className="flex items-center space-x-1">
+              <input type="checkbox" checked={hideInfo} onChange={(e) => setHideInfo(e.target.checked)} />
+              <span>Hide info</span>
+            </label>
+            <label className="flex items-center space-x-1">
+              <input type="checkbox" checked={bestmoveOnly} onChange={(e) => setBestmoveOnly(e.target.checked)} />
+              <span>Only bestmove</span>
+            </label>
+            <input
+              type="text"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              placeholder="Search (regex)"
+              title={searchError ?? undefined}
+              className={`flex-1 min-w-0 px-2 py-1 border rounded-md font-mono ${searchError ? 'border-red-500' : 'border-gray-300'}`}
+            />
+            <span className="text-gray-500" title={`The log keeps the last ${MAX_LOG_ENTRIES} lines`}>
+              {visibleLog.length} / {log.length} lines
+            </span>
+            <button
+              onClick={() => exportLog('log')}
+              disabled={!log.length}
+              className="px-3 py-1 bg-gray-100 hover:bg-gray-200 rounded-md transition-colors"
+            >
+              Export .log
+            </button>
+            <button
+              onClick={() => exportLog('json')}
+              disabled={!log.length}
+              className="px-3 py-1 bg-gray-100 hover:bg-gray-200 rounded-md transition-colors"
+            >
+              Export JSON
+            </button>
+          </div>
+
           {/* Output Area */}
-          <div className="flex-1 p-4">
+          <div className="flex-1 min-h-0 p-4">
             <div className="h-full bg-black rounded-lg p-4 overflow-hidden">
-              <textarea
-                ref={outputRef}
-                value={output}
-                readOnly
-                className="w-full h-full bg-transparent text-green-400 font-mono text-sm resize-none border-none outline-none"
-                placeholder="Stockfish output will appear here..."
+              <ConsoleLog
+                entries={visibleLog}
+                emptyText={log.length ? 'No lines match the filters.' : 'Engine output will appear here...'}
               />
             </div>
           </div>
@@ -162,32 +251,99 @@ const StockfishInterface = () => {
           </div>
         </div>
 
-        {/* Sidebar with Sample Commands */}
-        <div className="w-80 bg-white border-l p-4">
-          <h3 className="font-semibold text-gray-900 mb-3">Sample Commands</h3>
-          <div className="space-y-1">
-            {sampleCommands.map((cmd, index) => (
+        {/* Sidebar with sample commands and the engine's options */}
+        <div className="w-80 bg-white border-l p-4 overflow-y-auto">
+          <div className="flex space-x-1 mb-4">
+            {[['commands', 'Commands'], ['options', 'Options']].map(([id, label]) => (
               <button
-                key={index}
-                onClick={() => handleSampleCommand(cmd)}
-                className="w-full text-left px-3 py-2 text-sm bg-gray-50 hover:bg-gray-100 rounded-md transition-colors font-mono"
-                disabled={!isLoaded}
+                key={id}
+                onClick={() => setSidebarTab(id)}
+                className={`flex-1 px-3 py-1 text-sm rounded-md transition-colors ${
+                  sidebarTab === id ? 'bg-blue-600 text-white' : 'bg-gray-100 hover:bg-gray-200'
+                }`}
               >
-                {cmd}
+                {label}
               </button>
             ))}
           </div>
+
+          {sidebarTab === 'options' ? (
+            <EngineOptionsPanel
+              options={engineOptions}
+              values={optionValues}
+              onChange={setEngineOption}
+              onResetAll={resetEngineOptions}
+              disabled={!isLoaded}
+            />
+          ) : (
+            <>
+              <h3 className="font-semibold text-gray-900 mb-3">Sample Commands</h3>
+              <div className="space-y-1">
+                {sampleCommands.map((cmd, index) => (
+                  <button
+                    key={index}
+                    onClick={() => handleSampleCommand(cmd)}
+                    className="w-full text-left px-3 py-2 text-sm bg-gray-50 hover:bg-gray-100 rounded-md transition-colors font-mono"
+                    disabled={!isLoaded}
+                  >
+                    {cmd}
+                  </button>
+                ))}
+              </div>
           
-          <div className="mt-6">
-            <h4 className="font-medium text-gray-900 mb-2">Quick Start</h4>
-            <div className="text-sm text-gray-600 space-y-2">
-              <p>1. Wait for "Ready" status</p>
-              <p>2. Send "uci" to initialize</p>
-              <p>3. Send "isready" to confirm</p>
-              <p>4. Set position with "position startpos"</p>
-              <p>5. Analyze with "go depth 10"</p>
-            </div>
-          </div>
+              <div className="mt-6">
+                <h4 className="font-medium text-gray-900 mb-2">Engine Bridge</h4>
+                <p className="text-sm text-gray-600 mb-2">
+                  Run <code>npm run bridge -- --engine name=/path/to/engine</code> to
+                  use engines installed on this machine.
+                </p>
+                <div className="flex space-x-2">
+                  <input
+                    type="text"
+                    value={bridgeInput}
+                    onChange={(e) => setBridgeInput(e.target.value)}
+                    className="flex-1 min-w-0 px-2 py-1 text-sm border border-gray-300 rounded-md font-mono"
+                  />
+                  {bridgeUrl && bridgeUrl === bridgeInput.trim() ? (
+                    <button
+                      onClick={() => setBridgeUrl('')}
+                      className="px-3 py-1 text-sm bg-gray-100 hover:bg-gray-200 rounded-md transition-colors"
+                    >
+                      Disconnect
+                    </button>
+                  ) : (
+                    <button
+                      onClick={() => setBridgeUrl(bridgeInput.trim())}
+                      disabled={!bridgeInput.trim()}
+                      className="px-3 py-1 text-sm bg-gray-100 hover:bg-gray-200 rounded-md transition-colors"
+                    >
+                      Connect
+                    </button>
+                  )}
+                </div>
+                {bridgeUrl && (
+                  <p className="text-xs mt-1">
+                    {bridgeError
+                      ? <span className="text-red-600">{bridgeError}</span>
+                      : <span className="text-gray-500">{engines.length - 1} bridged engine(s)</span>}
+                    {' '}
+                    <button onClick={refresh} className="text-blue-600 hover:underline">Refresh</button>
+                  </p>
+                )}
+              </div>
+
+              <div className="mt-6">
+                <h4 className="font-medium text-gray-900 mb-2">Quick Start</h4>
+                <div className="text-sm text-gray-600 space-y-2">
+                  <p>1. Wait for "Ready" status</p>
+                  <p>2. Send "uci" to initialize</p>
+                  <p>3. Send "isready" to confirm</p>
+                  <p>4. Set position with "position startpos"</p>
+                  <p>5. Analyze with "go depth 10"</p>
+                </div>
+              </div>
+            </>
+          )}
         </div>
       </div>
     </div>
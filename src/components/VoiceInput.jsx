@@ -0,0 +1,114 @@
+import { useState, useEffect } from 'react';
+import { useSpeechRecognition } from '../hooks/useSpeechRecognition.js';
+import { parseSpokenMove } from '../lib/voice-moves.js';
+
+/**
+ * Picks the most useful reading among a phrase's alternative transcripts:
+ * the first one naming a single move, else one that at least narrows it down
+ */
+const parseAlternatives = (alternatives, fen, options) => {
+  let best = null;
+
+  for (const text of alternatives) {
+    let result = parseSpokenMove(text, fen, options);
+    // An answer that doesn't fit the question may be a new move instead
+    if (result.status === 'invalid' && options.candidates) {
+      result = parseSpokenMove(text, fen, { ...options, candidates: null });
+    }
+
+    if (result.status === 'ok') return { text, result };
+    if (!best || (best.result.status === 'invalid' && result.status === 'ambiguous')) {
+      best = { text, result };
+    }
+  }
+
+  return best;
+};
+
+/**
+ * Move input by voice (Web Speech API) or typed phrases such as
+ * "knight to f3", "e takes d5" or "castle kingside"
+ */
+const VoiceInput = ({ fen, enabled, autoQueen, onMove }) => {
+  const [candidates, setCandidates] = useState(null);
+  const [heard, setHeard] = useState('');
+  const [feedback, setFeedback] = useState('');
+  const [typed, setTyped] = useState('');
+
+  // A question about the previous position doesn't apply any more
+  useEffect(() => {
+    setCandidates(null);
+  }, [fen]);
+
+  const handlePhrase = (alternatives) => {
+    const texts = alternatives.filter(Boolean);
+    if (!texts.length) return;
+
+    if (!enabled) {
+      setHeard(texts[0]);
+      setFeedback("It's not your move.");
+      return;
+    }
+
+    const { text, result } = parseAlternatives(texts, fen, { candidates, autoQueen });
+    setHeard(text);
+
+    if (result.status === 'ok') {
+      setCandidates(null);
+      setFeedback(`Playing ${result.move.san}`);
+      onMove(result.move);
+    } else if (result.status === 'ambiguous') {
+      setCandidates(result.candidates);
+      setFeedback(result.question);
+    } else {
+      setFeedback(result.reason);
+    }
+  };
+
+  const { supported, listening, error, start, stop } = useSpeechRecognition(handlePhrase);
+
+  const handleTypedSubmit = (e) => {
+    e.preventDefault();
+    if (!typed.trim()) return;
+    handlePhrase([typed.trim()]);
+    setTyped('');
+  };
+
+  return (
+    <div className="voice-input">
+      <div className="voice-input-controls">
+        {supported ? (
+          <button
+            onClick={listening ? stop : start}
+            className={listening ? 'voice-btn listening' : 'voice-btn'}
+            aria-pressed={listening}
+          >
+            {listening ? '🎙️ Stop listening' : '🎤 Voice moves'}
+          </button>
+        ) : (
+          <span className="voice-note">Voice input isn't supported in this browser; type moves instead.</span>
+        )}
+
+        <form onSubmit={handleTypedSubmit} className="voice-typed">
+          <input
+            type="text"
+            value={typed}
+            onChange={(e) => setTyped(e.target.value)}
+            placeholder={candidates ? 'Answer the question...' : 'Type a move, e.g. knight to f3'}
+            aria-label="Move phrase"
+          />
+          <button type="submit" disabled={!typed.trim()}>Play</button>
+        </form>
+      </div>
+
+      {error && <div className="voice-error">{error}</div>}
+      {(heard || feedback) && (
+        <div className="voice-feedback" aria-live="polite">
+          {heard && <span className="voice-heard">“{heard}”</span>} {feedback}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default VoiceInput;
@@ -0,0 +1,53 @@
+import { useState, useRef, useEffect, useCallback } from 'react';
+
+const getSpeechSynthesis = () => {
+  if (typeof window === 'undefined') return null;
+  return window.speechSynthesis ?? null;
+};
+
+/**
+ * Custom hook that keeps the latest announcement for an ARIA live region
+ * and, when speech is on, speaks it with the Web Speech API. Screen readers
+ * get every announcement either way. The message has an id that changes on
+ * every announcement, so repeating the same text is read out again.
+ *
+ * @param {boolean} speak - Announcements are spoken aloud too
+ * @param {Object} [options]
+ * @param {string} [options.lang] - Speech language
+ */
+export const useAnnouncer = (speak, { lang = 'en-US' } = {}) => {
+  const nextIdRef = useRef(0);
+  const [message, setMessage] = useState({ id: 0, text: '' });
+
+  const speechSynthesis = getSpeechSynthesis();
+
+  // Urgent announcements cut off whatever is being spoken
+  const announce = useCallback((text, { interrupt = false } = {}) => {
+    if (!text) return;
+
+    nextIdRef.current += 1;
+    setMessage({ id: nextIdRef.current, text });
+
+    if (speak && speechSynthesis) {
+      if (interrupt) speechSynthesis.cancel();
+      const utterance = new SpeechSynthesisUtterance(text);
+      utterance.lang = lang;
+      speechSynthesis.speak(utterance);
+    }
+  }, [speak, lang, speechSynthesis]);
+
+  // Turning speech off silences the queue too
+  useEffect(() => {
+    if (!speak) speechSynthesis?.cancel();
+  }, [speak, speechSynthesis]);
+
+  useEffect(() => {
+    return () => speechSynthesis?.cancel();
+  }, [speechSynthesis]);
+
+  return {
+    supported: Boolean(speechSynthesis),
+    message,
+    announce
+  };
+};
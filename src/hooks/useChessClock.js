@@ -0,0 +1,184 @@
+import { useState, useRef, useEffect, useCallback } from 'react';
+import { getRunningTime, chargeMove } from '../lib/time-control.js';
+
+// How often a running clock is redrawn
+const TICK_MS = 100;
+
+const otherColor = (color) => color === 'white' ? 'black' : 'white';
+
+// Time spent on the current turn while the clock was actually running
+const getElapsed = (clock) => {
+  if (!clock.active || clock.paused) return clock.elapsed;
+  return clock.elapsed + Date.now() - clock.startedAt;
+};
+
+/**
+ * Custom hook for a two-sided chess clock.
+ * The clock only changes hands through press/switchTo, so browsing through
+ * earlier moves doesn't affect it. The time control is fixed per game and
+ * changed with reset.
+ *
+ * @param {Object|null} initialTimeControl - See time-control.js; null for untimed
+ * @param {Object} [options]
+ * @param {boolean} [options.pauseWhenHidden] - Stop the clock while the tab is hidden
+ */
+export const useChessClock = (initialTimeControl, { pauseWhenHidden = false } = {}) => {
+  const baseMs = initialTimeControl?.baseMs ?? 0;
+
+  // Remaining times are as of the start of the current turn; elapsed counts
+  // the time spent on it while the clock was actually running
+  const clockRef = useRef({
+    timeControl: initialTimeControl,
+    remaining: { white: baseMs, black: baseMs },
+    active: null,
+    startedAt: 0,
+    elapsed: 0,
+    paused: false
+  });
+
+  const [timeControl, setTimeControl] = useState(initialTimeControl);
+  const [clocks, setClocks] = useState({ white: baseMs, black: baseMs });
+  const [activeColor, setActiveColor] = useState(null);
+  const [flagged, setFlagged] = useState(null);
+  const [paused, setPaused] = useState(false);
+
+  // Current time on both clocks, counting the turn in progress
+  const getSnapshot = useCallback(() => {
+    const clock = clockRef.current;
+    const times = { ...clock.remaining };
+    if (clock.active && clock.timeControl) {
+      times[clock.active] = getRunningTime(times[clock.active], getElapsed(clock), clock.timeControl);
+    }
+    return { ...times, active: clock.active };
+  }, []);
+
+  // Redraw and detect flag fall
+  const publish = useCallback(() => {
+    const snapshot = getSnapshot();
+    const clock = clockRef.current;
+
+    if (clock.active && snapshot[clock.active] <= 0) {
+      clock.remaining[clock.active] = 0;
+      setFlagged(clock.active);
+      clock.active = null;
+      snapshot.active = null;
+    }
+
+    setClocks({ white: Math.max(0, snapshot.white), black: Math.max(0, snapshot.black) });
+    setActiveColor(clock.active);
+  }, [getSnapshot]);
+
+  const startTurn = useCallback((color) => {
+    const clock = clockRef.current;
+    clock.active = color;
+    clock.startedAt = Date.now();
+    clock.elapsed = 0;
+    publish();
+  }, [publish]);
+
+  // Stop the running clock, charging the time used with or without the move bonus
+  const endTurn = useCallback((withBonus) => {
+    const clock = clockRef.current;
+    if (!clock.active || !clock.timeControl) return;
+
+    const remaining = clock.remaining[clock.active];
+    clock.remaining[clock.active] = withBonus
+      ? chargeMove(remaining, getElapsed(clock), clock.timeControl)
+      : getRunningTime(remaining, getElapsed(clock), clock.timeControl);
+    clock.active = null;
+  }, []);
+
+  // The side that just moved hands the clock over to its opponent
+  const press = useCallback((color) => {
+    const clock = clockRef.current;
+    if (!clock.timeControl || flagged) return;
+
+    if (clock.active === color) {
+      endTurn(true);
+    }
+    startTurn(otherColor(color));
+  }, [flagged, endTurn, startTurn]);
+
+  // Give the clock to a side without a move being made, e.g. after a takeback
+  const switchTo = useCallback((color) => {
+    const clock = clockRef.current;
+    if (!clock.timeControl || flagged || !clock.active) return;
+
+    endTurn(false);
+    startTurn(color);
+  }, [flagged, endTurn, startTurn]);
+
+  // Start a side's clock, e.g. when resuming a saved game
+  const start = useCallback((color) => {
+    if (!clockRef.current.timeControl || flagged) return;
+    startTurn(color);
+  }, [flagged, startTurn]);
+
+  const stop = useCallback(() => {
+    endTurn(false);
+    publish();
+  }, [endTurn, publish]);
+
+  // New time control and times; stopped until the next press
+  const reset = useCallback((nextTimeControl, times) => {
+    const base = nextTimeControl?.baseMs ?? 0;
+    Object.assign(clockRef.current, {
+      timeControl: nextTimeControl,
+      remaining: { white: times?.white ?? base, black: times?.black ?? base },
+      active: null,
+      startedAt: 0,
+      elapsed: 0
+    });
+    setTimeControl(nextTimeControl);
+    setFlagged(null);
+    publish();
+  }, [publish]);
+
+  // Tick while a clock is running
+  useEffect(() => {
+    if (!activeColor || paused) return;
+
+    const timer = setInterval(publish, TICK_MS);
+    return () => clearInterval(timer);
+  }, [activeColor, paused, publish]);
+
+  // Optionally hold the clock while the player can't see the board
+  useEffect(() => {
+    const clock = clockRef.current;
+
+    const setHidden = (hidden) => {
+      if (hidden === clock.paused) return;
+      if (hidden) {
+        clock.elapsed = getElapsed(clock);
+      } else {
+        clock.startedAt = Date.now();
+      }
+      clock.paused = hidden;
+      setPaused(hidden);
+    };
+
+    if (!pauseWhenHidden) {
+      setHidden(false);
+      return;
+    }
+
+    const handleVisibilityChange = () => setHidden(document.hidden);
+    handleVisibilityChange();
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    return () => document.removeEventListener('visibilitychange', handleVisibilityChange);
+  }, [pauseWhenHidden]);
+
+  return {
+    timeControl,
+    clocks,
+    activeColor,
+    flagged,
+    paused,
+    getSnapshot,
+    press,
+    switchTo,
+    start,
+    stop,
+    reset
+  };
+};
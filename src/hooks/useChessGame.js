@@ -1,13 +1,31 @@
-import { useState, useRef, useCallback } from 'react';
-import { Chess } from 'chess.js';
+import { useState, useRef, useCallback, useMemo } from 'react';
+import { Chess, DEFAULT_POSITION } from 'chess.js';
+import { createMoveTree, addMove, getPathToNode, getLineEnd, promoteVariation } from '../lib/move-tree.js';
+import { findOpening } from '../lib/openings.js';
 
 /**
- * Custom hook for managing chess game state and logic
+ * Custom hook for managing chess game state and logic.
+ * Moves are kept in a tree (see move-tree.js) so earlier positions can be
+ * revisited and alternative moves become side variations; `chessGame` always
+ * reflects the currently selected node.
+ *
+ * @param {string} [initialFen] - Position the first game starts from
  */
-export const useChessGame = () => {
-  const chessGameRef = useRef(new Chess());
+export const useChessGame = (initialFen = DEFAULT_POSITION) => {
+  const chessGameRef = useRef(null);
+  if (!chessGameRef.current) {
+    chessGameRef.current = new Chess(initialFen);
+  }
   const chessGame = chessGameRef.current;
-  
+
+  const treeRef = useRef(null);
+  if (!treeRef.current) {
+    treeRef.current = createMoveTree(initialFen);
+  }
+  const currentNodeIdRef = useRef(treeRef.current.rootId);
+
+  const [tree, setTree] = useState(treeRef.current);
+  const [currentNodeId, setCurrentNodeId] = useState(currentNodeIdRef.current);
   const [chessPosition, setChessPosition] = useState(chessGame.fen());
   const [moveFrom, setMoveFrom] = useState('');
   const [optionSquares, setOptionSquares] = useState({});
@@ -26,6 +44,27 @@ export const useChessGame = () => {
     }
   }, [chessGame]);
 
+  // Publish a tree/node pair; replays the moves unless chessGame is already there
+  const showNode = useCallback((nextTree, nodeId, { replay = true } = {}) => {
+    if (replay) {
+      chessGame.load(nextTree.startFen);
+      getPathToNode(nextTree, nodeId).forEach(node => {
+        if (node.move) {
+          chessGame.move({ from: node.move.from, to: node.move.to, promotion: node.move.promotion });
+        }
+      });
+    }
+
+    treeRef.current = nextTree;
+    currentNodeIdRef.current = nodeId;
+    setTree(nextTree);
+    setCurrentNodeId(nodeId);
+    setChessPosition(chessGame.fen());
+    setMoveFrom('');
+    setOptionSquares({});
+    updateGameStatus();
+  }, [chessGame, updateGameStatus]);
+
   // Get move options for a square
   const getMoveOptions = useCallback((square) => {
     console.log('🔍 Getting moves for square:', square);
@@ -42,10 +81,10 @@ export const useChessGame = () => {
     }
 
     const newSquares = {};
-    
+
     for (const move of moves) {
       newSquares[move.to] = {
-        background: chessGame.get(move.to) && chessGame.get(move.to)?.color !== chessGame.get(square)?.color 
+        background: chessGame.get(move.to) && chessGame.get(move.to)?.color !== chessGame.get(square)?.color
           ? 'radial-gradient(circle, rgba(0,0,0,.1) 85%, transparent 85%)'
           : 'radial-gradient(circle, rgba(0,0,0,.1) 25%, transparent 25%)',
         borderRadius: '50%'
@@ -61,56 +100,107 @@ export const useChessGame = () => {
     return true;
   }, [chessGame]);
 
-  // Make a move
-  const makeMove = useCallback((from, to, promotion = 'q') => {
+  // Make a move from the current node, creating a variation if the node already continues.
+  // With `mainline` the move becomes the main continuation instead, and a move that was
+  // already played there carries on to the end of its line.
+  const makeMove = useCallback((from, to, promotion = 'q', { mainline = false } = {}) => {
     try {
       const move = chessGame.move({
         from,
         to,
         promotion
       });
-      
+
       if (move) {
-        setChessPosition(chessGame.fen());
-        updateGameStatus();
-        setMoveFrom('');
-        setOptionSquares({});
-        return true;
+        const parent = treeRef.current.nodes[currentNodeIdRef.current];
+        const { tree: addedTree, nodeId } = addMove(treeRef.current, parent.id, move, chessGame.fen());
+        if (!mainline) {
+          showNode(addedTree, nodeId, { replay: false });
+        } else if (parent.children.includes(nodeId)) {
+          const nextTree = promoteVariation(addedTree, nodeId);
+          showNode(nextTree, getLineEnd(nextTree, nodeId));
+        } else {
+          showNode(promoteVariation(addedTree, nodeId), nodeId, { replay: false });
+        }
+        return move;
       }
     } catch (error) {
       console.error('Invalid move:', error);
     }
-    return false;
-  }, [chessGame, updateGameStatus]);
+    return null;
+  }, [chessGame, showNode]);
 
-  // Update position (for when external code modifies chessGame directly)
-  const updatePosition = useCallback(() => {
-    setChessPosition(chessGame.fen());
-    updateGameStatus();
-  }, [chessGame, updateGameStatus]);
+  // Navigation through the move tree
+  const goToNode = useCallback((nodeId) => {
+    if (!treeRef.current.nodes[nodeId] || nodeId === currentNodeIdRef.current) return;
+    showNode(treeRef.current, nodeId);
+  }, [showNode]);
 
-  // Reset game
-  const resetGame = useCallback(() => {
-    chessGame.reset();
-    setChessPosition(chessGame.fen());
-    setMoveFrom('');
-    setOptionSquares({});
-    setGameStatus('active');
-    updateGameStatus();
-  }, [chessGame, updateGameStatus]);
+  // Returns the id of the node gone back to
+  const goBack = useCallback((plies = 1) => {
+    let node = treeRef.current.nodes[currentNodeIdRef.current];
+    for (let i = 0; i < plies && node.parentId !== null; i++) {
+      node = treeRef.current.nodes[node.parentId];
+    }
+    goToNode(node.id);
+    return node.id;
+  }, [goToNode]);
+
+  const goForward = useCallback(() => {
+    const node = treeRef.current.nodes[currentNodeIdRef.current];
+    if (node.children.length) {
+      goToNode(node.children[0]);
+    }
+  }, [goToNode]);
+
+  const goToStart = useCallback(() => {
+    goToNode(treeRef.current.rootId);
+  }, [goToNode]);
+
+  const goToEnd = useCallback(() => {
+    goToNode(getLineEnd(treeRef.current, currentNodeIdRef.current));
+  }, [goToNode]);
+
+  // Reset game, optionally from a set-up position
+  const resetGame = useCallback((startFen = DEFAULT_POSITION) => {
+    chessGame.load(startFen);
+    showNode(createMoveTree(startFen), 0, { replay: false });
+  }, [chessGame, showNode]);
+
+  // Replace the whole game, e.g. with an imported one
+  const loadTree = useCallback((nextTree, nodeId = nextTree.rootId) => {
+    showNode(nextTree, nodeId);
+  }, [showNode]);
+
+  const currentNode = tree.nodes[currentNodeId];
+
+  // Opening of the line leading to the current position; it stays once the line leaves theory
+  const opening = useMemo(() => {
+    return findOpening(getPathToNode(tree, currentNodeId).map(node => node.fen));
+  }, [tree, currentNodeId]);
 
   return {
     chessGame,
     chessPosition,
+    tree,
+    currentNodeId,
+    canGoBack: currentNode.parentId !== null,
+    canGoForward: currentNode.children.length > 0,
     moveFrom,
     setMoveFrom,
     optionSquares,
     setOptionSquares,
     gameStatus,
+    opening,
     getMoveOptions,
     makeMove,
+    goToNode,
+    goBack,
+    goForward,
+    goToStart,
+    goToEnd,
     resetGame,
-    updateGameStatus,
-    updatePosition
+    loadTree,
+    updateGameStatus
   };
 };
@@ -0,0 +1,43 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { BUILTIN_ENGINE, fetchBridgeEngines } from '../lib/engine-registry.js';
+import { loadPreference, savePreference } from '../lib/preferences.js';
+
+/**
+ * Custom hook listing the engines to choose from: the built-in one, plus
+ * those of the UCI bridge when one is set up. The bridge URL is a saved
+ * preference; it is empty until the player connects to a bridge, so nobody
+ * without one gets failed requests on every load.
+ */
+export const useEngineList = () => {
+  const [bridgeUrl, setBridgeUrl] = useState(() => loadPreference('bridgeUrl', ''));
+  const [bridgedEngines, setBridgedEngines] = useState([]);
+  const [bridgeError, setBridgeError] = useState(null);
+  const [refreshCount, setRefreshCount] = useState(0);
+
+  useEffect(() => {
+    savePreference('bridgeUrl', bridgeUrl);
+    setBridgeError(null);
+
+    if (!bridgeUrl) {
+      setBridgedEngines([]);
+      return;
+    }
+
+    const controller = new AbortController();
+    fetchBridgeEngines(bridgeUrl, { signal: controller.signal })
+      .then(setBridgedEngines)
+      .catch((error) => {
+        if (controller.signal.aborted) return;
+        setBridgedEngines([]);
+        setBridgeError(`Could not reach the bridge at ${bridgeUrl}: ${error.message}`);
+      });
+
+    return () => controller.abort();
+  }, [bridgeUrl, refreshCount]);
+
+  const engines = useMemo(() => [BUILTIN_ENGINE, ...bridgedEngines], [bridgedEngines]);
+
+  const refresh = useCallback(() => setRefreshCount(count => count + 1), []);
+
+  return { engines, bridgeUrl, setBridgeUrl, bridgeError, refresh };
+};
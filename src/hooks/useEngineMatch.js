@@ -0,0 +1,177 @@
+import { useState, useRef, useEffect, useCallback } from 'react';
+import { Chess } from 'chess.js';
+import { useEnginePool } from './useEnginePool.js';
+import { ENGINE_PRIORITY } from '../lib/engine-pool.js';
+import { uciToMove } from '../lib/chess-utils.js';
+import { createMoveTree, addMove } from '../lib/move-tree.js';
+import { exportPgn, formatPgnDate } from '../lib/pgn.js';
+import {
+  scheduleMatch,
+  getEngineOptions,
+  getEngineLimits,
+  getMatchGameOutcome,
+  describeEngineConfig,
+  summarizeMatch
+} from '../lib/engine-match.js';
+
+/**
+ * Applies a side's settings to its leased engine; the pool undoes them on release
+ */
+const configureEngine = async (lease, config) => {
+  for (const [name, value] of Object.entries(getEngineOptions(config))) {
+    await lease.setOption(name, value);
+  }
+  await lease.engine.isReady();
+};
+
+/**
+ * Plays one game between the two engines
+ * @returns {Promise<{tree: Object, result: string, termination: string}|null>} Null if stopped
+ */
+const playGame = async (engines, configs, game, signal, onPosition) => {
+  const chessGame = new Chess(game.fen);
+  const moves = [];
+  let tree = createMoveTree(game.fen);
+  let nodeId = tree.rootId;
+
+  for (const engine of Object.values(engines)) {
+    engine.newGame();
+    await engine.isReady();
+  }
+
+  let outcome = getMatchGameOutcome(chessGame, 0);
+  while (!outcome) {
+    const side = chessGame.turn() === 'w' ? game.white : game.black;
+    const { bestmove } = await engines[side].go({
+      fen: game.fen,
+      moves,
+      ...getEngineLimits(configs[side]),
+      signal
+    });
+    if (signal.aborted) return null;
+
+    const move = chessGame.move(uciToMove(bestmove));
+    moves.push(move.lan);
+    ({ tree, nodeId } = addMove(tree, nodeId, move, chessGame.fen()));
+    onPosition(chessGame.fen());
+
+    outcome = getMatchGameOutcome(chessGame, moves.length);
+  }
+
+  return { tree, ...outcome };
+};
+
+/**
+ * Custom hook for engine-vs-engine matches. Each side leases an engine from
+ * the shared pool for the whole match, set up with the side's settings, so
+ * the pool has to allow at least two engines.
+ *
+ * match: { status ('running', 'done', 'stopped' or 'error'), configs, games,
+ * position, summary, error }; each game is { round, fen, white, black, result,
+ * termination, plies, pgn } and result stays null until it has been played.
+ */
+export const useEngineMatch = () => {
+  const pool = useEnginePool();
+  const controllerRef = useRef(null);
+  const [match, setMatch] = useState(null);
+
+  const stopMatch = useCallback(() => {
+    controllerRef.current?.abort();
+  }, []);
+
+  /**
+   * @param {Object} options
+   * @param {{a: Object, b: Object}} options.configs - Settings of the two sides
+   * @param {number} options.gameCount - Games to play
+   * @param {Array<string>} [options.openings] - Starting positions, each played with both colors
+   */
+  const startMatch = useCallback(async ({ configs, gameCount, openings }) => {
+    controllerRef.current?.abort();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+
+    const games = scheduleMatch(gameCount, openings).map(game => ({
+      ...game,
+      result: null,
+      termination: null,
+      plies: 0,
+      pgn: null
+    }));
+    const names = {
+      a: `A: ${describeEngineConfig(configs.a)}`,
+      b: `B: ${describeEngineConfig(configs.b)}`
+    };
+    const date = formatPgnDate();
+
+    const publish = (changes) => {
+      if (controllerRef.current !== controller) return;
+      setMatch(previous => {
+        const next = { ...previous, ...changes };
+        return { ...next, summary: summarizeMatch(next.games) };
+      });
+    };
+
+    setMatch({ status: 'running', configs, games, position: games[0]?.fen ?? null, summary: summarizeMatch([]), error: null });
+
+    const leases = [];
+    const engines = {};
+    try {
+      if (pool.maxEngines < 2) {
+        throw new Error('A match needs two engines; raise the engine limit');
+      }
+      for (const side of ['a', 'b']) {
+        const lease = await pool.acquire({ priority: ENGINE_PRIORITY.background, signal: controller.signal });
+        leases.push(lease);
+        await configureEngine(lease, configs[side]);
+        engines[side] = lease.engine;
+      }
+
+      for (let index = 0; index < games.length; index++) {
+        const game = games[index];
+        publish({ position: game.fen });
+
+        const played = await playGame(engines, configs, game, controller.signal, (fen) => publish({ position: fen }));
+        if (!played) break;
+
+        const pgn = exportPgn(played.tree, {
+          Event: 'Engine match',
+          Site: 'chess-experiments',
+          Date: date,
+          Round: String(game.round),
+          White: names[game.white],
+          Black: names[game.black],
+          Result: played.result,
+          Termination: played.termination
+        });
+        games[index] = {
+          ...game,
+          result: played.result,
+          termination: played.termination,
+          plies: played.tree.nextId - 1,
+          pgn
+        };
+        publish({ games: [...games] });
+      }
+
+      publish({ status: controller.signal.aborted ? 'stopped' : 'done' });
+    } catch (error) {
+      if (controller.signal.aborted) {
+        publish({ status: 'stopped' });
+      } else {
+        console.error('Engine match failed:', error);
+        publish({ status: 'error', error: error.message });
+      }
+    } finally {
+      leases.forEach(lease => lease.release());
+      if (controllerRef.current === controller) {
+        controllerRef.current = null;
+      }
+    }
+  }, [pool]);
+
+  useEffect(() => {
+    return () => controllerRef.current?.abort();
+  }, []);
+
+  return { match, startMatch, stopMatch };
+};
@@ -0,0 +1,18 @@
+import { createContext, useContext } from 'react';
+
+/**
+ * The app's shared EnginePool, provided by EnginePoolProvider
+ */
+export const EnginePoolContext = createContext(null);
+
+/**
+ * Custom hook returning the shared engine pool (see engine-pool.js)
+ * @returns {import('../lib/engine-pool.js').EnginePool}
+ */
+export const useEnginePool = () => {
+  const pool = useContext(EnginePoolContext);
+  if (!pool) {
+    throw new Error('useEnginePool must be used inside an EnginePoolProvider');
+  }
+  return pool;
+};
@@ -0,0 +1,146 @@
+import { useState, useRef, useEffect, useCallback } from 'react';
+import { useEnginePool } from './useEnginePool.js';
+import { ENGINE_PRIORITY } from '../lib/engine-pool.js';
+import { getMainline } from '../lib/move-tree.js';
+import { uciLineToSan } from '../lib/chess-utils.js';
+import { toWhitePerspective, getWinningChances } from '../lib/evaluation.js';
+import { evaluatePosition, reviewMove, summarizeReview, ERROR_LABELS } from '../lib/game-review.js';
+import { findPuzzleCandidates, hasUniqueWin } from '../lib/puzzles.js';
+
+// Depth each position is searched to; enough to catch most tactical errors
+const REVIEW_DEPTH = 14;
+
+// Moves shown after a better alternative
+const ALTERNATIVE_LINE_PLIES = 6;
+
+/**
+ * Custom hook reviewing a finished game: every position of the mainline is
+ * evaluated in the background on a shared engine, one position per job so
+ * more urgent work can go first, and each move is
+ * labelled by how much it lost. Results are published after every position
+ * so they can be shown while the review runs. A finished review also lists
+ * puzzle candidates (see puzzles.js); puzzles is null until they are searched.
+ *
+ * @param {number} [depth] - Search depth per position
+ */
+export const useGameReview = (depth = REVIEW_DEPTH) => {
+  const pool = useEnginePool();
+  const controllerRef = useRef(null);
+  const [review, setReview] = useState(null);
+
+  useEffect(() => {
+    return () => controllerRef.current?.abort();
+  }, []);
+
+  const cancelReview = useCallback(() => {
+    controllerRef.current?.abort();
+  }, []);
+
+  const clearReview = useCallback(() => {
+    controllerRef.current?.abort();
+    controllerRef.current = null;
+    setReview(null);
+  }, []);
+
+  // Review the mainline of a move tree
+  const startReview = useCallback(async (tree) => {
+    controllerRef.current?.abort();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+
+    const nodes = [tree.nodes[tree.rootId], ...getMainline(tree)];
+    const uciMoves = nodes.slice(1).map(node => node.move.uci);
+    const positions = [];
+    const moves = [];
+    let puzzles = null;
+
+    // Only the latest review gets to publish
+    const publish = (status) => {
+      if (controllerRef.current !== controller) return;
+      setReview({
+        status,
+        total: nodes.length,
+        positions: [...positions],
+        moves: [...moves],
+        summary: status === 'running' ? null : summarizeReview(moves),
+        puzzles: puzzles && [...puzzles]
+      });
+    };
+
+    publish('running');
+
+    try {
+      for (let ply = 0; ply < nodes.length; ply++) {
+        const node = nodes[ply];
+        const evaluation = await evaluatePosition(
+          (options) => pool.run(
+            ({ engine }) => engine.go(options),
+            { priority: ENGINE_PRIORITY.background, signal: controller.signal }
+          ),
+          { startFen: tree.startFen, moves: uciMoves.slice(0, ply), fen: node.fen, depth, signal: controller.signal }
+        );
+        // A stopped search returns early with a shallow result; don't use it
+        if (controller.signal.aborted) break;
+
+        const turn = node.fen.split(' ')[1];
+        positions.push({
+          nodeId: node.id,
+          fen: node.fen,
+          ...evaluation,
+          whiteScore: toWhitePerspective(evaluation.score, turn),
+          // Computed before flipping sides, since "mate 0" has no sign to flip
+          whiteChances: getWinningChances(evaluation.score) * (turn === 'w' ? 1 : -1)
+        });
+
+        if (ply > 0) {
+          const before = positions[ply - 1];
+          const move = { ...node.move, nodeId: node.id, moveNumber: node.moveNumber };
+          const result = reviewMove(move, before, evaluation);
+          const alternative = ERROR_LABELS.includes(result.label) && before.bestmove
+            ? uciLineToSan(before.fen, before.pv.length ? before.pv : [before.bestmove]).slice(0, ALTERNATIVE_LINE_PLIES)
+            : null;
+
+          moves.push({
+            ...move,
+            ...result,
+            fenBefore: before.fen,
+            bestSan: alternative?.[0] ?? null,
+            bestLine: alternative
+          });
+        }
+
+        publish('running');
+      }
+
+      // Blunders that left the opponent a single clearly winning move become puzzles
+      if (!controller.signal.aborted) {
+        const found = [];
+        for (const candidate of findPuzzleCandidates(positions, moves)) {
+          const { info } = await pool.run(async (lease) => {
+            await lease.setOption('MultiPV', 2);
+            return lease.engine.go({ fen: candidate.fen, depth, signal: controller.signal });
+          }, { priority: ENGINE_PRIORITY.background, signal: controller.signal });
+          if (controller.signal.aborted) break;
+          if (hasUniqueWin(info)) found.push({ ...candidate, line: info[0].pv ?? candidate.line });
+        }
+        puzzles = found;
+      }
+
+      publish(controller.signal.aborted ? 'cancelled' : 'done');
+    } catch (error) {
+      if (controller.signal.aborted) {
+        publish('cancelled');
+      } else {
+        console.error('Game review failed:', error);
+        publish('error');
+      }
+    }
+  }, [pool, depth]);
+
+  return {
+    review,
+    startReview,
+    cancelReview,
+    clearReview
+  };
+};
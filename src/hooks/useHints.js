@@ -0,0 +1,131 @@
+import { useState, useRef, useEffect, useCallback } from 'react';
+import { useEnginePool } from './useEnginePool.js';
+import { ENGINE_PRIORITY } from '../lib/engine-pool.js';
+import { uciToMove, uciLineToSan, getNullMoveFen } from '../lib/chess-utils.js';
+
+// Hints and threats only need a quick look
+const HINT_MOVETIME_MS = 800;
+const THREAT_MOVETIME_MS = 500;
+
+/**
+ * Custom hook for hints and threats, searched at full strength on a shared
+ * engine so the game engine's difficulty settings don't weaken them.
+ * Results carry the position they belong to; callers show them only while
+ * the board is still there.
+ */
+export const useHints = () => {
+  const pool = useEnginePool();
+  const hintControllerRef = useRef(null);
+  const threatControllerRef = useRef(null);
+  const [hint, setHint] = useState(null);
+  const [threat, setThreat] = useState(null);
+  const [isSearchingHint, setIsSearchingHint] = useState(false);
+
+  useEffect(() => {
+    return () => {
+      hintControllerRef.current?.abort();
+      threatControllerRef.current?.abort();
+    };
+  }, []);
+
+  // Best move for the side to move; resolves with null if cancelled
+  const search = useCallback(async (fen, movetime, controller) => {
+    const { bestmove, info } = await pool.run(
+      ({ engine }) => engine.go({ fen, movetime, signal: controller.signal }),
+      { priority: ENGINE_PRIORITY.interactive, signal: controller.signal }
+    );
+    if (controller.signal.aborted || !bestmove) return null;
+
+    return {
+      fen,
+      ...uciToMove(bestmove),
+      san: uciLineToSan(fen, [bestmove])[0],
+      score: info[0]?.score ?? null
+    };
+  }, [pool]);
+
+  /**
+   * Shows a hint for a position. With pieceFirst, the first request only
+   * names the piece to move and a second one for the same position adds the
+   * move itself.
+   * @returns {Promise<boolean>} Whether a new hint was given (rather than revealed further)
+   */
+  const requestHint = useCallback(async (fen, { pieceFirst = false } = {}) => {
+    if (hint?.fen === fen) {
+      if (hint.level === 'piece') {
+        setHint({ ...hint, level: 'move' });
+      }
+      return false;
+    }
+
+    hintControllerRef.current?.abort();
+    const controller = new AbortController();
+    hintControllerRef.current = controller;
+    setIsSearchingHint(true);
+
+    try {
+      const result = await search(fen, HINT_MOVETIME_MS, controller);
+      if (!result) return false;
+
+      setHint({ ...result, level: pieceFirst ? 'piece' : 'move' });
+      return true;
+    } catch (error) {
+      if (!controller.signal.aborted) {
+        console.error('Hint search failed:', error);
+      }
+      return false;
+    } finally {
+      if (hintControllerRef.current === controller) {
+        hintControllerRef.current = null;
+        setIsSearchingHint(false);
+      }
+    }
+  }, [hint, search]);
+
+  const clearHint = useCallback(() => {
+    hintControllerRef.current?.abort();
+    hintControllerRef.current = null;
+    setIsSearchingHint(false);
+    setHint(null);
+  }, []);
+
+  // What the opponent would play if the side to move could pass
+  const findThreat = useCallback(async (fen) => {
+    threatControllerRef.current?.abort();
+    const controller = new AbortController();
+    threatControllerRef.current = controller;
+
+    const nullMoveFen = getNullMoveFen(fen);
+    if (!nullMoveFen) {
+      setThreat(null);
+      return;
+    }
+
+    try {
+      const result = await search(nullMoveFen, THREAT_MOVETIME_MS, controller);
+      if (result) {
+        setThreat({ ...result, fen });
+      }
+    } catch (error) {
+      if (!controller.signal.aborted) {
+        console.error('Threat search failed:', error);
+      }
+    }
+  }, [search]);
+
+  const clearThreat = useCallback(() => {
+    threatControllerRef.current?.abort();
+    threatControllerRef.current = null;
+    setThreat(null);
+  }, []);
+
+  return {
+    hint,
+    threat,
+    isSearchingHint,
+    requestHint,
+    clearHint,
+    findThreat,
+    clearThreat
+  };
+};
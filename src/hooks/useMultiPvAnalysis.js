@@ -0,0 +1,90 @@
+import { useState, useEffect } from 'react';
+import { useEnginePool } from './useEnginePool.js';
+import { ENGINE_PRIORITY } from '../lib/engine-pool.js';
+import { uciLineToSan } from '../lib/chess-utils.js';
+import { toWhitePerspective } from '../lib/evaluation.js';
+
+// Engine progress can arrive hundreds of times per second; batch it for rendering
+const PROGRESS_THROTTLE_MS = 150;
+
+/**
+ * Custom hook running an infinite MultiPV search on a position.
+ * Restarts the search whenever the position or the number of lines changes.
+ * The search gives its engine up when a more urgent job needs it.
+ *
+ * @param {string} fen - Position to analyze
+ * @param {number} multiPv - Number of lines to report (1-5)
+ * @param {boolean} [enabled] - Pauses the search when false
+ */
+export const useMultiPvAnalysis = (fen, multiPv, enabled = true) => {
+  const pool = useEnginePool();
+  const [engineLoaded, setEngineLoaded] = useState(false);
+  const [lines, setLines] = useState([]);
+
+  // Wait for the pool to have an engine up
+  useEffect(() => {
+    let active = true;
+    pool.warmUp()
+      .then(() => active && setEngineLoaded(true))
+      .catch((error) => console.error('Engine failed to start:', error));
+
+    return () => {
+      active = false;
+    };
+  }, [pool]);
+
+  // Search the position until it or the line count changes
+  useEffect(() => {
+    if (!engineLoaded || !enabled) return;
+
+    const controller = new AbortController();
+    const turn = fen.split(' ')[1];
+    const latest = [];
+    let timer = null;
+
+    const flush = () => {
+      timer = null;
+      if (controller.signal.aborted) return;
+
+      setLines(latest.slice(0, multiPv).filter(Boolean).map(info => ({
+        multipv: info.multipv,
+        depth: info.depth,
+        score: toWhitePerspective(info.score, turn),
+        pv: info.pv || [],
+        san: uciLineToSan(fen, info.pv || [])
+      })));
+    };
+
+    setLines([]);
+    pool.run(async (lease) => {
+      await lease.setOption('MultiPV', multiPv);
+      return lease.engine.go({
+        fen,
+        infinite: true,
+        signal: controller.signal,
+        onProgress: (info) => {
+          latest[(info.multipv || 1) - 1] = info;
+          if (!timer) {
+            timer = setTimeout(flush, PROGRESS_THROTTLE_MS);
+          }
+        }
+      });
+    }, {
+      priority: ENGINE_PRIORITY.analysis,
+      signal: controller.signal,
+      onPreempt: () => controller.abort()
+    }).catch(() => {
+      // Aborted before the engine got to it
+    });
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [pool, fen, multiPv, enabled, engineLoaded]);
+
+  return {
+    engineLoaded,
+    lines
+  };
+};
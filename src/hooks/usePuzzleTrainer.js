@@ -0,0 +1,193 @@
+import { useState, useRef, useEffect, useCallback } from 'react';
+import { Chess } from 'chess.js';
+import { useEnginePool } from './useEnginePool.js';
+import { ENGINE_PRIORITY } from '../lib/engine-pool.js';
+import { uciToMove } from '../lib/chess-utils.js';
+import { loadPuzzles, savePuzzles } from '../lib/puzzle-storage.js';
+import {
+  compareSolverMove,
+  isAlternativeSolution,
+  recordAttempt,
+  getNextPuzzle,
+  getPuzzleStats
+} from '../lib/puzzles.js';
+
+// Depth a move other than the solution's is checked to
+const CHECK_DEPTH = 12;
+
+// Pause before the opponent's reply, so the solver sees their own move land
+const REPLY_DELAY_MS = 500;
+
+/**
+ * Starts a puzzle at its first position
+ */
+const startSession = (puzzle, retry = false) => puzzle && {
+  puzzle,
+  fen: puzzle.fen,
+  line: puzzle.solution,
+  status: 'solving',
+  lastMove: null,
+  feedback: null,
+  pendingReply: null,
+  retry,
+  recorded: retry
+};
+
+/**
+ * Custom hook for solving the stored puzzles. Moves matching the solution
+ * are accepted at once; any other move is checked on a shared engine and
+ * accepted if it still clearly wins, after which the engine's line is
+ * followed instead. A wrong move fails the puzzle, and every first try at a
+ * puzzle is recorded for the repetition schedule.
+ *
+ * session: { puzzle, fen, line (moves still expected, solver's first),
+ * status ('solving', 'checking', 'solved' or 'failed'), lastMove, feedback
+ * ('correct', 'alternative' or 'wrong'), retry }. A failed session stays at
+ * the position the wrong move was played in, with the line it missed.
+ */
+export const usePuzzleTrainer = () => {
+  const pool = useEnginePool();
+  const controllerRef = useRef(null);
+  const [puzzles, setPuzzles] = useState(loadPuzzles);
+  const [session, setSession] = useState(() => startSession(getNextPuzzle(puzzles)));
+
+  useEffect(() => {
+    return () => controllerRef.current?.abort();
+  }, []);
+
+  useEffect(() => {
+    savePuzzles(puzzles);
+  }, [puzzles]);
+
+  // Ends the session's puzzle, recording it unless this was a retry
+  const finish = useCallback((current, solved, changes) => {
+    if (!current.recorded) {
+      const updated = recordAttempt(current.puzzle, solved);
+      setPuzzles(prev => prev.map(puzzle => puzzle.id === updated.id ? updated : puzzle));
+    }
+    return { ...current, ...changes, status: solved ? 'solved' : 'failed', recorded: true };
+  }, []);
+
+  // Continues after an accepted move: the reply comes next, or the puzzle is done
+  const advance = useCallback((current, fen, lastMove, remaining, feedback) => {
+    if (!remaining.length) {
+      return finish(current, true, { fen, lastMove, line: [], feedback });
+    }
+    return { ...current, fen, lastMove, line: remaining, feedback, pendingReply: remaining[0] };
+  }, [finish]);
+
+  // Play the opponent's reply after a short pause
+  useEffect(() => {
+    if (!session?.pendingReply) return;
+
+    const timer = setTimeout(() => {
+      setSession(current => {
+        if (!current?.pendingReply) return current;
+        const game = new Chess(current.fen);
+        const move = game.move(uciToMove(current.pendingReply));
+        return {
+          ...current,
+          fen: game.fen(),
+          lastMove: { from: move.from, to: move.to },
+          line: current.line.slice(1),
+          pendingReply: null
+        };
+      });
+    }, REPLY_DELAY_MS);
+
+    return () => clearTimeout(timer);
+  }, [session?.pendingReply]);
+
+  /**
+   * Tries a move in the current puzzle
+   * @param {string} uci
+   * @returns {boolean} False if the move isn't legal or it isn't the solver's turn
+   */
+  const playMove = useCallback((uci) => {
+    if (!session || session.status !== 'solving' || session.pendingReply) return false;
+
+    const comparison = compareSolverMove(session.fen, uci, session.line[0]);
+    if (comparison === 'illegal') return false;
+
+    const game = new Chess(session.fen);
+    const move = game.move(uciToMove(uci));
+    const fen = game.fen();
+    const lastMove = { from: move.from, to: move.to };
+
+    if (comparison === 'correct') {
+      setSession(advance(session, fen, lastMove, session.line.slice(1), 'correct'));
+      return true;
+    }
+    if (comparison === 'mate') {
+      setSession(advance(session, fen, lastMove, [], 'correct'));
+      return true;
+    }
+    if (game.isGameOver()) {
+      setSession(finish(session, false, { feedback: 'wrong' }));
+      return true;
+    }
+
+    // Another move may win just as clearly; let the engine judge it
+    const controller = new AbortController();
+    controllerRef.current?.abort();
+    controllerRef.current = controller;
+    setSession({ ...session, fen, lastMove, status: 'checking', feedback: null });
+
+    pool.run(
+      ({ engine }) => engine.go({ fen, depth: CHECK_DEPTH, signal: controller.signal }),
+      { priority: ENGINE_PRIORITY.interactive, signal: controller.signal }
+    )
+      .then(({ info }) => {
+        if (controller.signal.aborted) return;
+        const score = info[0]?.score;
+
+        if (score && isAlternativeSolution(score)) {
+          // The reply comes first here, so the line must not end on one
+          const remaining = (info[0].pv ?? []).slice(0, session.line.length - 1);
+          const line = remaining.length % 2 === 1 ? remaining.slice(0, -1) : remaining;
+          setSession(advance(session, fen, lastMove, line, 'alternative'));
+        } else {
+          setSession(finish(session, false, { feedback: 'wrong' }));
+        }
+      })
+      .catch(error => {
+        if (controller.signal.aborted) return;
+        console.error('Could not check puzzle move:', error);
+        // Without the engine only the stored solution counts
+        setSession(finish(session, false, { feedback: 'wrong' }));
+      });
+
+    return true;
+  }, [pool, session, advance, finish]);
+
+  const nextPuzzle = useCallback(() => {
+    controllerRef.current?.abort();
+    setSession(startSession(getNextPuzzle(puzzles, Date.now(), session?.puzzle.id)));
+  }, [puzzles, session]);
+
+  // Tries the same puzzle again without counting it twice
+  const retryPuzzle = useCallback(() => {
+    if (!session) return;
+    controllerRef.current?.abort();
+    const puzzle = puzzles.find(candidate => candidate.id === session.puzzle.id) ?? session.puzzle;
+    setSession(startSession(puzzle, true));
+  }, [puzzles, session]);
+
+  const deletePuzzle = useCallback((id) => {
+    setPuzzles(prev => prev.filter(puzzle => puzzle.id !== id));
+    if (session?.puzzle.id === id) {
+      controllerRef.current?.abort();
+      setSession(startSession(getNextPuzzle(puzzles.filter(puzzle => puzzle.id !== id))));
+    }
+  }, [puzzles, session]);
+
+  return {
+    puzzles,
+    stats: getPuzzleStats(puzzles),
+    session,
+    playMove,
+    nextPuzzle,
+    retryPuzzle,
+    deletePuzzle
+  };
+};
@@ -0,0 +1,98 @@
+import { useState, useRef, useEffect, useCallback } from 'react';
+
+const getSpeechRecognition = () => {
+  if (typeof window === 'undefined') return null;
+  return window.SpeechRecognition || window.webkitSpeechRecognition || null;
+};
+
+/**
+ * Custom hook wrapping the Web Speech API for continuous listening.
+ * Each finished phrase is passed to onPhrase as a list of alternative
+ * transcripts, most likely first. Browsers end recognition after a pause,
+ * so it is restarted until stop is called.
+ *
+ * @param {Function} onPhrase - Called with an array of transcripts
+ * @param {Object} [options]
+ * @param {string} [options.lang] - Recognition language
+ */
+export const useSpeechRecognition = (onPhrase, { lang = 'en-US' } = {}) => {
+  const recognitionRef = useRef(null);
+  const wantListeningRef = useRef(false);
+  const onPhraseRef = useRef(onPhrase);
+  const [listening, setListening] = useState(false);
+  const [error, setError] = useState(null);
+
+  const SpeechRecognition = getSpeechRecognition();
+
+  useEffect(() => {
+    onPhraseRef.current = onPhrase;
+  }, [onPhrase]);
+
+  const start = useCallback(() => {
+    if (!SpeechRecognition) return;
+
+    if (!recognitionRef.current) {
+      const recognition = new SpeechRecognition();
+      recognition.continuous = true;
+      recognition.interimResults = false;
+      recognition.maxAlternatives = 3;
+      recognition.lang = lang;
+
+      recognition.onresult = (event) => {
+        for (let i = event.resultIndex; i < event.results.length; i++) {
+          const result = event.results[i];
+          if (!result.isFinal) continue;
+          onPhraseRef.current(Array.from(result, alternative => alternative.transcript.trim()));
+        }
+      };
+
+      recognition.onerror = (event) => {
+        // Silence is normal between moves
+        if (event.error === 'no-speech') return;
+        setError(event.error === 'not-allowed' ? 'Microphone access was denied' : event.error);
+        if (event.error === 'not-allowed' || event.error === 'service-not-allowed') {
+          wantListeningRef.current = false;
+        }
+      };
+
+      recognition.onend = () => {
+        if (wantListeningRef.current) {
+          recognition.start();
+        } else {
+          setListening(false);
+        }
+      };
+
+      recognitionRef.current = recognition;
+    }
+
+    wantListeningRef.current = true;
+    setError(null);
+    try {
+      recognitionRef.current.start();
+      setListening(true);
+    } catch {
+      // Already started
+    }
+  }, [SpeechRecognition, lang]);
+
+  const stop = useCallback(() => {
+    wantListeningRef.current = false;
+    recognitionRef.current?.stop();
+  }, []);
+
+  useEffect(() => {
+    return () => {
+      wantListeningRef.current = false;
+      recognitionRef.current?.abort();
+    };
+  }, []);
+
+  return {
+    supported: Boolean(SpeechRecognition),
+    listening,
+    error,
+    start,
+    stop
+  };
+};
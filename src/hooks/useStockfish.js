@@ -1,76 +1,184 @@
 import { useState, useEffect, useRef, useCallback } from 'react';
-import { StockfishEngine } from '../lib/stockfish-engine.js';
+import { useEnginePool } from './useEnginePool.js';
+import { ENGINE_PRIORITY } from '../lib/engine-pool.js';
+import { BUILTIN_ENGINE_ID } from '../lib/engine-registry.js';
+import { coerceOptionValue, getSetOptionCommand, isDefaultValue } from '../lib/uci-options.js';
+import { loadOptionProfile, saveOptionProfile } from '../lib/engine-profiles.js';
+import { createLogEntry, appendToLog } from '../lib/console-log.js';
 
-export const useStockfish = () => {
+// Engine output can arrive hundreds of lines per second; batch it for rendering
+const LOG_FLUSH_MS = 100;
+
+/**
+ * Custom hook for talking to an engine directly. The engine is leased from
+ * the shared pool for as long as the component is mounted; it has already
+ * been through `uci`, and options set here are undone when it goes back.
+ * Choosing another engine gives the current one back and leases that one.
+ *
+ * The engine's options come with it, parsed from its `uci` answer. Options
+ * changed through setEngineOption are also saved to the engine's profile,
+ * so every engine of that kind starts with them from then on.
+ *
+ * Everything sent and received is kept as a bounded log of timestamped
+ * entries (see console-log.js).
+ *
+ * @param {string} [engineId] - Engine to talk to (see engine-registry.js)
+ */
+export const useStockfish = (engineId = BUILTIN_ENGINE_ID) => {
+  const pool = useEnginePool();
   const [isLoaded, setIsLoaded] = useState(false);
   const [isReady, setIsReady] = useState(false);
-  const [output, setOutput] = useState('');
+  const [log, setLog] = useState([]);
   const [error, setError] = useState(null);
-  const engineRef = useRef(null);
+  const [engineName, setEngineName] = useState(null);
+  const [engineOptions, setEngineOptions] = useState([]);
+  const [optionValues, setOptionValues] = useState({});
+  const leaseRef = useRef(null);
+  const pendingEntriesRef = useRef([]);
+  const flushTimerRef = useRef(null);
+  const nextEntryIdRef = useRef(1);
+
+  // Queue a line for the log, which takes in queued lines at most once per flush window
+  const appendToOutput = useCallback((direction, text) => {
+    pendingEntriesRef.current.push(createLogEntry(nextEntryIdRef.current++, direction, text));
+    if (flushTimerRef.current) return;
+
+    flushTimerRef.current = setTimeout(() => {
+      flushTimerRef.current = null;
+      const entries = pendingEntriesRef.current;
+      pendingEntriesRef.current = [];
+      setLog(prev => appendToLog(prev, entries));
+    }, LOG_FLUSH_MS);
+  }, []);
 
-  const appendOutput = useCallback((text) => {
-    setOutput(prev => prev ? prev + '\n' + text : text);
+  const clearLog = useCallback(() => {
+    pendingEntriesRef.current = [];
+    setLog([]);
   }, []);
 
-  const initializeEngine = useCallback(() => {
+  useEffect(() => () => clearTimeout(flushTimerRef.current), []);
+
+  const sendCommand = useCallback((command, callback, stream) => {
+    if (!leaseRef.current) {
+      setError('Engine not loaded');
+      return;
+    }
+
     try {
-      const engine = new StockfishEngine("/stockfish/stockfish.js#/stockfish/stockfish.wasm");
-      
-      engine.stream = (line) => {
-        appendOutput(line);
-        
-        if (line === 'uciok') {
-          setIsLoaded(true);
-          setIsReady(true); // Engine is ready after uciok
-        } else if (line === 'readyok') {
-          setIsReady(true);
-        }
-      };
-      
-      engineRef.current = engine;
-      
-      // Initialize UCI
-      engine.send('uci');
-      
+      leaseRef.current.send(command, callback, stream);
+      appendToOutput('sent', String(command).trim());
     } catch (err) {
-      console.error('Error loading Stockfish:', err);
-      setError('Failed to initialize Stockfish engine: ' + err.message);
+      setError(err.message);
+      return;
     }
-  }, [appendOutput]);
 
-  const sendCommand = useCallback((command, callback, stream) => {
-    if (!engineRef.current) {
-      setError('Engine not loaded');
+    // Keep the options panel in step with options set by hand
+    const match = String(command).trim().match(/^setoption name (.+?)(?: value (.*))?$/);
+    const option = match && leaseRef.current.info.optionSchema.find(candidate => candidate.name === match[1]);
+    if (option && option.type !== 'button') {
+      const value = coerceOptionValue(option, match[2] === '<empty>' ? '' : match[2] ?? '');
+      if (value !== null) setOptionValues(prev => ({ ...prev, [option.name]: value }));
+    }
+  }, [appendToOutput]);
+
+  // Sets an option now and saves it to the engine's profile; buttons are pressed
+  const setEngineOption = useCallback((name, value) => {
+    const option = leaseRef.current?.info.optionSchema.find(candidate => candidate.name === name);
+    if (!option) return;
+
+    if (option.type === 'button') {
+      sendCommand(getSetOptionCommand(option));
       return;
     }
-    
-    engineRef.current.send(command, callback, stream);
-  }, []);
+
+    const coerced = coerceOptionValue(option, value);
+    if (coerced === null) return;
+    sendCommand(getSetOptionCommand(option, coerced));
+
+    const profile = { ...loadOptionProfile(engineId) };
+    if (isDefaultValue(option, coerced)) {
+      delete profile[name];
+    } else {
+      profile[name] = coerced;
+    }
+    saveOptionProfile(engineId, profile);
+    pool.reloadOptionProfile(engineId);
+  }, [pool, engineId, sendCommand]);
+
+  // Puts every option back to the engine's default and forgets the profile
+  const resetEngineOptions = useCallback(() => {
+    const lease = leaseRef.current;
+    if (!lease) return;
+
+    lease.info.optionSchema
+      .filter(option => option.type !== 'button' && !isDefaultValue(option, optionValues[option.name]))
+      .forEach(option => sendCommand(getSetOptionCommand(option, option.default)));
+    saveOptionProfile(engineId, {});
+    pool.reloadOptionProfile(engineId);
+  }, [pool, engineId, optionValues, sendCommand]);
 
   const quit = useCallback(() => {
-    if (engineRef.current) {
-      engineRef.current.quit();
-      engineRef.current = null;
+    if (leaseRef.current) {
+      leaseRef.current.release();
+      leaseRef.current = null;
       setIsLoaded(false);
       setIsReady(false);
+      setEngineName(null);
+      setEngineOptions([]);
+      setOptionValues({});
     }
   }, []);
 
   useEffect(() => {
-    initializeEngine();
-    
+    const controller = new AbortController();
+    setError(null);
+
+    pool.acquire({ priority: ENGINE_PRIORITY.interactive, engine: engineId, signal: controller.signal })
+      .then((lease) => {
+        lease.engine.stream = (line) => {
+          appendToOutput('received', line);
+
+          if (line === 'readyok') {
+            setIsReady(true);
+          }
+        };
+
+        // The engine started with its defaults and then the saved profile
+        const { optionSchema } = lease.info;
+        setEngineName(lease.info.name);
+        setEngineOptions(optionSchema);
+        setOptionValues(Object.fromEntries(optionSchema
+          .filter(option => option.type !== 'button')
+          .map(option => [option.name, lease.profile[option.name] ?? option.default])));
+
+        leaseRef.current = lease;
+        setIsLoaded(true);
+        setIsReady(true);
+      })
+      .catch((err) => {
+        if (controller.signal.aborted) return;
+        console.error('Error loading engine:', err);
+        setError('Failed to initialize engine: ' + err.message);
+      });
+
     return () => {
+      controller.abort();
       quit();
     };
-  }, [initializeEngine, quit]);
+  }, [pool, engineId, appendToOutput, quit]);
 
   return {
     isLoaded,
     isReady,
-    output,
+    log,
     error,
+    engineName,
     sendCommand,
+    engineOptions,
+    optionValues,
+    setEngineOption,
+    resetEngineOptions,
     quit,
-    clearOutput: () => setOutput('')
+    clearLog
   };
 };
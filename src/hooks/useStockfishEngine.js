@@ -1,80 +1,192 @@
 import { useState, useRef, useEffect, useCallback } from 'react';
-import { StockfishEngine } from '../lib/stockfish-engine.js';
+import { useEnginePool } from './useEnginePool.js';
+import { ENGINE_PRIORITY } from '../lib/engine-pool.js';
+import { BUILTIN_ENGINE_ID } from '../lib/engine-registry.js';
+import { uciToMove, uciLineToSan } from '../lib/chess-utils.js';
+import { toWhitePerspective } from '../lib/evaluation.js';
+import { CUSTOM_DEPTH_LEVEL, getStrengthOptions, getStrengthLimits } from '../lib/strength-levels.js';
+import { DEFAULT_BOOK_DEPTH, VARIETY_LINES, pickBookMove, pickVariedMove } from '../lib/opening-book.js';
+
+// Engine progress can arrive hundreds of times per second; batch it for rendering
+const PROGRESS_THROTTLE_MS = 150;
 
 /**
- * Custom hook for managing Stockfish engine integration
+ * Custom hook for managing Stockfish engine integration. Each engine move
+ * and analysis borrows an engine from the shared pool; the difficulty
+ * settings are applied to the borrowed engine for the move only, as far as
+ * the engine supports them.
+ *
+ * @param {number} [engineDepth] - Search depth for the custom depth level
+ * @param {string} [strengthLevel] - Difficulty preset id (see strength-levels.js)
+ * @param {Object} [openings] - How the engine varies its play (see opening-book.js)
+ * @param {Object} [openings.book] - Book to play from while the game is young
+ * @param {number} [openings.bookDepth] - Moves per side the book is used for
+ * @param {string} [openings.variety] - Variety level id
+ * @param {string} [engineId] - Engine to play and analyze with (see engine-registry.js)
  */
-export const useStockfishEngine = (engineDepth = 10) => {
-  const engineRef = useRef(null);
+export const useStockfishEngine = (engineDepth = 10, strengthLevel = CUSTOM_DEPTH_LEVEL, { book = null, bookDepth = DEFAULT_BOOK_DEPTH, variety = 'off' } = {}, engineId = BUILTIN_ENGINE_ID) => {
+  const pool = useEnginePool();
+  const moveControllerRef = useRef(null);
+  const analysisControllerRef = useRef(null);
+  const pendingProgressRef = useRef(null);
+  const progressTimerRef = useRef(null);
   const [engineLoaded, setEngineLoaded] = useState(false);
+  const [engineError, setEngineError] = useState(null);
   const [isThinking, setIsThinking] = useState(false);
+  const [analysis, setAnalysis] = useState(null);
 
-  // Initialize Stockfish engine
+  // Wait for the pool to have the engine up
   useEffect(() => {
-    const engine = new StockfishEngine("/stockfish/stockfish.js#/stockfish/stockfish.wasm");
-    
-    engine.stream = (line) => {
-      console.log('Engine:', line);
-      if (line === 'uciok') {
-        setEngineLoaded(true);
-        engine.send('isready');
-      }
-    };
-    
-    engineRef.current = engine;
-    engine.send('uci');
-    
+    let active = true;
+    setEngineLoaded(false);
+    setEngineError(null);
+    pool.warmUp(engineId)
+      .then(() => active && setEngineLoaded(true))
+      .catch((error) => {
+        console.error('Engine failed to start:', error);
+        if (active) setEngineError(error.message);
+      });
+
     return () => {
-      engine.quit();
+      active = false;
+      clearTimeout(progressTimerRef.current);
+      moveControllerRef.current?.abort();
+      analysisControllerRef.current?.abort();
     };
+  }, [pool, engineId]);
+
+  // Publish the latest principal variation, at most once per throttle window
+  const reportProgress = useCallback((fen, info) => {
+    if ((info.multipv || 1) !== 1) return;
+
+    pendingProgressRef.current = { fen, info };
+    if (progressTimerRef.current) return;
+
+    progressTimerRef.current = setTimeout(() => {
+      progressTimerRef.current = null;
+      const { fen: searchFen, info: latest } = pendingProgressRef.current;
+
+      setAnalysis({
+        fen: searchFen,
+        depth: latest.depth,
+        score: toWhitePerspective(latest.score, searchFen.split(' ')[1]),
+        pv: uciLineToSan(searchFen, latest.pv || [])
+      });
+    }, PROGRESS_THROTTLE_MS);
   }, []);
 
-  // Make engine move
-  const makeEngineMove = useCallback((chessGame, onMoveComplete) => {
-    if (!engineRef.current || !engineLoaded || chessGame.isGameOver()) {
+  // Cancel a pending engine move, e.g. when the player takes back
+  const cancelEngineMove = useCallback(() => {
+    if (moveControllerRef.current) {
+      moveControllerRef.current.abort();
+      moveControllerRef.current = null;
+      setIsThinking(false);
+    }
+  }, []);
+
+  // Make engine move; onMove receives the chosen move, and the engine's
+  // evaluation from White's point of view, unless the search was cancelled
+  // or the position changed while the engine was thinking. Clock times
+  // (wtime/btime/winc/binc) replace the level's search budget in timed games,
+  // apart from the node caps of the weakest levels.
+  // Early on a book move is played instead when the book has one.
+  const makeEngineMove = useCallback(async (chessGame, onMove, timeLimits) => {
+    if (!engineLoaded || chessGame.isGameOver()) {
       return;
     }
 
+    if (book && chessGame.history().length < bookDepth * 2) {
+      const bookMove = pickBookMove(book.getMoves(chessGame.fen()), variety);
+      if (bookMove && chessGame.moves({ verbose: true }).some(move => move.lan === bookMove)) {
+        onMove(uciToMove(bookMove), { whiteScore: null, fromBook: true });
+        return;
+      }
+    }
+
+    cancelEngineMove();
+    const controller = new AbortController();
+    moveControllerRef.current = controller;
     setIsThinking(true);
-    
-    // Set position
-    const fen = chessGame.fen();
-    engineRef.current.send(`position fen ${fen}`);
-    
-    // Get best move
-    engineRef.current.send(`go depth ${engineDepth}`, (result) => {
-      setIsThinking(false);
-      
-      // Parse bestmove from result
-      const match = result.match(/bestmove (\w+)/);
-      if (match) {
-        const moveStr = match[1];
-        
-        try {
-          // Convert UCI notation to chess.js move
-          const from = moveStr.substring(0, 2);
-          const to = moveStr.substring(2, 4);
-          const promotion = moveStr.length > 4 ? moveStr.substring(4) : undefined;
-          
-          const move = chessGame.move({
-            from,
-            to,
-            promotion
-          });
-          
-          if (move && onMoveComplete) {
-            onMoveComplete();
-          }
-        } catch (error) {
-          console.error('Invalid engine move:', moveStr, error);
+
+    try {
+      const fen = chessGame.fen();
+      const { bestmove, info } = await pool.run(async (lease) => {
+        // Near-equal alternatives need more than one line searched
+        const options = { ...getStrengthOptions(strengthLevel), MultiPV: variety === 'off' ? 1 : VARIETY_LINES };
+        for (const [name, value] of Object.entries(options)) {
+          if (lease.hasOption(name)) await lease.setOption(name, value);
         }
+
+        return lease.engine.go({
+          fen,
+          ...getStrengthLimits(strengthLevel, engineDepth, timeLimits),
+          signal: controller.signal,
+          onProgress: (info) => reportProgress(fen, info)
+        });
+      }, { priority: ENGINE_PRIORITY.move, engine: engineId, signal: controller.signal });
+
+      if (bestmove && !controller.signal.aborted && chessGame.fen() === fen) {
+        // A weakened engine that has already passed over its top line keeps its choice
+        const varies = variety !== 'off' && bestmove === info[0]?.pv?.[0];
+        const chosen = varies ? pickVariedMove(info, variety) ?? bestmove : bestmove;
+
+        // A mate the engine is giving is one move closer once its move is on the board
+        const score = info.find(line => line.pv?.[0] === chosen)?.score ?? info[0]?.score ?? null;
+        const scoreAfter = score?.unit === 'mate' && score.value > 0 ? { ...score, value: score.value - 1 } : score;
+        onMove(uciToMove(chosen), { whiteScore: toWhitePerspective(scoreAfter, fen.split(' ')[1]) });
+      }
+    } catch (error) {
+      if (!controller.signal.aborted) {
+        console.error('Engine move failed:', error);
+        setEngineError(error.message);
       }
+    } finally {
+      // A cancelled search has already been cleared by cancelEngineMove
+      if (moveControllerRef.current === controller) {
+        moveControllerRef.current = null;
+        setIsThinking(false);
+      }
+    }
+  }, [pool, engineId, engineLoaded, engineDepth, strengthLevel, book, bookDepth, variety, reportProgress, cancelEngineMove]);
+
+  // Stop the background analysis started by startAnalysis
+  const stopAnalysis = useCallback(() => {
+    analysisControllerRef.current?.abort();
+    analysisControllerRef.current = null;
+  }, []);
+
+  // Analyze a position in the background until stopAnalysis is called, or
+  // until a more urgent job needs the engine
+  const startAnalysis = useCallback((fen) => {
+    if (!engineLoaded) return;
+
+    stopAnalysis();
+    const controller = new AbortController();
+    analysisControllerRef.current = controller;
+
+    pool.run(({ engine }) => engine.go({
+      fen,
+      infinite: true,
+      signal: controller.signal,
+      onProgress: (info) => reportProgress(fen, info)
+    }), {
+      priority: ENGINE_PRIORITY.analysis,
+      engine: engineId,
+      signal: controller.signal,
+      onPreempt: () => controller.abort()
+    }).catch(() => {
+      // Aborted before the engine got to it
     });
-  }, [engineLoaded, engineDepth]);
+  }, [pool, engineId, engineLoaded, reportProgress, stopAnalysis]);
 
   return {
     engineLoaded,
+    engineError,
     isThinking,
-    makeEngineMove
+    makeEngineMove,
+    cancelEngineMove,
+    analysis,
+    startAnalysis,
+    stopAnalysis
   };
 };
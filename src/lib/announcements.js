@@ -0,0 +1,135 @@
+/**
+ * Plain-language descriptions of moves and game events, for speech and
+ * screen readers ("Bishop takes e5, check")
+ */
+
+const PIECE_NAMES = { p: 'pawn', n: 'knight', b: 'bishop', r: 'rook', q: 'queen', k: 'king' };
+
+/**
+ * How much is announced
+ * @type {Array<{id: string, label: string}>}
+ */
+export const VERBOSITY_LEVELS = [
+  { id: 'move', label: 'Move only' },
+  { id: 'eval', label: 'Move + eval' },
+  { id: 'full', label: 'Full' }
+];
+
+/**
+ * Remaining clock times, in ms, at which a warning is spoken
+ * @type {Array<number>}
+ */
+export const CLOCK_WARNINGS_MS = [60 * 1000, 30 * 1000, 10 * 1000];
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+/**
+ * Describes a move in words, e.g. "Bishop takes e5, check" or "Castles kingside"
+ * @param {Object} move - chess.js verbose move
+ * @returns {string}
+ */
+export const describeMove = (move) => {
+  let text;
+
+  if (move.isKingsideCastle()) {
+    text = 'castles kingside';
+  } else if (move.isQueensideCastle()) {
+    text = 'castles queenside';
+  } else {
+    const piece = move.piece === 'p' ? `${move.from[0]} pawn` : PIECE_NAMES[move.piece];
+    text = move.captured
+      ? `${piece} takes ${move.captured === 'p' ? '' : `${PIECE_NAMES[move.captured]} on `}${move.to}`
+      : `${piece} to ${move.to}`;
+
+    if (move.isEnPassant()) text += ' en passant';
+    if (move.promotion) text += `, promotes to ${PIECE_NAMES[move.promotion]}`;
+  }
+
+  if (move.san.endsWith('#')) {
+    text += ', checkmate';
+  } else if (move.san.endsWith('+')) {
+    text += ', check';
+  }
+
+  return capitalize(text);
+};
+
+/**
+ * Describes an evaluation in words
+ * @param {{unit: string, value: number}|null} whiteScore - Score from White's point of view
+ * @returns {string}
+ */
+export const describeEvaluation = (whiteScore) => {
+  if (!whiteScore) return '';
+
+  if (whiteScore.unit === 'mate') {
+    // Already mated; the game end is announced on its own
+    if (whiteScore.value === 0) return '';
+
+    const side = whiteScore.value > 0 ? 'White' : 'Black';
+    return `${side} mates in ${Math.abs(whiteScore.value)}`;
+  }
+
+  const pawns = Math.abs(whiteScore.value) / 100;
+  if (pawns < 0.3) return 'The position is about equal';
+
+  const side = whiteScore.value > 0 ? 'White' : 'Black';
+  return `${side} is better by ${pawns.toFixed(1)} pawns`;
+};
+
+/**
+ * Text announced after a move, or '' when the verbosity leaves it out.
+ * The engine's moves are always announced; the player's own only at 'full'.
+ * @param {Object} move - chess.js verbose move
+ * @param {Object} options
+ * @param {string} options.verbosity - One of VERBOSITY_LEVELS
+ * @param {boolean} options.byEngine - The engine played the move
+ * @param {Object} [options.whiteScore] - Engine's evaluation after the move
+ * @param {number} [options.moveNumber] - Full-move number of the move
+ * @returns {string}
+ */
+export const buildMoveAnnouncement = (move, { verbosity, byEngine, whiteScore, moveNumber }) => {
+  if (!byEngine && verbosity !== 'full') return '';
+
+  const parts = [];
+  if (verbosity === 'full') {
+    const who = byEngine ? 'Engine' : 'You';
+    const number = moveNumber ? `Move ${moveNumber}${move.color === 'b' ? ' for Black' : ''}. ` : '';
+    parts.push(`${number}${who}: ${describeMove(move)}`);
+  } else {
+    parts.push(describeMove(move));
+  }
+
+  const evaluation = byEngine && verbosity !== 'move' ? describeEvaluation(whiteScore) : '';
+  if (evaluation) parts.push(evaluation);
+
+  return parts.join('. ') + '.';
+};
+
+/**
+ * Spoken clock warning, e.g. "30 seconds left"
+ * @param {number} thresholdMs - One of CLOCK_WARNINGS_MS
+ * @returns {string}
+ */
+export const describeClockWarning = (thresholdMs) => {
+  const seconds = Math.round(thresholdMs / 1000);
+  return seconds >= 60 && seconds % 60 === 0
+    ? `${seconds / 60} minute${seconds === 60 ? '' : 's'} left`
+    : `${seconds} seconds left`;
+};
+
+/**
+ * Describes how the game on the board ended, or '' while it goes on
+ * @param {Object} chessGame - chess.js instance
+ * @returns {string}
+ */
+export const describeGameEnd = (chessGame) => {
+  if (chessGame.isCheckmate()) {
+    return `${chessGame.turn() === 'w' ? 'Black' : 'White'} wins by checkmate.`;
+  }
+  if (chessGame.isStalemate()) return 'Draw by stalemate.';
+  if (chessGame.isThreefoldRepetition()) return 'Draw by threefold repetition.';
+  if (chessGame.isInsufficientMaterial()) return 'Draw: neither side can checkmate.';
+  if (chessGame.isDrawByFiftyMoves()) return 'Draw by the fifty-move rule.';
+  return '';
+};
@@ -2,6 +2,8 @@
  * Utility functions for chess game logic
  */
 
+import { Chess } from 'chess.js';
+
 /**
  * Determines if it's the engine's turn based on player color and current turn
  * @param {string} playerColor - 'white' or 'black'
@@ -20,3 +22,110 @@ export const isEnginesTurn = (playerColor, currentTurn) => {
 export const getRandomPlayerColor = () => {
   return Math.random() > 0.5 ? 'white' : 'black';
 };
+
+/**
+ * Whether a side has enough material to ever checkmate, as decides a flag fall:
+ * a lone king, or a king and one bishop or knight, can't win on time
+ * @param {Chess} chessGame
+ * @param {string} color - 'w' or 'b'
+ * @returns {boolean}
+ */
+export const hasMatingMaterial = (chessGame, color) => {
+  const pieces = chessGame.board().flat().filter(square => square && square.color === color && square.type !== 'k');
+  if (pieces.some(piece => ['p', 'r', 'q'].includes(piece.type))) {
+    return true;
+  }
+  return pieces.length > 1;
+};
+
+/**
+ * Result of a game lost on time: a draw if the opponent couldn't have won
+ * @param {string} fen - Position when the flag fell
+ * @param {string} flaggedColor - 'white' or 'black'
+ * @returns {string} PGN result
+ */
+export const getTimeoutResult = (fen, flaggedColor) => {
+  const winner = flaggedColor === 'white' ? 'b' : 'w';
+  if (!hasMatingMaterial(new Chess(fen), winner)) {
+    return '1/2-1/2';
+  }
+  return winner === 'w' ? '1-0' : '0-1';
+};
+
+/**
+ * The position with the side to move passing, for asking what the opponent
+ * threatens. There is no such position when the side to move is in check.
+ * @param {string} fen
+ * @returns {string|null} FEN with the other side to move, or null
+ */
+export const getNullMoveFen = (fen) => {
+  if (new Chess(fen).isCheck()) return null;
+
+  const [board, turn, castling, , halfmove, fullmove] = fen.split(' ');
+  return [
+    board,
+    turn === 'w' ? 'b' : 'w',
+    castling,
+    '-',
+    (parseInt(halfmove, 10) || 0) + 1,
+    turn === 'b' ? (parseInt(fullmove, 10) || 1) + 1 : fullmove
+  ].join(' ');
+};
+
+/**
+ * Splits a UCI move string into chess.js move fields
+ * @param {string} uci - Move in UCI notation (e.g. 'e2e4', 'e7e8q')
+ * @returns {{from: string, to: string, promotion: string|undefined}}
+ */
+export const uciToMove = (uci) => {
+  return {
+    from: uci.substring(0, 2),
+    to: uci.substring(2, 4),
+    promotion: uci.length > 4 ? uci.substring(4, 5) : undefined
+  };
+};
+
+/**
+ * Converts a line of UCI moves into SAN, stopping at the first illegal move
+ * @param {string} fen - Position the line starts from
+ * @param {Array<string>} uciMoves - Moves in UCI notation
+ * @returns {Array<string>} Moves in SAN
+ */
+export const uciLineToSan = (fen, uciMoves) => {
+  const game = new Chess(fen);
+  const sanMoves = [];
+
+  for (const uci of uciMoves) {
+    try {
+      sanMoves.push(game.move(uciToMove(uci)).san);
+    } catch {
+      break;
+    }
+  }
+
+  return sanMoves;
+};
+
+/**
+ * Formats SAN moves with move numbers (e.g. "12. Nf3 Nc6 13. Bb5" or "12... Nc6 13. Bb5")
+ * @param {string} fen - Position the line starts from
+ * @param {Array<string>} sanMoves - Moves in SAN
+ * @returns {string}
+ */
+export const formatMoveLine = (fen, sanMoves) => {
+  const [, turn, , , , fullmove] = fen.split(' ');
+  let moveNumber = parseInt(fullmove, 10) || 1;
+  let isWhite = turn === 'w';
+
+  return sanMoves.map((san, index) => {
+    let text = san;
+    if (isWhite) {
+      text = `${moveNumber}. ${san}`;
+    } else if (index === 0) {
+      text = `${moveNumber}... ${san}`;
+    }
+    if (!isWhite) moveNumber++;
+    isWhite = !isWhite;
+    return text;
+  }).join(' ');
+};
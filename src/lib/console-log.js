@@ -0,0 +1,134 @@
+/**
+ * The engine console's log: timestamped lines sent to and received from the
+ * engine, kept to a bounded length, with filters, highlighting for `info`
+ * lines, and export as plain text or JSON.
+ *
+ * @typedef {Object} LogEntry
+ * @property {number} id - Increasing, unique within a session
+ * @property {number} time - Milliseconds since the epoch
+ * @property {string} direction - 'sent' or 'received'
+ * @property {string} text - The UCI line
+ */
+
+/**
+ * Most lines kept; the oldest go first. A `go infinite` can print thousands
+ * of `info` lines a minute.
+ * @type {number}
+ */
+export const MAX_LOG_ENTRIES = 5000;
+
+/**
+ * Keywords of an `info` line; each starts a field that runs to the next one
+ * @type {Array<string>}
+ */
+const INFO_KEYWORDS = [
+  'depth', 'seldepth', 'multipv', 'score', 'wdl', 'nodes', 'nps', 'hashfull',
+  'tbhits', 'sbhits', 'cpuload', 'time', 'pv', 'currmove', 'currmovenumber',
+  'refutation', 'currline', 'string'
+];
+
+/**
+ * Makes a log entry
+ * @param {number} id
+ * @param {string} direction - 'sent' or 'received'
+ * @param {string} text
+ * @param {number} [time]
+ * @returns {LogEntry}
+ */
+export const createLogEntry = (id, direction, text, time = Date.now()) => ({ id, time, direction, text });
+
+/**
+ * Adds entries to a log, dropping the oldest beyond the limit
+ * @param {Array<LogEntry>} log
+ * @param {Array<LogEntry>} entries
+ * @param {number} [limit]
+ * @returns {Array<LogEntry>} A new log
+ */
+export const appendToLog = (log, entries, limit = MAX_LOG_ENTRIES) => {
+  const next = log.concat(entries);
+  return next.length > limit ? next.slice(next.length - limit) : next;
+};
+
+/**
+ * Turns the search box's text into a case-insensitive regular expression
+ * @param {string} search
+ * @returns {{regex: RegExp|null, error: string|null}} No regex for an empty search
+ */
+export const compileSearch = (search) => {
+  if (!search) return { regex: null, error: null };
+  try {
+    return { regex: new RegExp(search, 'i'), error: null };
+  } catch (error) {
+    return { regex: null, error: error.message };
+  }
+};
+
+/**
+ * Entries the console's filters let through
+ * @param {Array<LogEntry>} log
+ * @param {Object} filters
+ * @param {string} [filters.direction] - 'all', 'sent' or 'received'
+ * @param {boolean} [filters.hideInfo] - Leave out `info` lines
+ * @param {boolean} [filters.bestmoveOnly] - Of the engine's lines, keep only `bestmove`; sent commands stay
+ * @param {RegExp|null} [filters.regex] - Keep only lines matching this
+ * @returns {Array<LogEntry>}
+ */
+export const filterLog = (log, { direction = 'all', hideInfo = false, bestmoveOnly = false, regex = null }) => log.filter(entry => {
+  if (direction !== 'all' && entry.direction !== direction) return false;
+  if (entry.direction === 'received') {
+    if (hideInfo && entry.text.startsWith('info')) return false;
+    if (bestmoveOnly && !entry.text.startsWith('bestmove')) return false;
+  }
+  return !regex || regex.test(entry.text);
+});
+
+/**
+ * Splits an `info` line into its words, each tagged with the field it belongs to
+ * @param {string} line - e.g. "info depth 12 score cp 31 pv e2e4 e7e5"
+ * @returns {Array<{text: string, field: string|null, keyword: boolean}>} Words in order;
+ *          field is null for the leading "info"
+ */
+export const tokenizeInfoLine = (line) => {
+  let field = null;
+  return line.trim().split(/\s+/).map(text => {
+    // A string field is free text up to the end of the line
+    if (field !== 'string' && INFO_KEYWORDS.includes(text)) {
+      field = text;
+      return { text, field, keyword: true };
+    }
+    return { text, field, keyword: false };
+  });
+};
+
+/**
+ * A time of day to the millisecond, e.g. "14:03:07.281"
+ * @param {number} time
+ * @returns {string}
+ */
+export const formatLogTime = (time) => {
+  const date = new Date(time);
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  return `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}.${pad(date.getMilliseconds(), 3)}`;
+};
+
+/**
+ * The log as a plain text file: one line per entry, ">" for sent and "<" for received
+ * @param {Array<LogEntry>} log
+ * @returns {string}
+ */
+export const formatLogAsText = (log) => log
+  .map(({ time, direction, text }) => `${new Date(time).toISOString()} ${direction === 'sent' ? '>' : '<'} ${text}\n`)
+  .join('');
+
+/**
+ * The log as JSON, with the engine it was recorded from
+ * @param {Array<LogEntry>} log
+ * @param {Object} [session]
+ * @param {string|null} [session.engine] - The engine's name
+ * @returns {string}
+ */
+export const formatLogAsJson = (log, { engine = null } = {}) => JSON.stringify({
+  engine,
+  exportedAt: new Date().toISOString(),
+  entries: log.map(({ time, direction, text }) => ({ time: new Date(time).toISOString(), direction, text }))
+}, null, 2);
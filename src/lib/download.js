@@ -0,0 +1,14 @@
+/**
+ * Offers a text file to the user as a download
+ * @param {string} text - File contents
+ * @param {string} filename
+ * @param {string} [type] - MIME type
+ */
+export const downloadText = (text, filename, type = 'text/plain') => {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
@@ -0,0 +1,206 @@
+/**
+ * Engine-vs-engine matches: the settings of each side, the order of games
+ * and the running score with an Elo-difference estimate.
+ *
+ * Each opening is played twice, once with each engine as White, so neither
+ * side profits from a lopsided start.
+ */
+
+import { DEFAULT_POSITION } from 'chess.js';
+import { getSetupErrors } from './fen.js';
+
+/**
+ * Games still going after this many plies are adjudicated as draws
+ * @type {number}
+ */
+export const MAX_MATCH_PLIES = 300;
+
+/**
+ * Settings a new engine side starts with. Null depth or nodes means no such
+ * limit; null elo leaves strength limiting off.
+ * @type {{name: string, depth: number|null, nodes: number|null, skillLevel: number, elo: number|null, hash: number, threads: number}}
+ */
+export const DEFAULT_MATCH_ENGINE = {
+  name: 'Stockfish',
+  depth: 8,
+  nodes: null,
+  skillLevel: 20,
+  elo: null,
+  hash: 16,
+  threads: 1
+};
+
+// Depth searched when a side has neither a depth nor a node limit
+const FALLBACK_DEPTH = 10;
+
+/**
+ * UCI options for an engine side
+ * @param {Object} config - Engine side settings
+ * @returns {Object<string, number|boolean>} Option names mapped to values
+ */
+export const getEngineOptions = (config) => {
+  return {
+    Hash: config.hash,
+    Threads: config.threads,
+    'Skill Level': config.skillLevel,
+    UCI_LimitStrength: Boolean(config.elo),
+    ...(config.elo && { UCI_Elo: config.elo })
+  };
+};
+
+/**
+ * Search limits for an engine side's moves
+ * @param {Object} config - Engine side settings
+ * @returns {{depth?: number, nodes?: number}}
+ */
+export const getEngineLimits = (config) => {
+  if (!config.depth && !config.nodes) {
+    return { depth: FALLBACK_DEPTH };
+  }
+  return {
+    ...(config.depth && { depth: config.depth }),
+    ...(config.nodes && { nodes: config.nodes })
+  };
+};
+
+/**
+ * Short description of an engine side, used as its player name in PGN
+ * @param {Object} config - Engine side settings
+ * @returns {string} e.g. "Stockfish (depth 8, skill 20, hash 16)"
+ */
+export const describeEngineConfig = (config) => {
+  const parts = [];
+  if (config.depth) parts.push(`depth ${config.depth}`);
+  if (config.nodes) parts.push(`${config.nodes} nodes`);
+  if (config.elo) parts.push(`Elo ${config.elo}`);
+  parts.push(`skill ${config.skillLevel}`, `hash ${config.hash}`);
+  if (config.threads > 1) parts.push(`${config.threads} threads`);
+  return `${config.name} (${parts.join(', ')})`;
+};
+
+/**
+ * Reads opening positions, one FEN per line; blank lines and lines starting
+ * with '#' are skipped
+ * @param {string} text
+ * @returns {{fens: Array<string>, errors: Array<string>}} Usable positions and
+ *          a message for each line that isn't one
+ */
+export const parseOpenings = (text) => {
+  const fens = [];
+  const errors = [];
+
+  text.split('\n').forEach((line, index) => {
+    const fen = line.trim();
+    if (!fen || fen.startsWith('#')) return;
+
+    const problems = getSetupErrors(fen);
+    if (problems.length) {
+      errors.push(`Line ${index + 1}: ${problems[0]}`);
+    } else {
+      fens.push(fen);
+    }
+  });
+
+  return { fens, errors };
+};
+
+/**
+ * Lists the games of a match. Games come in pairs on the same opening with
+ * colors swapped; openings are used in turn and repeat when they run out.
+ * @param {number} gameCount - Number of games
+ * @param {Array<string>} [openings] - Starting positions; the standard one when empty
+ * @returns {Array<{round: number, fen: string, white: string, black: string}>}
+ *          white and black are the engine sides, 'a' or 'b'
+ */
+export const scheduleMatch = (gameCount, openings = []) => {
+  const fens = openings.length ? openings : [DEFAULT_POSITION];
+
+  return Array.from({ length: gameCount }, (_, index) => {
+    const aIsWhite = index % 2 === 0;
+    return {
+      round: index + 1,
+      fen: fens[Math.floor(index / 2) % fens.length],
+      white: aIsWhite ? 'a' : 'b',
+      black: aIsWhite ? 'b' : 'a'
+    };
+  });
+};
+
+/**
+ * Result of a game in progress, or null while it goes on
+ * @param {Object} chessGame - chess.js instance at the position after the last move
+ * @param {number} plies - Moves played so far
+ * @returns {{result: string, termination: string}|null}
+ */
+export const getMatchGameOutcome = (chessGame, plies) => {
+  if (chessGame.isCheckmate()) {
+    return { result: chessGame.turn() === 'w' ? '0-1' : '1-0', termination: 'normal' };
+  }
+  if (chessGame.isDraw()) {
+    return { result: '1/2-1/2', termination: 'normal' };
+  }
+  if (plies >= MAX_MATCH_PLIES) {
+    return { result: '1/2-1/2', termination: 'adjudication' };
+  }
+  return null;
+};
+
+/**
+ * Engine A's points from a finished game
+ * @param {{result: string, white: string}} game
+ * @returns {number} 1, 0.5 or 0
+ */
+const scoreForA = ({ result, white }) => {
+  if (result === '1/2-1/2') return 0.5;
+  const whiteWon = result === '1-0';
+  return whiteWon === (white === 'a') ? 1 : 0;
+};
+
+/**
+ * Elo difference that makes a score fraction the expected one
+ * @param {number} score - Points per game, 0 to 1
+ * @returns {number} Infinite for a whitewash either way
+ */
+export const scoreToElo = (score) => {
+  if (score <= 0) return -Infinity;
+  if (score >= 1) return Infinity;
+  return -400 * Math.log10(1 / score - 1);
+};
+
+/**
+ * Running totals of a match from engine A's point of view, with the Elo
+ * difference and its 95% confidence margin
+ * @param {Array<{result: string|null, white: string}>} games - Games of the match; unfinished ones are skipped
+ * @returns {{played: number, wins: number, draws: number, losses: number, points: number,
+ *            elo: number|null, eloError: number|null}}
+ *          elo is null before the first result, eloError also while one side has every point
+ */
+export const summarizeMatch = (games) => {
+  const scores = games.filter(game => game.result && game.result !== '*').map(scoreForA);
+  const played = scores.length;
+  const wins = scores.filter(score => score === 1).length;
+  const draws = scores.filter(score => score === 0.5).length;
+  const points = wins + draws / 2;
+
+  if (!played) {
+    return { played, wins, draws, losses: 0, points, elo: null, eloError: null };
+  }
+
+  const mean = points / played;
+  const elo = scoreToElo(mean);
+  const variance = scores.reduce((total, score) => total + (score - mean) ** 2, 0) / played;
+  const margin = 1.96 * Math.sqrt(variance / played);
+
+  return {
+    played,
+    wins,
+    draws,
+    losses: played - wins - draws,
+    points,
+    elo,
+    // No margin around a whitewash; a range reaching 0% or 100% has an infinite one
+    eloError: Number.isFinite(elo)
+      ? (scoreToElo(Math.min(1, mean + margin)) - scoreToElo(Math.max(0, mean - margin))) / 2
+      : null
+  };
+};
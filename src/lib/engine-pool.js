@@ -0,0 +1,436 @@
+/**
+ * Shared engines for the whole app. Callers lease an engine for a job and
+ * give it back when done; the engine stays warm for the next lease, so `uci`
+ * runs once per worker rather than once per component.
+ *
+ * Requests wait in a priority queue when every engine is busy and no more
+ * may be started. A lease taken with onPreempt (e.g. infinite analysis) is
+ * ended early when a more urgent request would otherwise have to wait.
+ *
+ * Each lease asks for an engine by id (see engine-registry.js). Engines of
+ * every kind count towards the same limit; an idle engine of one kind is
+ * shut down to make room for another.
+ *
+ * A saved option profile (see engine-profiles.js) is applied to each engine
+ * as it starts, and a released engine goes back to those values. A changed
+ * profile is sent to the running engines rather than restarting them.
+ */
+
+import { BUILTIN_ENGINE_ID, createEngine as createRegisteredEngine } from './engine-registry.js';
+import { resolveOptionValues, formatOptionValue } from './uci-options.js';
+
+/**
+ * What a released engine is put back to: the profile, else the engine's defaults
+ * @param {Array<Object>} optionSchema - The engine's options
+ * @param {Map<string, *>} profile - Usable profile values
+ * @returns {Map<string, string>} Option name to `setoption` value
+ */
+const getResetValues = (optionSchema, profile) => new Map(optionSchema
+  .filter(option => option.type !== 'button')
+  .map(option => [option.name, formatOptionValue(profile.get(option.name) ?? option.default)]));
+
+/**
+ * Lease priorities, most urgent first
+ * @type {{move: number, interactive: number, analysis: number, background: number}}
+ */
+export const ENGINE_PRIORITY = {
+  // The engine's reply in a game
+  move: 0,
+  // Something the player asked for and is waiting on: hints, puzzle checks, the console
+  interactive: 1,
+  // Live analysis of the position on screen
+  analysis: 2,
+  // Long jobs nobody is watching move by move: game review, engine matches
+  background: 3
+};
+
+/**
+ * Engines that may run at once unless configured otherwise
+ * @type {number}
+ */
+export const DEFAULT_MAX_ENGINES = 2;
+
+/**
+ * Pool of warm engines handed out as leases.
+ *
+ * @example
+ * ```javascript
+ * const pool = new EnginePool({ maxEngines: 2 });
+ * const { bestmove } = await pool.run(
+ *   ({ engine }) => engine.go({ fen, depth: 12 }),
+ *   { priority: ENGINE_PRIORITY.interactive }
+ * );
+ * ```
+ */
+export class EnginePool {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxEngines] - Most engines running at once
+   * @param {Function} [options.createEngine] - Starts a new, not yet initialized engine from an engine id
+   * @param {Function} [options.getOptionProfile] - Option values to start an engine with, from its id
+   */
+  constructor({ maxEngines = DEFAULT_MAX_ENGINES, createEngine = createRegisteredEngine, getOptionProfile = () => ({}) } = {}) {
+    /** @type {number} Most engines running at once */
+    this.maxEngines = maxEngines;
+
+    /** @type {Function} Engine factory */
+    this.createEngine = createEngine;
+
+    /** @type {Function} Saved option values by engine id */
+    this.getOptionProfile = getOptionProfile;
+
+    /** @type {Array<Object>} Engines with their state: 'starting', 'idle', 'leased' or 'releasing' */
+    this.slots = [];
+
+    /** @type {Array<Object>} Lease requests waiting for an engine, most urgent first */
+    this.waiting = [];
+
+    /** @type {number} Sequence number keeping requests of equal priority in order */
+    this.nextRequestId = 1;
+  }
+
+  /**
+   * Leases an engine, waiting in line if none is free. The engine has run
+   * `uci` and is ready; options set through the lease are put back to their
+   * defaults when it is released.
+   *
+   * @param {Object} [options]
+   * @param {number} [options.priority] - One of ENGINE_PRIORITY
+   * @param {string} [options.engine] - Which engine, by id; the built-in one by default
+   * @param {AbortSignal} [options.signal] - Gives up waiting for an engine
+   * @param {Function} [options.onPreempt] - Makes the lease preemptible; called when
+   *        a more urgent request needs the engine, after which the lease should be released
+   * @returns {Promise<Object>} Lease: { engine, engineId, info, profile, hasOption, setOption, send, release }
+   */
+  acquire({ priority = ENGINE_PRIORITY.analysis, engine = BUILTIN_ENGINE_ID, signal, onPreempt } = {}) {
+    if (signal?.aborted) {
+      return Promise.reject(new DOMException('Engine request aborted', 'AbortError'));
+    }
+
+    return new Promise((resolve, reject) => {
+      const request = { id: this.nextRequestId++, priority, engineId: engine, onPreempt, resolve, reject, signal };
+
+      if (signal) {
+        request.onAbort = () => {
+          this.waiting = this.waiting.filter(item => item !== request);
+          reject(new DOMException('Engine request aborted', 'AbortError'));
+        };
+        signal.addEventListener('abort', request.onAbort, { once: true });
+      }
+
+      this.waiting.push(request);
+      this.waiting.sort((a, b) => a.priority - b.priority || a.id - b.id);
+      this.schedule();
+    });
+  }
+
+  /**
+   * Runs a job on a leased engine and releases it afterwards
+   * @param {Function} job - Receives the lease; may return a promise
+   * @param {Object} [options] - As for acquire
+   * @returns {Promise<*>} What the job returns
+   */
+  async run(job, options) {
+    const lease = await this.acquire(options);
+    try {
+      return await job(lease);
+    } finally {
+      lease.release();
+    }
+  }
+
+  /**
+   * Resolves once an engine is up, starting one if there is none yet and
+   * there is room; otherwise it starts when first leased. Rejects if the
+   * engine fails to start, e.g. when the bridge is down.
+   * @param {string} [engineId] - Which engine; the built-in one by default
+   * @returns {Promise<void>}
+   */
+  async warmUp(engineId = BUILTIN_ENGINE_ID) {
+    const slots = this.slots.filter(candidate => candidate.engineId === engineId);
+    const slot = slots.find(candidate => candidate.status !== 'starting')
+      ?? slots[0]
+      ?? (this.slots.length < this.maxEngines ? this.startSlot(engineId) : null);
+    await slot?.ready;
+  }
+
+  /**
+   * Changes the engine limit; idle engines over it are shut down now, busy
+   * ones when they are released
+   * @param {number} maxEngines
+   */
+  setMaxEngines(maxEngines) {
+    this.maxEngines = Math.max(1, maxEngines);
+    this.slots
+      .filter(slot => slot.status === 'idle')
+      .slice(0, Math.max(0, this.slots.length - this.maxEngines))
+      .forEach(slot => this.removeSlot(slot));
+    this.schedule();
+  }
+
+  /**
+   * Brings the engines of one kind in line with a changed option profile
+   * without restarting them: idle ones get the changed options now, leased
+   * ones when they are released, and starting ones once they are up
+   * @param {string} engineId
+   */
+  reloadOptionProfile(engineId) {
+    this.slots
+      .filter(slot => slot.engineId === engineId)
+      .forEach(slot => {
+        if (slot.status === 'starting') slot.profileChanged = true;
+        else this.updateProfile(slot);
+      });
+  }
+
+  /**
+   * Engine counts, e.g. for a status display
+   * @returns {{engines: number, busy: number, waiting: number, maxEngines: number}}
+   */
+  getStatus() {
+    return {
+      engines: this.slots.length,
+      busy: this.slots.filter(slot => slot.status === 'leased').length,
+      waiting: this.waiting.length,
+      maxEngines: this.maxEngines
+    };
+  }
+
+  /**
+   * Stops every engine and turns away waiting requests. The pool can still
+   * be used afterwards and starts new engines as they are asked for.
+   */
+  shutdown() {
+    const waiting = this.waiting;
+    this.waiting = [];
+    waiting.forEach(request => {
+      request.signal?.removeEventListener('abort', request.onAbort);
+      request.reject(new Error('Engine pool shut down'));
+    });
+    [...this.slots].forEach(slot => this.removeSlot(slot));
+  }
+
+  /**
+   * Hands idle engines to waiting requests, starts engines while under the
+   * limit, swaps idle engines of another kind for the one asked for, and
+   * preempts less urgent leases when none of that is possible
+   * @private
+   */
+  schedule() {
+    // Engines starting up or being reset will take the first requests in line for them
+    const upcoming = new Map();
+    this.slots
+      .filter(slot => slot.status === 'starting' || slot.status === 'releasing')
+      .forEach(slot => upcoming.set(slot.engineId, (upcoming.get(slot.engineId) ?? 0) + 1));
+
+    const preemptible = this.slots
+      .filter(slot => slot.status === 'leased' && slot.lease.onPreempt && !slot.lease.preempted)
+      .sort((a, b) => b.lease.priority - a.lease.priority);
+
+    for (const request of [...this.waiting]) {
+      const idle = this.slots.find(slot => slot.status === 'idle' && slot.engineId === request.engineId);
+      if (idle) {
+        this.waiting = this.waiting.filter(item => item !== request);
+        this.assign(idle, request);
+        continue;
+      }
+
+      if (upcoming.get(request.engineId) > 0) {
+        upcoming.set(request.engineId, upcoming.get(request.engineId) - 1);
+        continue;
+      }
+
+      if (this.slots.length < this.maxEngines) {
+        this.startSlot(request.engineId);
+        continue;
+      }
+
+      const spare = this.slots.find(slot => slot.status === 'idle');
+      if (spare) {
+        this.removeSlot(spare);
+        this.startSlot(request.engineId);
+        continue;
+      }
+
+      // Every engine is taken: free a preemptible one for the most urgent requests
+      const victim = preemptible.find(slot => !slot.lease.preempted && slot.lease.priority > request.priority);
+      if (victim) {
+        victim.lease.preempted = true;
+        victim.lease.onPreempt();
+      }
+    }
+  }
+
+  /**
+   * Starts a new engine and runs `uci` on it
+   * @private
+   * @param {string} engineId
+   * @returns {Object} The new slot
+   */
+  startSlot(engineId) {
+    const slot = { engineId, engine: null, info: null, status: 'starting', lease: null, profileChanged: false, changedOptions: new Set() };
+    this.slots.push(slot);
+
+    slot.ready = (async () => {
+      slot.engine = this.createEngine(engineId);
+      slot.info = await slot.engine.uci();
+      slot.profile = resolveOptionValues(slot.info.optionSchema, this.getOptionProfile(engineId));
+      for (const [name, value] of slot.profile) {
+        await slot.engine.setOption(name, formatOptionValue(value));
+      }
+      slot.defaults = getResetValues(slot.info.optionSchema, slot.profile);
+      await slot.engine.isReady();
+    })();
+
+    slot.ready
+      .then(() => {
+        if (!this.slots.includes(slot)) return;
+        slot.status = 'idle';
+        // The profile changed while the engine was starting
+        if (slot.profileChanged) this.updateProfile(slot);
+        this.schedule();
+      })
+      .catch(error => {
+        if (!this.slots.includes(slot)) return;
+        this.removeSlot(slot);
+        // The requests this engine was started for learn why it isn't coming
+        const failed = this.waiting.filter(request => request.engineId === engineId);
+        this.waiting = this.waiting.filter(request => request.engineId !== engineId);
+        failed.forEach(request => {
+          request.signal?.removeEventListener('abort', request.onAbort);
+          request.reject(error);
+        });
+        this.schedule();
+      });
+
+    return slot;
+  }
+
+  /**
+   * Rereads an engine's option profile. Options whose value changed are set
+   * right away on an engine nobody holds; a lease keeps its own values until
+   * it is released, which then puts back the new ones. An engine that can't
+   * take the new values is shut down, and a fresh one starts with them.
+   * @private
+   */
+  updateProfile(slot) {
+    slot.profileChanged = false;
+    const profile = resolveOptionValues(slot.info.optionSchema, this.getOptionProfile(slot.engineId));
+    const defaults = getResetValues(slot.info.optionSchema, profile);
+    const changed = [...defaults.keys()].filter(name => defaults.get(name) !== slot.defaults.get(name));
+    slot.profile = profile;
+    slot.defaults = defaults;
+    if (!changed.length) return;
+
+    if (slot.status === 'leased') {
+      changed.forEach(name => slot.changedOptions.add(name));
+      return;
+    }
+
+    // Commands run in order, so anything sent after these sees the new values
+    Promise.all([...changed.map(name => slot.engine.setOption(name, defaults.get(name))), slot.engine.isReady()])
+      .catch(error => {
+        if (!this.slots.includes(slot)) return;
+        console.error('Could not update engine options, starting a new engine:', error);
+        this.removeSlot(slot);
+        this.schedule();
+      });
+  }
+
+  /**
+   * Shuts an engine down and forgets it
+   * @private
+   */
+  removeSlot(slot) {
+    this.slots = this.slots.filter(candidate => candidate !== slot);
+    if (slot.lease) {
+      slot.lease.released = true;
+      slot.lease.onPreempt?.();
+    }
+    slot.engine?.quit();
+  }
+
+  /**
+   * Gives an idle engine to a request
+   * @private
+   */
+  assign(slot, request) {
+    request.signal?.removeEventListener('abort', request.onAbort);
+
+    const { engine } = slot;
+    const lease = {
+      engine,
+      engineId: slot.engineId,
+      info: slot.info,
+      profile: Object.fromEntries(slot.profile),
+      priority: request.priority,
+      onPreempt: request.onPreempt,
+      preempted: false,
+      released: false,
+      // Engines other than Stockfish may lack options the app likes to set
+      hasOption: (name) => slot.info.optionSchema.some(option => option.name === name),
+      setOption: (name, value) => {
+        slot.changedOptions.add(name);
+        return engine.setOption(name, value);
+      },
+      send: (command, callback, stream) => {
+        if (command.trim() === 'quit') {
+          throw new Error('A shared engine is released, not quit');
+        }
+        const option = command.match(/^setoption name (.+?)(?: value .*)?$/);
+        if (option) slot.changedOptions.add(option[1]);
+        return engine.send(command, callback, stream);
+      },
+      release: () => {
+        if (lease.released) return;
+        lease.released = true;
+        this.release(slot);
+      }
+    };
+
+    slot.status = 'leased';
+    slot.lease = lease;
+    request.resolve(lease);
+  }
+
+  /**
+   * Puts a released engine back the way a new lease expects it
+   * @private
+   */
+  async release(slot) {
+    slot.status = 'releasing';
+    slot.lease = null;
+
+    const { engine } = slot;
+    engine.stream = null;
+    engine.listeners = {};
+
+    try {
+      if (engine.activeSearch) await engine.stop().catch(() => {});
+      // Profile changes arriving meanwhile set their options themselves
+      const changedOptions = [...slot.changedOptions];
+      slot.changedOptions.clear();
+      for (const name of changedOptions) {
+        if (slot.defaults.has(name)) {
+          await engine.setOption(name, slot.defaults.get(name));
+        }
+      }
+      await engine.isReady();
+    } catch (error) {
+      // Shut down while being reset
+      if (!this.slots.includes(slot)) return;
+      console.error('Could not reset engine, starting a new one:', error);
+      this.removeSlot(slot);
+      this.schedule();
+      return;
+    }
+
+    if (!this.slots.includes(slot)) return;
+    if (this.slots.length > this.maxEngines) {
+      this.removeSlot(slot);
+    } else {
+      slot.status = 'idle';
+    }
+    this.schedule();
+  }
+}
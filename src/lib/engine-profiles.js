@@ -0,0 +1,32 @@
+/**
+ * Option profiles: engine options the player has changed, saved per engine
+ * (by engine id, see engine-registry.js) and applied whenever the engine
+ * pool starts that engine. Only values that differ from the engine's
+ * defaults are kept.
+ */
+
+import { loadPreference, savePreference } from './preferences.js';
+
+const PROFILES_PREFERENCE = 'engineOptionProfiles';
+
+/**
+ * Saved option values for an engine
+ * @param {string} engineId
+ * @returns {Object<string, number|boolean|string>} Values by option name; empty if none were saved
+ */
+export const loadOptionProfile = (engineId) => loadPreference(PROFILES_PREFERENCE, {})[engineId] ?? {};
+
+/**
+ * Saves the option values for an engine, replacing what was saved before
+ * @param {string} engineId
+ * @param {Object<string, number|boolean|string>} profile - Values by option name; empty to forget the engine
+ */
+export const saveOptionProfile = (engineId, profile) => {
+  const profiles = { ...loadPreference(PROFILES_PREFERENCE, {}) };
+  if (Object.keys(profile).length) {
+    profiles[engineId] = profile;
+  } else {
+    delete profiles[engineId];
+  }
+  savePreference(PROFILES_PREFERENCE, profiles);
+};
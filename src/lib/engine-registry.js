@@ -0,0 +1,75 @@
+/**
+ * The engines the app can play and analyze with: the built-in Stockfish
+ * build running as a Web Worker, and UCI engines on this machine relayed
+ * by the WebSocket bridge (scripts/uci-bridge.js).
+ *
+ * An engine is identified by a string: BUILTIN_ENGINE_ID, or the bridge
+ * URL of a bridged engine, e.g. "ws://localhost:8765/engines/lc0".
+ */
+
+import { StockfishEngine } from './stockfish-engine.js';
+import { createWebSocketTransport } from './websocket-transport.js';
+
+const ENGINE_PATH = "/stockfish/stockfish.js#/stockfish/stockfish.wasm";
+
+/**
+ * Id of the engine bundled with the app
+ * @type {string}
+ */
+export const BUILTIN_ENGINE_ID = 'builtin';
+
+/**
+ * The bundled engine as listed in engine selectors
+ * @type {{id: string, name: string}}
+ */
+export const BUILTIN_ENGINE = { id: BUILTIN_ENGINE_ID, name: 'Stockfish 17.1 (built-in)' };
+
+/**
+ * Where `npm run bridge` listens unless told otherwise
+ * @type {string}
+ */
+export const DEFAULT_BRIDGE_URL = 'ws://localhost:8765';
+
+/**
+ * Whether an engine id refers to a bridged engine
+ * @param {string} engineId
+ * @returns {boolean}
+ */
+export const isBridgedEngine = (engineId) => /^wss?:\/\//.test(engineId);
+
+/**
+ * Starts an engine, not yet initialized
+ * @param {string} [engineId] - BUILTIN_ENGINE_ID or a bridged engine's URL
+ * @returns {StockfishEngine}
+ */
+export const createEngine = (engineId = BUILTIN_ENGINE_ID) => {
+  if (isBridgedEngine(engineId)) {
+    return new StockfishEngine(createWebSocketTransport(engineId));
+  }
+  return new StockfishEngine(ENGINE_PATH);
+};
+
+/**
+ * Asks the bridge which engines it is configured with
+ * @param {string} bridgeUrl - e.g. "ws://localhost:8765"
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<Array<{id: string, name: string}>>} Engines with ids ready for createEngine
+ */
+export const fetchBridgeEngines = async (bridgeUrl, { signal } = {}) => {
+  const base = bridgeUrl.trim().replace(/\/+$/, '');
+  if (!isBridgedEngine(base)) {
+    throw new Error(`Not a WebSocket URL: ${bridgeUrl}`);
+  }
+
+  const response = await fetch(`${base.replace(/^ws/, 'http')}/engines`, { signal });
+  if (!response.ok) {
+    throw new Error(`Bridge answered ${response.status} ${response.statusText}`);
+  }
+
+  const { engines } = await response.json();
+  return engines.map(({ id, name }) => ({
+    id: `${base}/engines/${encodeURIComponent(id)}`,
+    name
+  }));
+};
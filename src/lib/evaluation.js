@@ -0,0 +1,61 @@
+/**
+ * Helpers for interpreting engine scores
+ */
+
+/**
+ * Converts a UCI score (reported from the side to move) to White's point of view
+ * @param {{unit: string, value: number, lowerbound?: boolean, upperbound?: boolean}} score
+ * @param {string} turn - Side to move, 'w' or 'b'
+ * @returns {Object} The score with White-positive values
+ */
+export const toWhitePerspective = (score, turn) => {
+  if (!score || turn === 'w') return score;
+
+  return {
+    ...score,
+    value: -score.value,
+    lowerbound: Boolean(score.upperbound),
+    upperbound: Boolean(score.lowerbound)
+  };
+};
+
+/**
+ * Formats a score for display, e.g. "+0.31", "-1.20", "#3" or "#-2"
+ * @param {{unit: string, value: number}|null} score
+ * @returns {string}
+ */
+export const formatScore = (score) => {
+  if (!score) return '';
+
+  if (score.unit === 'mate') {
+    return `#${score.value}`;
+  }
+
+  const pawns = score.value / 100;
+  return `${pawns > 0 ? '+' : ''}${pawns.toFixed(2)}`;
+};
+
+/**
+ * Maps a score to winning chances between -1 (losing) and 1 (winning),
+ * using the logistic curve popularised by Lichess
+ * @param {{unit: string, value: number}} score
+ * @returns {number}
+ */
+export const getWinningChances = (score) => {
+  if (score.unit === 'mate') {
+    // "mate 0" means the side to move is already mated
+    return score.value > 0 ? 1 : -1;
+  }
+
+  return 2 / (1 + Math.exp(-0.00368208 * score.value)) - 1;
+};
+
+/**
+ * Share of an evaluation bar that belongs to White, in percent
+ * @param {{unit: string, value: number}|null} whiteScore - Score from White's point of view
+ * @returns {number} 0 to 100, 50 when the score is unknown
+ */
+export const getWhiteBarPercent = (whiteScore) => {
+  if (!whiteScore) return 50;
+  return 50 + 50 * getWinningChances(whiteScore);
+};
@@ -0,0 +1,259 @@
+/**
+ * FEN (Forsyth-Edwards Notation) helpers for setting up positions by hand
+ */
+
+import { Chess, validateFen } from 'chess.js';
+
+const FILES = 'abcdefgh';
+
+const COLOR_NAMES = { w: 'White', b: 'Black' };
+
+const PIECE_NAMES = { p: 'pawn', n: 'knight', b: 'bishop', r: 'rook', q: 'queen', k: 'king' };
+
+/**
+ * Where king and rook must stand for each castling right
+ * @type {Object<string, {color: string, side: string, king: string, rook: string}>}
+ */
+const CASTLING_SQUARES = {
+  K: { color: 'w', side: 'kingside', king: 'e1', rook: 'h1' },
+  Q: { color: 'w', side: 'queenside', king: 'e1', rook: 'a1' },
+  k: { color: 'b', side: 'kingside', king: 'e8', rook: 'h8' },
+  q: { color: 'b', side: 'queenside', king: 'e8', rook: 'a8' }
+};
+
+/**
+ * An empty board with White to move and no castling rights
+ * @type {string}
+ */
+export const EMPTY_POSITION = '8/8/8/8/8/8/8/8 w - - 0 1';
+
+/**
+ * Converts the piece placement field of a FEN into a square map
+ * @param {string} board - First FEN field (e.g. 'rnbqkbnr/pppppppp/8/...')
+ * @returns {Object<string, string>} Map of square to piece code (e.g. { e1: 'wK' })
+ * @throws {Error} If the field is malformed
+ */
+export const placementFromFen = (board) => {
+  const ranks = board.split('/');
+  if (ranks.length !== 8) {
+    throw new Error(`The board needs 8 ranks separated by "/", found ${ranks.length}`);
+  }
+
+  const placement = {};
+  ranks.forEach((rank, rankIndex) => {
+    let file = 0;
+    for (const char of rank) {
+      if (/[1-8]/.test(char)) {
+        file += parseInt(char, 10);
+      } else if (/[pnbrqkPNBRQK]/.test(char)) {
+        if (file < 8) {
+          const color = char === char.toUpperCase() ? 'w' : 'b';
+          placement[`${FILES[file]}${8 - rankIndex}`] = `${color}${char.toUpperCase()}`;
+        }
+        file += 1;
+      } else {
+        throw new Error(`"${char}" is not a piece letter (rank ${8 - rankIndex})`);
+      }
+    }
+    if (file !== 8) {
+      throw new Error(`Rank ${8 - rankIndex} describes ${file} squares instead of 8`);
+    }
+  });
+
+  return placement;
+};
+
+/**
+ * Converts a square map into the piece placement field of a FEN
+ * @param {Object<string, string>} placement - Map of square to piece code
+ * @returns {string}
+ */
+export const placementToFen = (placement) => {
+  const ranks = [];
+
+  for (let rank = 8; rank >= 1; rank--) {
+    let text = '';
+    let empty = 0;
+
+    for (const file of FILES) {
+      const piece = placement[`${file}${rank}`];
+      if (!piece) {
+        empty += 1;
+        continue;
+      }
+      if (empty) {
+        text += empty;
+        empty = 0;
+      }
+      text += piece[0] === 'w' ? piece[1].toUpperCase() : piece[1].toLowerCase();
+    }
+
+    ranks.push(empty ? text + empty : text);
+  }
+
+  return ranks.join('/');
+};
+
+/**
+ * Splits a FEN into its fields
+ * @param {string} fen
+ * @returns {{placement: Object<string, string>, turn: string, castling: string,
+ *            enPassant: string, halfmove: number, fullmove: number}}
+ * @throws {Error} Describing the first field that can't be read
+ */
+export const parseFen = (fen) => {
+  const fields = fen.trim().split(/\s+/);
+  if (fields.length !== 6) {
+    throw new Error(`A FEN has 6 fields separated by spaces, found ${fields.length}`);
+  }
+
+  const [board, turn, castling, enPassant, halfmove, fullmove] = fields;
+
+  if (!['w', 'b'].includes(turn)) {
+    throw new Error(`Side to move must be "w" or "b", not "${turn}"`);
+  }
+  if (!/^(-|K?Q?k?q?)$/.test(castling)) {
+    throw new Error(`Castling rights must be "-" or some of "KQkq" in that order, not "${castling}"`);
+  }
+  if (!/^(-|[a-h][36])$/.test(enPassant)) {
+    throw new Error(`En passant square must be "-" or a square on rank 3 or 6, not "${enPassant}"`);
+  }
+  if (!/^\d+$/.test(halfmove)) {
+    throw new Error(`Halfmove clock must be a number, not "${halfmove}"`);
+  }
+  if (!/^[1-9]\d*$/.test(fullmove)) {
+    throw new Error(`Move number must be a positive number, not "${fullmove}"`);
+  }
+
+  return {
+    placement: placementFromFen(board),
+    turn,
+    castling,
+    enPassant,
+    halfmove: parseInt(halfmove, 10),
+    fullmove: parseInt(fullmove, 10)
+  };
+};
+
+/**
+ * Builds a FEN from its fields
+ * @param {Object} fields - Same shape as the result of {@link parseFen}
+ * @returns {string}
+ */
+export const buildFen = ({ placement, turn, castling, enPassant, halfmove = 0, fullmove = 1 }) => {
+  return [
+    placementToFen(placement),
+    turn,
+    castling || '-',
+    enPassant || '-',
+    halfmove,
+    fullmove
+  ].join(' ');
+};
+
+/**
+ * Explains everything that makes a position unplayable, in plain words
+ * @param {string} fen
+ * @returns {Array<string>} Problems found; empty when the position is legal
+ *
+ * @example
+ * getSetupErrors('8/8/8/8/8/8/8/4K3 w - - 0 1');
+ * // ['Black needs exactly one king (found 0)']
+ */
+export const getSetupErrors = (fen) => {
+  let fields;
+  try {
+    fields = parseFen(fen);
+  } catch (error) {
+    return [error.message];
+  }
+
+  const { placement, turn, castling, enPassant } = fields;
+  const errors = [];
+  const squaresOf = (piece) => Object.keys(placement).filter(square => placement[square] === piece);
+
+  ['w', 'b'].forEach(color => {
+    const name = COLOR_NAMES[color];
+    const kings = squaresOf(`${color}K`);
+    const pawns = squaresOf(`${color}P`);
+    const pieces = Object.values(placement).filter(piece => piece[0] === color);
+
+    if (kings.length !== 1) {
+      errors.push(`${name} needs exactly one king (found ${kings.length})`);
+    }
+    if (pawns.length > 8) {
+      errors.push(`${name} has ${pawns.length} pawns; at most 8 are possible`);
+    }
+    if (pieces.length > 16) {
+      errors.push(`${name} has ${pieces.length} pieces; at most 16 are possible`);
+    }
+
+    const backRankPawns = pawns.filter(square => square[1] === '1' || square[1] === '8');
+    if (backRankPawns.length) {
+      errors.push(`${name} pawns can't stand on the first or eighth rank (${backRankPawns.join(', ')})`);
+    }
+  });
+
+  // Castling rights need the king and rook on their original squares
+  for (const right of castling.replace('-', '')) {
+    const { color, side, king, rook } = CASTLING_SQUARES[right];
+    if (placement[king] !== `${color}K` || placement[rook] !== `${color}R`) {
+      errors.push(`${COLOR_NAMES[color]} can't castle ${side}: the king must be on ${king} and a rook on ${rook}`);
+    }
+  }
+
+  if (enPassant !== '-') {
+    const file = enPassant[0];
+    const expectedRank = turn === 'w' ? '6' : '3';
+    const mover = turn === 'w' ? 'b' : 'w';
+    const pawnSquare = `${file}${turn === 'w' ? 5 : 4}`;
+    const originSquare = `${file}${turn === 'w' ? 7 : 2}`;
+
+    if (enPassant[1] !== expectedRank) {
+      errors.push(`With ${COLOR_NAMES[turn]} to move, the en passant square must be on rank ${expectedRank}`);
+    } else if (placement[pawnSquare] !== `${mover}P`) {
+      errors.push(`En passant on ${enPassant} needs a ${COLOR_NAMES[mover].toLowerCase()} pawn on ${pawnSquare} that just moved two squares`);
+    } else if (placement[enPassant] || placement[originSquare]) {
+      errors.push(`En passant on ${enPassant} needs ${enPassant} and ${originSquare} to be empty`);
+    }
+  }
+
+  const whiteKing = squaresOf('wK')[0];
+  const blackKing = squaresOf('bK')[0];
+  if (whiteKing && blackKing && errors.length === 0) {
+    const distance = Math.max(
+      Math.abs(FILES.indexOf(whiteKing[0]) - FILES.indexOf(blackKing[0])),
+      Math.abs(parseInt(whiteKing[1], 10) - parseInt(blackKing[1], 10))
+    );
+    if (distance <= 1) {
+      errors.push("The kings can't stand next to each other");
+    } else {
+      // The side that just moved can't have left its own king in check
+      const game = new Chess();
+      game.load(fen, { skipValidation: true });
+      const waitingKing = turn === 'w' ? blackKing : whiteKing;
+      if (game.isAttacked(waitingKing, turn)) {
+        errors.push(`${COLOR_NAMES[turn === 'w' ? 'b' : 'w']} is in check but it's ${COLOR_NAMES[turn]}'s move`);
+      }
+    }
+  }
+
+  // Anything chess.js still refuses that wasn't explained above
+  if (errors.length === 0) {
+    const result = validateFen(fen);
+    if (!result.ok) {
+      errors.push(result.error.replace(/^Invalid FEN: /, ''));
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Describes a piece code in words (e.g. 'wN' becomes 'white knight')
+ * @param {string} piece - Piece code
+ * @returns {string}
+ */
+export const describePiece = (piece) => {
+  return `${COLOR_NAMES[piece[0]].toLowerCase()} ${PIECE_NAMES[piece[1].toLowerCase()]}`;
+};
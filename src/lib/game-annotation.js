@@ -0,0 +1,99 @@
+/**
+ * Writing a game review into the game's move tree, for PGN export: each
+ * move gets the evaluation after it as a `[%eval ...]` comment, and errors
+ * get their NAG, a short note and the engine's line as a variation.
+ */
+
+import { Chess } from 'chess.js';
+import { addMove, updateNode } from './move-tree.js';
+import { uciToMove } from './chess-utils.js';
+
+/**
+ * NAGs for review labels: $6 ?!, $2 ?, $4 ??
+ * @type {Object<string, number>}
+ */
+export const LABEL_NAGS = {
+  inaccuracy: 6,
+  mistake: 2,
+  blunder: 4
+};
+
+// Engine moves added as the variation after an error
+const VARIATION_PLIES = 6;
+
+const EVAL_TAG = /\s*\[%eval [^\]]*\]\s*/g;
+
+/**
+ * PGN eval command for a score, as understood by Lichess and ChessBase
+ * @param {{unit: string, value: number}} whiteScore - Score from White's point of view
+ * @returns {string} e.g. "[%eval 0.31]" or "[%eval #-3]"; empty for a finished game
+ */
+export const formatEvalTag = (whiteScore) => {
+  if (whiteScore.unit === 'mate') {
+    return whiteScore.value === 0 ? '' : `[%eval #${whiteScore.value}]`;
+  }
+  return `[%eval ${(whiteScore.value / 100).toFixed(2)}]`;
+};
+
+/**
+ * Adds an engine line to the tree as a variation from a node
+ * @returns {{tree: Object, san: string|null}} The tree and the line's first move
+ */
+const addLine = (tree, parentId, uciMoves) => {
+  const game = new Chess(tree.nodes[parentId].fen);
+  let nodeId = parentId;
+  let san = null;
+
+  for (const uci of uciMoves) {
+    let move;
+    try {
+      move = game.move(uciToMove(uci));
+    } catch {
+      break;
+    }
+    san = san ?? move.san;
+    ({ tree, nodeId } = addMove(tree, nodeId, move, game.fen()));
+  }
+
+  return { tree, san };
+};
+
+/**
+ * Writes a review into a move tree. Evaluations already in the comments are
+ * replaced; everything else the comments say is kept.
+ * @param {Object} tree - The reviewed game
+ * @param {Array<Object>} positions - Reviewed positions (nodeId, whiteScore, bestmove, pv), root first
+ * @param {Array<Object>} moves - Reviewed moves (nodeId, label)
+ * @returns {Object} The annotated tree
+ */
+export const annotateTree = (tree, positions, moves) => {
+  let annotated = tree;
+
+  moves.forEach(move => {
+    const index = positions.findIndex(position => position.nodeId === move.nodeId);
+    if (index < 1) return;
+
+    const before = positions[index - 1];
+    const after = positions[index];
+    const node = annotated.nodes[move.nodeId];
+    const notes = [];
+
+    const nag = LABEL_NAGS[move.label];
+    if (nag) {
+      const line = before.pv.length ? before.pv : [before.bestmove];
+      const added = addLine(annotated, node.parentId, line.slice(0, VARIATION_PLIES));
+      annotated = added.tree;
+
+      const label = move.label[0].toUpperCase() + move.label.slice(1);
+      notes.push(added.san ? `${label}. ${added.san} was best.` : `${label}.`);
+    }
+
+    const existing = (node.comment || '').replace(EVAL_TAG, ' ').trim();
+    const comment = [formatEvalTag(after.whiteScore), existing, ...notes].filter(Boolean).join(' ');
+    const nags = nag && !(node.nags || []).includes(nag) ? [...(node.nags || []), nag] : node.nags;
+
+    annotated = updateNode(annotated, move.nodeId, { comment, ...(nags && { nags }) });
+  });
+
+  return annotated;
+};
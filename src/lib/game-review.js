@@ -0,0 +1,160 @@
+/**
+ * Move classification and accuracy for post-game review.
+ *
+ * Every position of the game is evaluated; a move's quality is how much it
+ * lowered the mover's winning chances compared to the position before it.
+ * Thresholds and the accuracy curve follow Lichess.
+ */
+
+import { Chess } from 'chess.js';
+import { getWinningChances } from './evaluation.js';
+
+// Evaluations beyond this many centipawns (and mates) count as this much
+const MAX_CP = 1000;
+
+/**
+ * Labels from best to worst, with the loss in winning chances (on the -1..1
+ * scale) at which each one starts
+ * @type {Array<{label: string, minLoss: number}>}
+ */
+export const MOVE_LABELS = [
+  { label: 'blunder', minLoss: 0.3 },
+  { label: 'mistake', minLoss: 0.2 },
+  { label: 'inaccuracy', minLoss: 0.1 },
+  { label: 'excellent', minLoss: 0 }
+];
+
+/**
+ * Symbols shown next to labelled moves
+ * @type {Object<string, string>}
+ */
+export const LABEL_SYMBOLS = {
+  best: '★',
+  excellent: '!',
+  inaccuracy: '?!',
+  mistake: '?',
+  blunder: '??'
+};
+
+/**
+ * Labels that deserve a better alternative
+ * @type {Array<string>}
+ */
+export const ERROR_LABELS = ['inaccuracy', 'mistake', 'blunder'];
+
+/**
+ * Centipawn value of a score, mates and large advantages capped
+ * @param {{unit: string, value: number}} score - From the side to move
+ * @returns {number}
+ */
+export const toCappedCp = (score) => {
+  if (score.unit === 'mate') {
+    return score.value > 0 ? MAX_CP : -MAX_CP;
+  }
+  return Math.max(-MAX_CP, Math.min(MAX_CP, score.value));
+};
+
+/**
+ * Accuracy of a single move, 0-100, from the mover's win percentage before and after
+ * @param {number} winBefore - Win percentage (0-100) before the move
+ * @param {number} winAfter - Win percentage (0-100) after the move
+ * @returns {number}
+ */
+export const getMoveAccuracy = (winBefore, winAfter) => {
+  const accuracy = 103.1668 * Math.exp(-0.04354 * Math.max(0, winBefore - winAfter)) - 3.1669;
+  return Math.max(0, Math.min(100, accuracy));
+};
+
+/**
+ * Labels a move other than the engine's choice
+ * @param {number} loss - Drop in the mover's winning chances (-1..1 scale)
+ * @returns {string}
+ */
+export const classifyMove = (loss) => {
+  return MOVE_LABELS.find(({ minLoss }) => loss >= minLoss).label;
+};
+
+/**
+ * Reviews a move from the evaluations of the positions before and after it
+ * @param {Object} move - The move played ({ uci, color })
+ * @param {Object} before - Evaluation of the position before ({ score, bestmove })
+ * @param {Object} after - Evaluation of the position after
+ * @returns {{label: string, loss: number, cpLoss: number, accuracy: number}}
+ */
+export const reviewMove = (move, before, after) => {
+  // The engine's own choice loses nothing; a difference is just search noise
+  if (move.uci === before.bestmove) {
+    return { label: 'best', loss: 0, cpLoss: 0, accuracy: 100 };
+  }
+
+  // Scores are from the side to move, so the position after is seen by the opponent
+  const chancesBefore = getWinningChances(before.score);
+  const chancesAfter = -getWinningChances(after.score);
+  const loss = Math.max(0, chancesBefore - chancesAfter);
+
+  return {
+    label: classifyMove(loss),
+    loss,
+    cpLoss: Math.max(0, toCappedCp(before.score) + toCappedCp(after.score)),
+    accuracy: getMoveAccuracy(50 + 50 * chancesBefore, 50 + 50 * chancesAfter)
+  };
+};
+
+/**
+ * Evaluates one position of a game. Finished positions are scored without
+ * the engine; the rest are searched with the game's moves so far, so the
+ * engine knows about repetitions.
+ * @param {Function} go - Runs a search, like StockfishEngine#go
+ * @param {Object} position
+ * @param {string} position.startFen - Position the game started from
+ * @param {Array<string>} position.moves - UCI moves played to reach the position
+ * @param {string} position.fen - The position itself
+ * @param {number} position.depth - Search depth
+ * @param {AbortSignal} [position.signal]
+ * @returns {Promise<{score: Object, bestmove: string|null, pv: Array<string>}>} Score from the side to move
+ */
+export const evaluatePosition = async (go, { startFen, moves, fen, depth, signal }) => {
+  const chess = new Chess(fen);
+  if (chess.isCheckmate()) {
+    return { score: { unit: 'mate', value: 0 }, bestmove: null, pv: [] };
+  }
+  if (chess.isDraw() || chess.isStalemate()) {
+    return { score: { unit: 'cp', value: 0 }, bestmove: null, pv: [] };
+  }
+
+  const { bestmove, info } = await go({ fen: startFen, moves, depth, signal });
+  return {
+    score: info[0]?.score ?? { unit: 'cp', value: 0 },
+    bestmove,
+    pv: info[0]?.pv ?? []
+  };
+};
+
+/**
+ * Per-side totals for a reviewed game
+ * @param {Array<Object>} reviewedMoves - Moves with color and review fields
+ * @returns {Object<string, {moves: number, accuracy: number, acpl: number, counts: Object<string, number>}>}
+ *          Keyed by 'w' and 'b'
+ */
+export const summarizeReview = (reviewedMoves) => {
+  const summary = {};
+
+  ['w', 'b'].forEach(color => {
+    const moves = reviewedMoves.filter(move => move.color === color);
+    const counts = Object.fromEntries(Object.keys(LABEL_SYMBOLS).map(label => [label, 0]));
+    moves.forEach(move => { counts[move.label] += 1; });
+
+    const average = (field) => moves.length
+      ? moves.reduce((total, move) => total + move[field], 0) / moves.length
+      : 0;
+
+    summary[color] = {
+      moves: moves.length,
+      accuracy: average('accuracy'),
+      acpl: average('cpLoss'),
+      counts
+    };
+  });
+
+  return summary;
+};
@@ -0,0 +1,109 @@
+/**
+ * Saving and restoring the in-progress game in localStorage.
+ *
+ * Saved data carries a schema version. When the shape changes, bump
+ * SAVED_GAME_VERSION and add a migration from the previous version to
+ * MIGRATIONS so games saved by older builds can still be resumed.
+ */
+
+import { CUSTOM_DEPTH_LEVEL } from './strength-levels.js';
+
+const STORAGE_KEY = 'chess-experiments:saved-game';
+
+/**
+ * Current schema version of saved games
+ * @type {number}
+ */
+export const SAVED_GAME_VERSION = 4;
+
+/**
+ * Upgrades saved data to a version from the one before it, keyed by target version
+ * @type {Object<number, Function>}
+ */
+const MIGRATIONS = {
+  // Version 2 added clocks; older games were untimed
+  2: (data) => ({
+    ...data,
+    settings: { ...data.settings, timeControl: null, pauseClocksWhenHidden: false },
+    clocks: null
+  }),
+  // Version 3 added difficulty presets; older games searched to a fixed depth
+  3: (data) => ({
+    ...data,
+    settings: { ...data.settings, strengthLevel: CUSTOM_DEPTH_LEVEL }
+  }),
+  // Version 4 started counting hints
+  4: (data) => ({
+    ...data,
+    settings: { ...data.settings, showThreat: false, pieceFirstHints: false },
+    hintsUsed: 0
+  })
+};
+
+/**
+ * Brings saved data up to the current schema version
+ * @param {Object} data - Parsed saved game
+ * @returns {Object|null} Migrated data, or null if it can't be used
+ */
+export const migrateSavedGame = (data) => {
+  if (!data || typeof data.version !== 'number' || data.version > SAVED_GAME_VERSION) {
+    return null;
+  }
+
+  let migrated = data;
+  while (migrated.version < SAVED_GAME_VERSION) {
+    const migrate = MIGRATIONS[migrated.version + 1];
+    if (!migrate) return null;
+    migrated = { ...migrate(migrated), version: migrated.version + 1 };
+  }
+
+  return migrated;
+};
+
+/**
+ * Reads the saved game, migrating it if needed
+ * @returns {Object|null} The saved game, or null if there is none or it is unreadable
+ */
+export const loadSavedGame = () => {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    if (!raw) return null;
+
+    const game = migrateSavedGame(JSON.parse(raw));
+    if (!game?.tree?.nodes) {
+      localStorage.removeItem(STORAGE_KEY);
+      return null;
+    }
+    return game;
+  } catch (error) {
+    console.error('Could not read saved game:', error);
+    return null;
+  }
+};
+
+/**
+ * Saves the current game
+ * @param {Object} game - Game state: tree, currentNodeId, settings, headers, startedAt, clocks, hintsUsed
+ */
+export const saveGame = (game) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({
+      ...game,
+      version: SAVED_GAME_VERSION,
+      savedAt: new Date().toISOString()
+    }));
+  } catch (error) {
+    console.error('Could not save game:', error);
+  }
+};
+
+/**
+ * Removes the saved game
+ */
+export const clearSavedGame = () => {
+  try {
+    localStorage.removeItem(STORAGE_KEY);
+  } catch (error) {
+    console.error('Could not clear saved game:', error);
+  }
+};
@@ -0,0 +1,207 @@
+/**
+ * Immutable game tree of moves with side variations.
+ *
+ * A tree is a plain, serializable object:
+ * ```javascript
+ * {
+ *   startFen: '...',
+ *   rootId: 0,
+ *   nextId: 3,
+ *   nodes: {
+ *     0: { id: 0, parentId: null, fen: '...', move: null, children: [1, 2] },
+ *     1: { id: 1, parentId: 0, fen: '...', move: { san: 'e4', ... }, children: [] },
+ *     2: { id: 2, parentId: 0, fen: '...', move: { san: 'd4', ... }, children: [] }
+ *   }
+ * }
+ * ```
+ * The first child of a node continues its line; further children are side
+ * variations. Every operation returns a new tree and leaves its input untouched.
+ */
+
+import { DEFAULT_POSITION } from 'chess.js';
+
+/**
+ * Creates a tree containing only the starting position.
+ * @param {string} [startFen] - Starting position, defaults to the standard one
+ * @returns {Object} The new tree
+ */
+export const createMoveTree = (startFen = DEFAULT_POSITION) => {
+  return {
+    startFen,
+    rootId: 0,
+    nextId: 1,
+    nodes: {
+      0: { id: 0, parentId: null, fen: startFen, move: null, moveNumber: null, children: [] }
+    }
+  };
+};
+
+/**
+ * Reduces a chess.js move to the fields stored in the tree
+ * @param {Object} move - Verbose move returned by chess.js
+ * @returns {{san: string, uci: string, from: string, to: string, promotion: string|undefined, color: string}}
+ */
+export const toTreeMove = (move) => {
+  return {
+    san: move.san,
+    uci: move.lan,
+    from: move.from,
+    to: move.to,
+    promotion: move.promotion,
+    color: move.color
+  };
+};
+
+/**
+ * Adds a move after a node. If that move already exists there, the existing
+ * node is reused; otherwise the move extends the line when the node has no
+ * continuation yet, or starts a new side variation when it does.
+ *
+ * @param {Object} tree - The tree
+ * @param {number} parentId - Node the move is played from
+ * @param {Object} move - Verbose move returned by chess.js
+ * @param {string} fen - Position after the move
+ * @returns {{tree: Object, nodeId: number}} The updated tree and the node of the move
+ */
+export const addMove = (tree, parentId, move, fen) => {
+  const parent = tree.nodes[parentId];
+  const treeMove = toTreeMove(move);
+
+  const existingId = parent.children.find(id => tree.nodes[id].move.uci === treeMove.uci);
+  if (existingId !== undefined) {
+    return { tree, nodeId: existingId };
+  }
+
+  const nodeId = tree.nextId;
+  const node = {
+    id: nodeId,
+    parentId,
+    fen,
+    move: treeMove,
+    moveNumber: parseInt(parent.fen.split(' ')[5], 10) || 1,
+    children: []
+  };
+
+  return {
+    tree: {
+      ...tree,
+      nextId: nodeId + 1,
+      nodes: {
+        ...tree.nodes,
+        [parentId]: { ...parent, children: [...parent.children, nodeId] },
+        [nodeId]: node
+      }
+    },
+    nodeId
+  };
+};
+
+/**
+ * Returns a new tree with one node's fields replaced
+ * @param {Object} tree - The tree
+ * @param {number} nodeId - Node to update
+ * @param {Object} changes - Fields to merge into the node
+ * @returns {Object} The updated tree
+ */
+export const updateNode = (tree, nodeId, changes) => {
+  return {
+    ...tree,
+    nodes: {
+      ...tree.nodes,
+      [nodeId]: { ...tree.nodes[nodeId], ...changes }
+    }
+  };
+};
+
+/**
+ * Lists the nodes from the root down to a node, both included
+ * @param {Object} tree - The tree
+ * @param {number} nodeId - Last node of the path
+ * @returns {Array<Object>} Nodes in playing order
+ */
+export const getPathToNode = (tree, nodeId) => {
+  const path = [];
+  let node = tree.nodes[nodeId];
+
+  while (node) {
+    path.unshift(node);
+    node = node.parentId === null ? null : tree.nodes[node.parentId];
+  }
+
+  return path;
+};
+
+/**
+ * Lists the nodes that follow a node along its main continuation
+ * @param {Object} tree - The tree
+ * @param {number} [nodeId] - Node to start from, defaults to the root
+ * @returns {Array<Object>} Following nodes, the start node excluded
+ */
+export const getMainline = (tree, nodeId = tree.rootId) => {
+  const line = [];
+  let node = tree.nodes[nodeId];
+
+  while (node.children.length) {
+    node = tree.nodes[node.children[0]];
+    line.push(node);
+  }
+
+  return line;
+};
+
+/**
+ * Finds the last node of the main continuation from a node
+ * @param {Object} tree - The tree
+ * @param {number} nodeId - Node to start from
+ * @returns {number} Id of the last node
+ */
+export const getLineEnd = (tree, nodeId) => {
+  const line = getMainline(tree, nodeId);
+  return line.length ? line[line.length - 1].id : nodeId;
+};
+
+/**
+ * Counts the moves between the root and a node
+ * @param {Object} tree - The tree
+ * @param {number} nodeId - The node
+ * @returns {number} Number of plies
+ */
+export const getPly = (tree, nodeId) => {
+  return getPathToNode(tree, nodeId).length - 1;
+};
+
+/**
+ * Checks whether a node lies on the game's main line
+ * @param {Object} tree - The tree
+ * @param {number} nodeId - The node
+ * @returns {boolean}
+ */
+export const isMainline = (tree, nodeId) => {
+  return getPathToNode(tree, nodeId).every(node =>
+    node.parentId === null || tree.nodes[node.parentId].children[0] === node.id
+  );
+};
+
+/**
+ * Makes the variation containing a node the main continuation at every branch
+ * point above it
+ * @param {Object} tree - The tree
+ * @param {number} nodeId - Any node of the variation
+ * @returns {Object} The updated tree
+ */
+export const promoteVariation = (tree, nodeId) => {
+  let result = tree;
+
+  getPathToNode(tree, nodeId).forEach(node => {
+    if (node.parentId === null) return;
+
+    const parent = result.nodes[node.parentId];
+    if (parent.children[0] !== node.id) {
+      result = updateNode(result, parent.id, {
+        children: [node.id, ...parent.children.filter(id => id !== node.id)]
+      });
+    }
+  });
+
+  return result;
+};
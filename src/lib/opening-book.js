@@ -0,0 +1,245 @@
+/**
+ * Opening books for the engine opponent, and the "variety" rules for picking
+ * among book moves and near-equal engine moves.
+ *
+ * A book is { name, getMoves(fen) } where getMoves lists the book moves of a
+ * position as { uci, weight }. Books come from a Polyglot .bin file or from
+ * the lines of the bundled ECO table.
+ */
+
+import { Chess, DEFAULT_POSITION } from 'chess.js';
+import { POLYGLOT_RANDOM } from './polyglot-random.js';
+import { ECO_OPENINGS } from './eco-openings.js';
+import { getPositionKey } from './openings.js';
+import { toCappedCp } from './game-review.js';
+
+/**
+ * Book moves are played for this many moves per side unless set otherwise
+ * @type {number}
+ */
+export const DEFAULT_BOOK_DEPTH = 8;
+
+/**
+ * How freely the engine varies its play. weightPower reshapes book weights
+ * before a weighted pick (null: always the heaviest move); marginCp is how far
+ * below the best engine line another line may score and still be picked.
+ * @type {Array<{id: string, label: string, weightPower: number|null, marginCp: number}>}
+ */
+export const VARIETY_LEVELS = [
+  { id: 'off', label: 'Off', weightPower: null, marginCp: 0 },
+  { id: 'low', label: 'Low', weightPower: 2, marginCp: 10 },
+  { id: 'medium', label: 'Medium', weightPower: 1, marginCp: 25 },
+  { id: 'high', label: 'High', weightPower: 0.5, marginCp: 50 }
+];
+
+/**
+ * Engine lines searched to find near-equal alternatives
+ * @type {number}
+ */
+export const VARIETY_LINES = 4;
+
+/**
+ * @param {string} id
+ * @returns {Object} The variety level, 'off' for unknown ids
+ */
+export const getVarietyLevel = (id) => VARIETY_LEVELS.find(level => level.id === id) ?? VARIETY_LEVELS[0];
+
+// Polyglot piece kinds: black pawn 0, white pawn 1, black knight 2, ... white king 11
+const POLYGLOT_PIECES = 'pPnNbBrRqQkK';
+const CASTLING_OFFSET = 768;
+const EN_PASSANT_OFFSET = 772;
+const TURN_OFFSET = 780;
+const ENTRY_SIZE = 16;
+
+// Built-in book moves named by fewer than this share of a position's lines
+// are left out; they are the table's curiosities, not moves worth repeating
+const MIN_BUILTIN_SHARE = 0.02;
+
+/**
+ * Polyglot hash of a position
+ * @param {string} fen
+ * @returns {bigint}
+ */
+export const getPolyglotKey = (fen) => {
+  const [placement, turn, castling, enPassant] = fen.split(' ');
+  let key = 0n;
+
+  placement.split('/').forEach((row, rowIndex) => {
+    const rank = 7 - rowIndex;
+    let file = 0;
+    for (const char of row) {
+      if (/\d/.test(char)) {
+        file += parseInt(char, 10);
+      } else {
+        key ^= POLYGLOT_RANDOM[64 * POLYGLOT_PIECES.indexOf(char) + 8 * rank + file];
+        file += 1;
+      }
+    }
+  });
+
+  ['K', 'Q', 'k', 'q'].forEach((right, index) => {
+    if (castling.includes(right)) key ^= POLYGLOT_RANDOM[CASTLING_OFFSET + index];
+  });
+
+  // The en passant file only counts when a pawn of the side to move could capture
+  if (enPassant !== '-') {
+    const file = enPassant.charCodeAt(0) - 97;
+    const board = new Chess(fen, { skipValidation: true });
+    const pawnRank = turn === 'w' ? '5' : '4';
+    const canCapture = [file - 1, file + 1]
+      .filter(neighbour => neighbour >= 0 && neighbour <= 7)
+      .some(neighbour => {
+        const piece = board.get(`${String.fromCharCode(97 + neighbour)}${pawnRank}`);
+        return piece && piece.type === 'p' && piece.color === turn;
+      });
+    if (canCapture) key ^= POLYGLOT_RANDOM[EN_PASSANT_OFFSET + file];
+  }
+
+  if (turn === 'w') key ^= POLYGLOT_RANDOM[TURN_OFFSET];
+  return key;
+};
+
+/**
+ * Converts a Polyglot move to UCI; castling is stored as the king taking its
+ * own rook (e1h1) and comes back as the king's move (e1g1)
+ */
+const decodePolyglotMove = (move, fen) => {
+  const square = (index) => `${String.fromCharCode(97 + (index & 7))}${(index >> 3) + 1}`;
+  const from = square((move >> 6) & 63);
+  const to = square(move & 63);
+  const promotion = ['', 'n', 'b', 'r', 'q'][(move >> 12) & 7];
+
+  const castles = { e1h1: 'e1g1', e1a1: 'e1c1', e8h8: 'e8g8', e8a8: 'e8c8' };
+  const uci = `${from}${to}`;
+  if (castles[uci]) {
+    const king = new Chess(fen).get(from);
+    if (king?.type === 'k') return castles[uci];
+  }
+  return `${uci}${promotion}`;
+};
+
+/**
+ * Opens a Polyglot book. Entries are sorted by key, so a position's moves
+ * are found with a binary search over the file.
+ * @param {ArrayBuffer} buffer - Contents of the .bin file
+ * @param {string} [name] - Shown in the settings
+ * @returns {{name: string, size: number, getMoves: Function}}
+ * @throws {Error} If the file isn't a whole number of book entries
+ */
+export const createPolyglotBook = (buffer, name = 'Polyglot book') => {
+  if (buffer.byteLength === 0 || buffer.byteLength % ENTRY_SIZE !== 0) {
+    throw new Error(`${name} is not a Polyglot book`);
+  }
+
+  const view = new DataView(buffer);
+  const size = buffer.byteLength / ENTRY_SIZE;
+  const keyAt = (index) => view.getBigUint64(index * ENTRY_SIZE);
+
+  const getMoves = (fen) => {
+    const key = getPolyglotKey(fen);
+
+    // First entry with this key
+    let low = 0;
+    let high = size;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (keyAt(middle) < key) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+
+    const moves = [];
+    for (let index = low; index < size && keyAt(index) === key; index++) {
+      const offset = index * ENTRY_SIZE;
+      const weight = view.getUint16(offset + 10);
+      if (weight > 0) {
+        moves.push({ uci: decodePolyglotMove(view.getUint16(offset + 8), fen), weight });
+      }
+    }
+    return moves;
+  };
+
+  return { name, size, getMoves };
+};
+
+let builtinBook = null;
+
+/**
+ * Small book made from the lines of the ECO table; a move's weight is the
+ * number of named lines that continue with it
+ * @returns {{name: string, size: number, getMoves: Function}}
+ */
+export const getBuiltinBook = () => {
+  if (builtinBook) return builtinBook;
+
+  const positions = new Map();
+  ECO_OPENINGS.forEach(([, , line]) => {
+    const game = new Chess(DEFAULT_POSITION);
+    line.split(' ').forEach(san => {
+      const key = getPositionKey(game.fen());
+      const { lan } = game.move(san);
+
+      const moves = positions.get(key) ?? new Map();
+      moves.set(lan, (moves.get(lan) ?? 0) + 1);
+      positions.set(key, moves);
+    });
+  });
+
+  builtinBook = {
+    name: 'Built-in book',
+    size: positions.size,
+    getMoves: (fen) => {
+      const moves = [...(positions.get(getPositionKey(fen)) ?? [])].map(([uci, weight]) => ({ uci, weight }));
+      const total = moves.reduce((sum, move) => sum + move.weight, 0);
+      return moves.filter(move => move.weight >= total * MIN_BUILTIN_SHARE);
+    }
+  };
+  return builtinBook;
+};
+
+/**
+ * Picks a book move for a variety level
+ * @param {Array<{uci: string, weight: number}>} moves - Book moves of the position
+ * @param {string} varietyId - One of VARIETY_LEVELS
+ * @param {Function} [random] - Returns a number in [0, 1)
+ * @returns {string|null} UCI move, or null if there are none
+ */
+export const pickBookMove = (moves, varietyId, random = Math.random) => {
+  if (!moves.length) return null;
+
+  const { weightPower } = getVarietyLevel(varietyId);
+  if (weightPower === null) {
+    return moves.reduce((best, move) => move.weight > best.weight ? move : best).uci;
+  }
+
+  const weights = moves.map(move => move.weight ** weightPower);
+  let pick = random() * weights.reduce((total, weight) => total + weight, 0);
+  for (let index = 0; index < moves.length; index++) {
+    pick -= weights[index];
+    if (pick < 0) return moves[index].uci;
+  }
+  return moves[moves.length - 1].uci;
+};
+
+/**
+ * Picks randomly among the engine's lines that score within the variety
+ * level's margin of the best one. Mates are never traded for a mere advantage.
+ * @param {Array<Object>} lines - Final info of each MultiPV line, best first (score, pv)
+ * @param {string} varietyId - One of VARIETY_LEVELS
+ * @param {Function} [random] - Returns a number in [0, 1)
+ * @returns {string|null} UCI move, or null if no line has a move
+ */
+export const pickVariedMove = (lines, varietyId, random = Math.random) => {
+  const scored = lines.filter(line => line?.score && line.pv?.length);
+  if (!scored.length) return null;
+
+  const [best] = scored;
+  const { marginCp } = getVarietyLevel(varietyId);
+  if (!marginCp || best.score.unit === 'mate') return best.pv[0];
+
+  const bestCp = toCappedCp(best.score);
+  const candidates = scored.filter(line => line.score.unit === 'cp' && bestCp - toCappedCp(line.score) <= marginCp);
+  return candidates[Math.floor(random() * candidates.length)].pv[0];
+};
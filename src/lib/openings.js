@@ -0,0 +1,77 @@
+/**
+ * Opening names and ECO codes for positions, from the table in eco-openings.js.
+ *
+ * The table lists move sequences; the first lookup replays each one and
+ * indexes the resulting position, so transpositions find the same opening.
+ * Positions are compared on piece placement, side to move, castling rights
+ * and en passant square, ignoring the move counters.
+ */
+
+import { Chess, DEFAULT_POSITION } from 'chess.js';
+import { ECO_OPENINGS } from './eco-openings.js';
+
+let openingIndex = null;
+
+/**
+ * Key of a position in the opening index
+ * @param {string} fen
+ * @returns {string} The FEN without its halfmove and fullmove counters
+ */
+export const getPositionKey = (fen) => fen.split(' ').slice(0, 4).join(' ');
+
+/**
+ * Builds the position index; when two entries reach the same position the
+ * first one listed wins
+ */
+const buildIndex = () => {
+  const index = new Map();
+
+  ECO_OPENINGS.forEach(([eco, name, moves]) => {
+    const game = new Chess(DEFAULT_POSITION);
+    moves.split(' ').forEach(san => game.move(san));
+
+    const key = getPositionKey(game.fen());
+    if (!index.has(key)) {
+      index.set(key, { eco, name });
+    }
+  });
+
+  return index;
+};
+
+/**
+ * Opening of a position, if the table has it
+ * @param {string} fen
+ * @returns {{eco: string, name: string}|null}
+ *
+ * @example
+ * lookupOpening('r1bqkbnr/pppp1ppp/2n5/4p3/2B1P3/5N2/PPPP1PPP/RNBQK2R b KQkq - 3 3');
+ * // { eco: 'C50', name: 'Italian Game' }
+ */
+export const lookupOpening = (fen) => {
+  if (!openingIndex) {
+    openingIndex = buildIndex();
+  }
+  return openingIndex.get(getPositionKey(fen)) ?? null;
+};
+
+/**
+ * Opening reached along a sequence of positions: the last one that has a
+ * name, so a game that has left theory keeps the opening it came from
+ * @param {Array<string>} fens - Positions in the order they were played
+ * @returns {{eco: string, name: string}|null}
+ */
+export const findOpening = (fens) => {
+  let opening = null;
+  fens.forEach(fen => {
+    opening = lookupOpening(fen) ?? opening;
+  });
+  return opening;
+};
+
+/**
+ * Formats an opening for display, e.g. "C50 Italian Game"
+ * @param {{eco: string, name: string}|null} opening
+ * @returns {string}
+ */
+export const formatOpening = (opening) => opening ? `${opening.eco} ${opening.name}` : '';
@@ -0,0 +1,415 @@
+/**
+ * PGN (Portable Game Notation) reading and writing for move trees
+ */
+
+import { Chess, DEFAULT_POSITION } from 'chess.js';
+import { createMoveTree, addMove, updateNode, getPathToNode, getMainline } from './move-tree.js';
+import { getSetupErrors } from './fen.js';
+
+/**
+ * Tags every PGN must contain, in the order they must appear
+ * @type {Array<string>}
+ */
+export const SEVEN_TAG_ROSTER = ['Event', 'Site', 'Date', 'Round', 'White', 'Black', 'Result'];
+
+/**
+ * Traditional move suffixes and the NAGs they stand for
+ * @type {Object<string, number>}
+ */
+const SUFFIX_NAGS = { '!': 1, '?': 2, '!!': 3, '??': 4, '!?': 5, '?!': 6 };
+
+const RESULTS = ['1-0', '0-1', '1/2-1/2', '*'];
+
+// Export Format keeps movetext lines under 80 characters
+const MAX_LINE_LENGTH = 79;
+
+/**
+ * Formats a date as a PGN Date tag value (YYYY.MM.DD)
+ * @param {Date} [date]
+ * @returns {string}
+ */
+export const formatPgnDate = (date = new Date()) => {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}.${pad(date.getMonth() + 1)}.${pad(date.getDate())}`;
+};
+
+/**
+ * Works out the result at the end of a tree's main line
+ * @param {Object} tree - Move tree
+ * @returns {string} '1-0', '0-1', '1/2-1/2' or '*' if the game is still going
+ */
+export const getTreeResult = (tree) => {
+  const mainline = getMainline(tree);
+  const lastId = mainline.length ? mainline[mainline.length - 1].id : tree.rootId;
+
+  // Replay so repetition draws are detected too
+  const game = new Chess(tree.startFen);
+  getPathToNode(tree, lastId).forEach(node => {
+    if (node.move) game.move(node.move.san);
+  });
+
+  if (game.isCheckmate()) {
+    return game.turn() === 'w' ? '0-1' : '1-0';
+  }
+  if (game.isDraw()) {
+    return '1/2-1/2';
+  }
+  return '*';
+};
+
+/**
+ * Escapes a tag value for a PGN header line
+ * @param {string} value
+ * @returns {string}
+ */
+const escapeTagValue = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+
+/**
+ * Makes text safe to put inside a `{...}` comment
+ * @param {string} text
+ * @returns {string}
+ */
+const sanitizeComment = (text) => text.replace(/}/g, ')').trim();
+
+/**
+ * Collects the movetext tokens for a line starting at a node
+ * @param {Object} tree - Move tree
+ * @param {number} firstId - First node of the line
+ * @param {Array<string>} tokens - Receives the tokens
+ */
+const writeLine = (tree, firstId, tokens) => {
+  let nodeId = firstId;
+  let showNumber = true;
+
+  while (nodeId !== undefined) {
+    const node = tree.nodes[nodeId];
+    const parent = tree.nodes[node.parentId];
+
+    if (node.startingComment) {
+      tokens.push(`{${sanitizeComment(node.startingComment)}}`);
+      showNumber = true;
+    }
+
+    if (node.move.color === 'w') {
+      tokens.push(`${node.moveNumber}.`);
+    } else if (showNumber) {
+      tokens.push(`${node.moveNumber}...`);
+    }
+    tokens.push(node.move.san);
+
+    (node.nags || []).forEach(nag => tokens.push(`$${nag}`));
+
+    showNumber = false;
+    if (node.comment) {
+      tokens.push(`{${sanitizeComment(node.comment)}}`);
+      showNumber = true;
+    }
+
+    // Alternatives follow the move they replace
+    const alternatives = parent.children[0] === node.id ? parent.children.slice(1) : [];
+    alternatives.forEach(altId => {
+      tokens.push('(');
+      writeLine(tree, altId, tokens);
+      tokens.push(')');
+      showNumber = true;
+    });
+
+    nodeId = node.children[0];
+  }
+};
+
+/**
+ * Joins movetext tokens into lines no longer than the export limit
+ * @param {Array<string>} tokens
+ * @returns {string}
+ */
+const wrapTokens = (tokens) => {
+  const lines = [];
+  let line = '';
+
+  tokens.forEach(token => {
+    // No space inside variation parentheses
+    const glue = !line || line.endsWith('(') || token === ')' ? '' : ' ';
+    if (line && (line + glue + token).length > MAX_LINE_LENGTH) {
+      lines.push(line);
+      line = token;
+    } else {
+      line += glue + token;
+    }
+  });
+
+  if (line) lines.push(line);
+  return lines.join('\n');
+};
+
+/**
+ * Writes a move tree as PGN, including comments, NAGs and variations
+ *
+ * @param {Object} tree - Move tree
+ * @param {Object<string, string>} [headers] - Tag pairs; missing Seven Tag Roster
+ *                                             entries are filled with '?' and the
+ *                                             result is taken from the tree
+ * @returns {string} PGN text
+ *
+ * @example
+ * exportPgn(tree, { Event: 'Casual game', White: 'Player', Black: 'Stockfish' });
+ */
+export const exportPgn = (tree, headers = {}) => {
+  const result = headers.Result || getTreeResult(tree);
+  const tags = { ...headers, Result: result };
+
+  // The tree's own start position wins over tags it was imported with
+  if (tree.startFen !== DEFAULT_POSITION) {
+    tags.SetUp = '1';
+    tags.FEN = tree.startFen;
+  } else {
+    delete tags.SetUp;
+    delete tags.FEN;
+  }
+
+  const otherTags = Object.keys(tags).filter(name => !SEVEN_TAG_ROSTER.includes(name));
+  const headerLines = [...SEVEN_TAG_ROSTER, ...otherTags].map(name => {
+    const value = tags[name] ?? (name === 'Date' ? '????.??.??' : '?');
+    return `[${name} "${escapeTagValue(value)}"]`;
+  });
+
+  const root = tree.nodes[tree.rootId];
+  const tokens = [];
+  if (root.comment) {
+    tokens.push(`{${sanitizeComment(root.comment)}}`);
+  }
+  if (root.children.length) {
+    writeLine(tree, root.children[0], tokens);
+  }
+  tokens.push(result);
+
+  return `${headerLines.join('\n')}\n\n${wrapTokens(tokens)}\n`;
+};
+
+/**
+ * Splits PGN text into tokens
+ * @param {string} text - PGN text, possibly holding several games
+ * @returns {Array<{type: string, value: *}>} Tokens of type tag, comment, nag,
+ *          open, close, result or move
+ */
+const tokenizePgn = (text) => {
+  const tokens = [];
+  // Lines starting with '%' are escaped and must be ignored
+  const source = text.replace(/^%.*$/gm, '');
+  let i = 0;
+
+  while (i < source.length) {
+    const char = source[i];
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === '[') {
+      const end = source.indexOf(']', i);
+      const tag = source.slice(i + 1, end === -1 ? source.length : end)
+        .match(/^\s*(\w+)\s+"((?:[^"\\]|\\.)*)"/);
+      if (tag) {
+        tokens.push({ type: 'tag', value: { name: tag[1], value: tag[2].replace(/\\(.)/g, '$1') } });
+      }
+      i = end === -1 ? source.length : end + 1;
+    } else if (char === '{') {
+      const end = source.indexOf('}', i);
+      tokens.push({ type: 'comment', value: source.slice(i + 1, end === -1 ? source.length : end).trim() });
+      i = end === -1 ? source.length : end + 1;
+    } else if (char === ';') {
+      const end = source.indexOf('\n', i);
+      tokens.push({ type: 'comment', value: source.slice(i + 1, end === -1 ? source.length : end).trim() });
+      i = end === -1 ? source.length : end + 1;
+    } else if (char === '(') {
+      tokens.push({ type: 'open' });
+      i++;
+    } else if (char === ')') {
+      tokens.push({ type: 'close' });
+      i++;
+    } else {
+      const word = source.slice(i).match(/^[^\s{}();[\]]+/)[0];
+      i += word.length;
+
+      if (RESULTS.includes(word)) {
+        tokens.push({ type: 'result', value: word });
+      } else if (/^\$\d+$/.test(word)) {
+        tokens.push({ type: 'nag', value: parseInt(word.slice(1), 10) });
+      } else if (SUFFIX_NAGS[word]) {
+        tokens.push({ type: 'nag', value: SUFFIX_NAGS[word] });
+      } else {
+        // Strip move numbers ("12.", "12...") glued to the move or standing alone
+        const move = word.replace(/^\d+\.+/, '');
+        if (move) {
+          const suffix = move.match(/[!?]+$/)?.[0];
+          tokens.push({ type: 'move', value: suffix ? move.slice(0, -suffix.length) : move });
+          if (suffix && SUFFIX_NAGS[suffix]) {
+            tokens.push({ type: 'nag', value: SUFFIX_NAGS[suffix] });
+          }
+        }
+      }
+    }
+  }
+
+  return tokens;
+};
+
+/**
+ * Starts the state used while reading one game
+ * @returns {Object}
+ */
+const createGameState = () => ({
+  headers: {},
+  tree: null,
+  currentId: 0,
+  stack: [],
+  pendingComment: null,
+  hasMoves: false,
+  error: null
+});
+
+/**
+ * Starts a game's move tree from its FEN tag. A FEN that isn't a playable
+ * position leaves the tree at the standard position, with no moves, drops
+ * the SetUp and FEN tags, and sets the game's error.
+ * @param {Object} state
+ */
+const startTree = (state) => {
+  const { FEN: fen } = state.headers;
+  const problems = fen ? getSetupErrors(fen) : [];
+
+  state.tree = createMoveTree(problems.length ? DEFAULT_POSITION : fen || DEFAULT_POSITION);
+  state.currentId = state.tree.rootId;
+  if (problems.length) {
+    state.error = `Invalid FEN tag "${fen}": ${problems[0]}`;
+    delete state.headers.SetUp;
+    delete state.headers.FEN;
+  }
+};
+
+/**
+ * Turns the collected state of one game into a parse result
+ * @param {Object} state
+ * @returns {{headers: Object, tree: Object, error: string|null}}
+ */
+const finishGame = (state) => {
+  if (!state.tree) startTree(state);
+  return { headers: state.headers, tree: state.tree, error: state.error };
+};
+
+/**
+ * Reads PGN text into move trees. Handles several games per file, comments,
+ * NAGs (including !/? suffixes) and nested variations. A game with an illegal
+ * move keeps the moves before it and reports the problem in `error`; so does
+ * a game whose FEN tag is not a playable position, which keeps no moves.
+ *
+ * @param {string} text - PGN text
+ * @returns {Array<{headers: Object<string, string>, tree: Object, error: string|null}>}
+ *
+ * @example
+ * const [game] = parsePgn('[White "Me"]\n\n1. e4 {best by test} e5 (1... c5) 2. Nf3 *');
+ * game.headers.White; // 'Me'
+ */
+export const parsePgn = (text) => {
+  const games = [];
+  let state = createGameState();
+
+  const ensureTree = () => {
+    if (!state.tree) startTree(state);
+  };
+
+  const endGame = () => {
+    if (state.tree || Object.keys(state.headers).length) {
+      games.push(finishGame(state));
+    }
+    state = createGameState();
+  };
+
+  tokenizePgn(text).forEach(token => {
+    if (token.type === 'tag') {
+      // Tags after movetext belong to the next game
+      if (state.hasMoves || state.tree) endGame();
+      state.headers[token.value.name] = token.value.value;
+      return;
+    }
+
+    if (token.type === 'result') {
+      // A result inside a variation is not the end of the game
+      if (state.stack.length) return;
+      if (!state.headers.Result) state.headers.Result = token.value;
+      ensureTree();
+      endGame();
+      return;
+    }
+
+    ensureTree();
+    if (state.error) return;
+
+    const tree = state.tree;
+    const current = tree.nodes[state.currentId];
+
+    switch (token.type) {
+      case 'comment':
+        if (!token.value) break;
+        if (current.id === tree.rootId && !state.hasMoves) {
+          state.tree = updateNode(tree, current.id, { comment: [current.comment, token.value].filter(Boolean).join(' ') });
+        } else if (state.pendingComment !== null || state.stack.at(-1)?.justOpened) {
+          state.pendingComment = [state.pendingComment, token.value].filter(Boolean).join(' ');
+        } else {
+          state.tree = updateNode(tree, current.id, { comment: [current.comment, token.value].filter(Boolean).join(' ') });
+        }
+        break;
+
+      case 'nag':
+        if (current.move) {
+          state.tree = updateNode(tree, current.id, { nags: [...(current.nags || []), token.value] });
+        }
+        break;
+
+      case 'open':
+        // A variation replaces the move just played, so it starts from its parent
+        if (current.parentId === null) {
+          state.error = 'Variation without a preceding move';
+          break;
+        }
+        state.stack.push({ returnId: state.currentId, justOpened: true });
+        state.currentId = current.parentId;
+        break;
+
+      case 'close':
+        if (!state.stack.length) break;
+        state.currentId = state.stack.pop().returnId;
+        state.pendingComment = null;
+        break;
+
+      case 'move': {
+        const game = new Chess(current.fen);
+        let move;
+        try {
+          move = game.move(token.value.replace(/0/g, 'O'));
+        } catch {
+          state.error = `Illegal move "${token.value}" after ${current.move ? current.move.san : 'the starting position'}`;
+          break;
+        }
+
+        const { tree: nextTree, nodeId } = addMove(tree, state.currentId, move, game.fen());
+        state.tree = state.pendingComment
+          ? updateNode(nextTree, nodeId, { startingComment: state.pendingComment })
+          : nextTree;
+        state.pendingComment = null;
+        state.currentId = nodeId;
+        state.hasMoves = true;
+        if (state.stack.length) state.stack.at(-1).justOpened = false;
+        break;
+      }
+
+      default:
+        break;
+    }
+  });
+
+  // A final game without a result token
+  if (state.tree || Object.keys(state.headers).length) {
+    games.push(finishGame(state));
+  }
+
+  return games;
+};
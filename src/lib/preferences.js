@@ -0,0 +1,33 @@
+/**
+ * Player preferences kept in localStorage, independent of any one game
+ */
+
+const KEY_PREFIX = 'chess-experiments:preference:';
+
+/**
+ * Reads a preference
+ * @param {string} name
+ * @param {*} defaultValue - Returned when the preference was never saved or can't be read
+ * @returns {*}
+ */
+export const loadPreference = (name, defaultValue) => {
+  try {
+    const raw = localStorage.getItem(KEY_PREFIX + name);
+    return raw === null ? defaultValue : JSON.parse(raw);
+  } catch {
+    return defaultValue;
+  }
+};
+
+/**
+ * Saves a preference
+ * @param {string} name
+ * @param {*} value - Any JSON-serializable value
+ */
+export const savePreference = (name, value) => {
+  try {
+    localStorage.setItem(KEY_PREFIX + name, JSON.stringify(value));
+  } catch (error) {
+    console.error(`Could not save preference ${name}:`, error);
+  }
+};
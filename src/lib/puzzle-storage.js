@@ -0,0 +1,46 @@
+/**
+ * Keeping the puzzle collection in localStorage.
+ *
+ * Stored data carries a schema version like saved games do, so a later
+ * change of the puzzle shape can migrate older collections.
+ */
+
+const STORAGE_KEY = 'chess-experiments:puzzles';
+
+/**
+ * Current schema version of the puzzle collection
+ * @type {number}
+ */
+export const PUZZLES_VERSION = 1;
+
+/**
+ * Reads the puzzle collection
+ * @returns {Array<Object>} The puzzles, empty if there are none or they are unreadable
+ */
+export const loadPuzzles = () => {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    if (!raw) return [];
+
+    const data = JSON.parse(raw);
+    if (data?.version !== PUZZLES_VERSION || !Array.isArray(data.puzzles)) {
+      return [];
+    }
+    return data.puzzles;
+  } catch (error) {
+    console.error('Could not read puzzles:', error);
+    return [];
+  }
+};
+
+/**
+ * Saves the puzzle collection
+ * @param {Array<Object>} puzzles
+ */
+export const savePuzzles = (puzzles) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ version: PUZZLES_VERSION, puzzles }));
+  } catch (error) {
+    console.error('Could not save puzzles:', error);
+  }
+};
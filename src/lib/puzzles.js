@@ -0,0 +1,228 @@
+/**
+ * Puzzles made from reviewed games, checking a solver's moves and scheduling
+ * failed puzzles for repetition.
+ *
+ * A puzzle starts right after a blunder: the opponent is to move and has one
+ * move that clearly wins. Its solution is the engine's line from there, with
+ * the solver's moves at even plies and the replies in between.
+ */
+
+import { Chess } from 'chess.js';
+import { getWinningChances } from './evaluation.js';
+import { getPositionKey } from './openings.js';
+
+/**
+ * Winning chances (-1..1, from the solver) the solution has to reach; about +3 pawns
+ * @type {number}
+ */
+export const PUZZLE_MIN_CHANCES = 0.5;
+
+/**
+ * How much worse (in winning chances) the second-best move has to be for the
+ * best one to count as the only winning move
+ * @type {number}
+ */
+export const PUZZLE_UNIQUE_MARGIN = 0.3;
+
+/**
+ * Longest solution kept, in plies; later engine moves are rarely forced
+ * @type {number}
+ */
+export const SOLUTION_PLIES = 3;
+
+/**
+ * Days until a failed puzzle comes back, by repetition step. A puzzle solved
+ * at every step is done with.
+ * @type {Array<number>}
+ */
+export const REPEAT_INTERVALS_DAYS = [1, 3, 7, 21];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Trims an engine line so it ends on a solver's move
+ * @param {Array<string>} line - UCI moves, solver's first
+ * @param {number} maxPlies
+ * @returns {Array<string>}
+ */
+export const trimSolution = (line, maxPlies = SOLUTION_PLIES) => {
+  const trimmed = line.slice(0, maxPlies);
+  return trimmed.length % 2 === 0 ? trimmed.slice(0, -1) : trimmed;
+};
+
+/**
+ * Positions of a reviewed game worth a closer look: the ones right after a
+ * blunder, where the engine's best move gives the opponent a clear win
+ * @param {Array<Object>} positions - Reviewed positions (nodeId, fen, score, pv)
+ * @param {Array<Object>} moves - Reviewed moves (nodeId, label, san, color, moveNumber)
+ * @returns {Array<{fen: string, line: Array<string>, blunder: Object}>}
+ */
+export const findPuzzleCandidates = (positions, moves) => {
+  return moves
+    .filter(move => move.label === 'blunder')
+    .map(move => {
+      const position = positions.find(candidate => candidate.nodeId === move.nodeId);
+      return position && { position, move };
+    })
+    .filter(candidate => candidate
+      && candidate.position.pv.length
+      && getWinningChances(candidate.position.score) >= PUZZLE_MIN_CHANCES)
+    .map(({ position, move }) => ({
+      fen: position.fen,
+      line: position.pv,
+      blunder: { san: move.san, color: move.color, moveNumber: move.moveNumber }
+    }));
+};
+
+/**
+ * Whether the best of two engine lines is the only one that clearly wins
+ * @param {Array<Object>} lines - Final info of MultiPV lines, best first (score)
+ * @returns {boolean}
+ */
+export const hasUniqueWin = (lines) => {
+  const [best, second] = lines.filter(line => line?.score);
+  if (!best || getWinningChances(best.score) < PUZZLE_MIN_CHANCES) return false;
+  if (!second) return true;
+  return getWinningChances(best.score) - getWinningChances(second.score) >= PUZZLE_UNIQUE_MARGIN;
+};
+
+/**
+ * Builds a new puzzle
+ * @param {Object} candidate - From findPuzzleCandidates
+ * @param {Object} [game] - Where it came from: { white, black, date }
+ * @param {number} [now] - Creation time in milliseconds
+ * @returns {Object} Puzzle: id, fen, solution, blunder, game, createdAt,
+ *          attempts, successes, step (null until failed), dueAt (null when not due again)
+ */
+export const createPuzzle = (candidate, game = null, now = Date.now()) => ({
+  id: getPositionKey(candidate.fen),
+  fen: candidate.fen,
+  solution: trimSolution(candidate.line),
+  blunder: candidate.blunder,
+  game,
+  createdAt: now,
+  attempts: 0,
+  successes: 0,
+  step: null,
+  dueAt: null
+});
+
+/**
+ * Adds new puzzles to a collection; a position already there is kept as it is
+ * @param {Array<Object>} puzzles
+ * @param {Array<Object>} added
+ * @returns {Array<Object>}
+ */
+export const mergePuzzles = (puzzles, added) => {
+  const ids = new Set(puzzles.map(puzzle => puzzle.id));
+  const fresh = added.filter(puzzle => {
+    if (ids.has(puzzle.id)) return false;
+    ids.add(puzzle.id);
+    return true;
+  });
+  return fresh.length ? [...puzzles, ...fresh] : puzzles;
+};
+
+/**
+ * Side the solver plays
+ * @param {Object} puzzle
+ * @returns {string} 'white' or 'black'
+ */
+export const getSolverColor = (puzzle) => {
+  return puzzle.fen.split(' ')[1] === 'w' ? 'white' : 'black';
+};
+
+/**
+ * How a solver's move compares to the expected one
+ * @param {string} fen - Position the move is played in
+ * @param {string} uci - The solver's move
+ * @param {string} expected - The solution's move
+ * @returns {'correct'|'mate'|'other'|'illegal'} 'mate' for a different move
+ *          that mates at once, which always solves the puzzle
+ */
+export const compareSolverMove = (fen, uci, expected) => {
+  if (uci === expected) return 'correct';
+
+  const game = new Chess(fen);
+  const move = game.moves({ verbose: true }).find(candidate => candidate.lan === uci);
+  if (!move) return 'illegal';
+
+  game.move(move);
+  return game.isCheckmate() ? 'mate' : 'other';
+};
+
+/**
+ * Whether a move other than the solution's still solves the puzzle, from the
+ * engine's evaluation of the position after it
+ * @param {{unit: string, value: number}} score - From the opponent, who is to move
+ * @returns {boolean}
+ */
+export const isAlternativeSolution = (score) => {
+  return -getWinningChances(score) >= PUZZLE_MIN_CHANCES;
+};
+
+/**
+ * Records an attempt and schedules the next one. A failed puzzle comes back
+ * after the first interval; each success after that moves it a step further
+ * until it is retired. A puzzle solved the first time is not repeated.
+ * @param {Object} puzzle
+ * @param {boolean} solved
+ * @param {number} [now] - Time of the attempt in milliseconds
+ * @returns {Object} The updated puzzle
+ */
+export const recordAttempt = (puzzle, solved, now = Date.now()) => {
+  const attempted = {
+    ...puzzle,
+    attempts: puzzle.attempts + 1,
+    successes: puzzle.successes + (solved ? 1 : 0),
+    lastAttemptAt: now,
+    lastSolved: solved
+  };
+
+  if (!solved) {
+    return { ...attempted, step: 0, dueAt: now + REPEAT_INTERVALS_DAYS[0] * DAY_MS };
+  }
+
+  const step = puzzle.step === null ? REPEAT_INTERVALS_DAYS.length : puzzle.step + 1;
+  if (step >= REPEAT_INTERVALS_DAYS.length) {
+    return { ...attempted, step: null, dueAt: null };
+  }
+  return { ...attempted, step, dueAt: now + REPEAT_INTERVALS_DAYS[step] * DAY_MS };
+};
+
+/**
+ * Picks the puzzle to show next: the longest-overdue repetition, then the
+ * oldest puzzle not tried yet
+ * @param {Array<Object>} puzzles
+ * @param {number} [now]
+ * @param {string} [skipId] - Puzzle not to pick again right away
+ * @returns {Object|null}
+ */
+export const getNextPuzzle = (puzzles, now = Date.now(), skipId = null) => {
+  const candidates = puzzles.filter(puzzle => puzzle.id !== skipId);
+  const due = candidates
+    .filter(puzzle => puzzle.dueAt !== null && puzzle.dueAt <= now)
+    .sort((a, b) => a.dueAt - b.dueAt);
+  return due[0] ?? candidates.find(puzzle => puzzle.attempts === 0) ?? null;
+};
+
+/**
+ * Totals over a puzzle collection
+ * @param {Array<Object>} puzzles
+ * @param {number} [now]
+ * @returns {{total: number, unseen: number, due: number, attempts: number, successes: number, successRate: number|null}}
+ *          successRate is 0-100, null before the first attempt
+ */
+export const getPuzzleStats = (puzzles, now = Date.now()) => {
+  const attempts = puzzles.reduce((total, puzzle) => total + puzzle.attempts, 0);
+  const successes = puzzles.reduce((total, puzzle) => total + puzzle.successes, 0);
+
+  return {
+    total: puzzles.length,
+    unseen: puzzles.filter(puzzle => puzzle.attempts === 0).length,
+    due: puzzles.filter(puzzle => puzzle.dueAt !== null && puzzle.dueAt <= now).length,
+    attempts,
+    successes,
+    successRate: attempts ? (successes / attempts) * 100 : null
+  };
+};
@@ -1,55 +1,122 @@
+import { parseInfoLine, parseBestMoveLine, isSearchProgress } from './uci-parser.js';
+import { parseUciOptions } from './uci-options.js';
+
+/**
+ * Commands that produce search output (`info` ... `bestmove` or a summary).
+ * Only one of them may run inside the engine at a time.
+ * @type {Array<string>}
+ */
+const SEARCH_COMMANDS = ['go', 'bench', 'perft'];
+
+/**
+ * Commands that must reach the engine even while a search is running.
+ * @type {Array<string>}
+ */
+const PASSTHROUGH_COMMANDS = ['stop', 'ponderhit', 'quit'];
+
+/**
+ * Commands the engine never answers, so they are posted without being tracked.
+ * @type {Array<string>}
+ */
+const UNTRACKED_COMMANDS = ['ucinewgame', 'flip', 'position', 'setoption'];
+
+/**
+ * Limits accepted by {@link StockfishEngine#go}, in the order they are written
+ * to the `go` command.
+ * @type {Array<string>}
+ */
+const GO_LIMITS = [
+  'wtime', 'btime', 'winc', 'binc', 'movestogo',
+  'depth', 'nodes', 'mate', 'movetime'
+];
+
+/**
+ * The part of the Web Worker interface the engine talks through. A browser
+ * Worker is one; other transports (a Node child process, a socket) provide
+ * the same members and deliver each output line as `onmessage({ data: line })`.
+ *
+ * @typedef {Object} EngineTransport
+ * @property {Function} postMessage - Sends one UCI command line
+ * @property {Function} terminate - Shuts the engine down
+ * @property {Function|null} onmessage - Set by the engine to receive output
+ * @property {Function|null} onerror - Set by the engine to receive failures ({ message })
+ */
+
 /**
  * Modern Stockfish chess engine wrapper with proper ES6+ patterns.
- * Provides a clean interface to communicate with Stockfish via Web Workers.
- * 
+ * Provides a clean interface to communicate with Stockfish via Web Workers,
+ * or with any UCI engine through a transport (see {@link EngineTransport}).
+ *
  * @example
  * ```javascript
  * const engine = new StockfishEngine('/stockfish/stockfish.js');
  * engine.stream = (line) => console.log('Engine output:', line);
- * engine.send('uci'); // Initialize UCI protocol
- * engine.send('position startpos moves e2e4');
- * engine.send('go depth 15', (result) => {
- *   console.log('Best move:', result);
+ *
+ * await engine.uci();
+ * await engine.isReady();
+ *
+ * engine.on('progress', (info) => console.log(info.depth, info.score, info.pv));
+ *
+ * const { bestmove, ponder } = await engine.go({
+ *   moves: ['e2e4'],
+ *   depth: 15
  * });
  * ```
- * 
+ *
  * @class StockfishEngine
  */
 export class StockfishEngine {
   /**
    * Creates a new Stockfish engine instance.
-   * 
-   * @param {string} workerPath - Path to the Stockfish Web Worker JavaScript file.
-   *                             Can include WASM path after '#' (e.g., 'stockfish.js#stockfish.wasm')
+   *
+   * @param {string|EngineTransport} workerPath - Path to the Stockfish Web Worker JavaScript file.
+   *                             Can include WASM path after '#' (e.g., 'stockfish.js#stockfish.wasm').
+   *                             A transport is used as it is, e.g. one for a process under Node.
    */
   constructor(workerPath) {
-    /** @type {Worker|null} Web Worker instance */
+    /** @type {Worker|EngineTransport|null} Web Worker or other transport to the engine */
     this.worker = null;
-    
-    /** @type {Array<Object>} Queue of pending UCI commands */
+
+    /** @type {Array<Object>} Commands sent to the engine that are awaiting a response */
     this.commandQueue = [];
-    
+
+    /** @type {Array<Object>} Commands held back until the running search finishes */
+    this.deferredQueue = [];
+
+    /** @type {Object|null} The search command currently running inside the engine */
+    this.activeSearch = null;
+
+    /** @type {number} Sequence number for tracked commands */
+    this.nextCommandId = 1;
+
     /** @type {number} Timestamp when engine was created */
     this.started = Date.now();
-    
+
     /** @type {boolean} Whether UCI protocol has been initialized */
     this.loaded = false;
-    
+
     /** @type {boolean} Whether engine is ready to receive commands */
     this.ready = false;
-    
+
     /** @type {Function|null} Callback for streaming engine output */
     this.stream = null;
-    
+
+    /** @type {Object<string, Set<Function>>} Listeners registered with {@link StockfishEngine#on} */
+    this.listeners = {};
+
     /** @type {RegExp} Pattern to detect completed evaluation output */
-    this.evalRegex = /Total Evaluation[\s\S]+\n$/;
-    
-    this.initWorker(workerPath);
+    this.evalRegex = /^(Total|Final) [Ee]valuation/;
+
+    if (typeof workerPath === 'string') {
+      this.initWorker(workerPath);
+    } else {
+      this.initTransport(workerPath);
+    }
   }
-  
+
   /**
    * Initializes the Web Worker for Stockfish communication.
-   * 
+   *
    * @private
    * @param {string} path - Path to the Stockfish worker script
    * @throws {Error} If Web Workers are not supported
@@ -58,14 +125,27 @@ export class StockfishEngine {
     if (typeof Worker !== 'function') {
       throw new Error('Web Workers not supported in this environment');
     }
-    
-    this.worker = new Worker(path);
+
+    this.initTransport(new Worker(path));
+  }
+
+  /**
+   * Connects to the engine through a transport.
+   *
+   * @private
+   * @param {EngineTransport} transport - Anything shaped like a Web Worker
+   */
+  initTransport(transport) {
+    this.worker = transport;
     this.worker.onmessage = this.handleMessage.bind(this);
+    this.worker.onerror = (event) => {
+      this.rejectAll(new Error(`Engine worker error: ${event.message || 'unknown error'}`));
+    };
   }
-  
+
   /**
    * Extracts the first word from a UCI command or response line.
-   * 
+   *
    * @private
    * @param {string} line - The input line
    * @returns {string} The first word of the line
@@ -74,53 +154,81 @@ export class StockfishEngine {
     const spaceIndex = line.indexOf(' ');
     return spaceIndex === -1 ? line : line.substring(0, spaceIndex);
   }
-  
+
+  /**
+   * Classifies a command by the kind of response it produces.
+   *
+   * @private
+   * @param {string} cmd - The UCI command
+   * @returns {string} One of 'uci', 'isready', 'go', 'bench', 'perft', 'd',
+   *                   'eval', 'setoption' or 'other'
+   */
+  getCommandKind(cmd) {
+    const firstWord = this.getFirstWord(cmd);
+    // `go perft` ends with a node count rather than a best move
+    if (firstWord === 'go' && cmd.trim().split(/\s+/)[1] === 'perft') {
+      return 'perft';
+    }
+    if (['uci', 'isready', 'd', 'eval', 'setoption', ...SEARCH_COMMANDS].includes(firstWord)) {
+      return firstWord;
+    }
+    return 'other';
+  }
+
   /**
    * Determines which queued command corresponds to the given engine response.
-   * Uses UCI protocol patterns to match responses to their originating commands.
-   * 
+   * Search output always belongs to the single running search; everything else
+   * goes to the oldest pending command of the matching kind.
+   *
    * @private
    * @param {string} line - Engine response line
-   * @returns {number} Index of the corresponding command in the queue
+   * @returns {number} Index of the corresponding command in the queue, or -1 if none
    */
   determineQueueIndex(line) {
-    if (!this.commandQueue.length) return 0;
-    
-    const firstCommand = this.commandQueue[0];
-    if (firstCommand?.cmd === 'bench' || firstCommand?.cmd === 'perft') {
-      return 0;
+    if (!this.commandQueue.length) return -1;
+
+    // bench and perft print free-form text, so they own all output while running
+    if (this.activeSearch && this.activeSearch.kind !== 'go') {
+      return this.commandQueue.indexOf(this.activeSearch);
     }
-    
+
     const firstWord = this.getFirstWord(line);
-    let cmdType;
-    
-    if (['uciok', 'option'].includes(firstWord)) {
-      cmdType = 'uci';
-    } else if (firstWord === 'readyok') {
-      cmdType = 'isready';
-    } else if (['bestmove', 'info'].includes(firstWord)) {
-      cmdType = 'go';
-    } else {
-      cmdType = 'other';
+    const findKind = (...kinds) => this.commandQueue.findIndex(item => kinds.includes(item.kind));
+
+    if (['uciok', 'option', 'id'].includes(firstWord)) {
+      return findKind('uci');
+    }
+
+    if (firstWord === 'readyok') {
+      return findKind('isready');
+    }
+
+    if (line.startsWith('No such option')) {
+      return findKind('setoption');
+    }
+
+    if (firstWord === 'bestmove' || (firstWord === 'info' && this.activeSearch)) {
+      return this.activeSearch ? this.commandQueue.indexOf(this.activeSearch) : -1;
     }
-    
-    return this.commandQueue.findIndex(item => {
-      const cmdFirstWord = this.getFirstWord(item.cmd);
-      return cmdFirstWord === cmdType || 
-             (cmdType === 'other' && ['d', 'eval'].includes(cmdFirstWord));
-    }) || 0;
+
+    if (line.startsWith('Unknown command')) {
+      const index = this.commandQueue.findIndex(item => item.kind === 'other' && line.includes(item.cmd));
+      return index === -1 ? findKind('other') : index;
+    }
+
+    return findKind('d', 'eval', 'other');
   }
-  
+
   /**
    * Handles messages received from the Stockfish Web Worker.
    * Processes engine output, manages command queue, and triggers callbacks.
-   * 
+   *
    * @private
    * @param {MessageEvent|string} event - Message from the worker
    */
   handleMessage = (event) => {
     const line = typeof event === 'string' ? event : event.data;
-    
+
     // Handle multi-line messages
     if (line.includes('\n')) {
       line.split('\n').forEach(subLine => {
@@ -128,100 +236,338 @@ export class StockfishEngine {
       });
       return;
     }
-    
+
     // Stream output to listeners
     if (this.stream) {
       this.stream(line);
     }
-    
+
     // Skip certain system messages
-    if (!this.commandQueue.length || 
-        line.startsWith('No such option') || 
-        line.startsWith('id ') || 
-        line.startsWith('Stockfish')) {
+    if (!this.commandQueue.length || line.startsWith('Stockfish')) {
       return;
     }
-    
+
     const queueIndex = this.determineQueueIndex(line);
     const command = this.commandQueue[queueIndex];
-    
+
     if (!command) return;
-    
+
     // Stream to command-specific handler
     if (command.stream) {
       command.stream(line);
     }
-    
+
+    if (command.kind === 'go') {
+      this.handleSearchLine(line, command);
+    }
+
     // Build message
+    command.lines.push(line);
     command.message = command.message ? `${command.message}\n${line}` : line;
-    
-    // Check if command is complete
-    const isComplete = this.isCommandComplete(line, command);
-    
-    if (isComplete) {
-      this.commandQueue.splice(queueIndex, 1);
-      
-      if (command.callback && !command.discard) {
-        command.callback(command.message);
-      }
+
+    const error = this.getCommandError(line, command);
+    if (error) {
+      this.finishCommand(command, error);
+    } else if (this.isCommandComplete(line, command)) {
+      this.finishCommand(command);
+    }
+  }
+
+  /**
+   * Parses output of a running `go` command and emits typed search events.
+   *
+   * @private
+   * @param {string} line - Engine response line
+   * @param {Object} command - The running search command
+   */
+  handleSearchLine(line, command) {
+    const info = parseInfoLine(line);
+    if (isSearchProgress(info)) {
+      // Keep the latest line for each MultiPV slot
+      command.progress[(info.multipv || 1) - 1] = info;
+      command.onProgress?.(info);
+      this.emit('progress', info);
+      return;
+    }
+
+    const result = parseBestMoveLine(line);
+    if (result) {
+      this.emit('bestmove', result);
+    }
+  }
+
+  /**
+   * Registers a listener for typed engine events.
+   *
+   * Events:
+   * - `progress` - a scored `info` line of a running search, parsed by {@link parseInfoLine}
+   * - `bestmove` - `{ bestmove, ponder }` when a search finishes
+   *
+   * @param {string} event - Event name
+   * @param {Function} listener - Called with the event payload
+   * @returns {Function} Unsubscribe function
+   *
+   * @example
+   * ```javascript
+   * const unsubscribe = engine.on('bestmove', ({ bestmove }) => console.log(bestmove));
+   * ```
+   */
+  on(event, listener) {
+    if (!this.listeners[event]) {
+      this.listeners[event] = new Set();
     }
+    this.listeners[event].add(listener);
+    return () => this.off(event, listener);
+  }
+
+  /**
+   * Removes a listener registered with {@link StockfishEngine#on}.
+   *
+   * @param {string} event - Event name
+   * @param {Function} listener - The listener to remove
+   */
+  off(event, listener) {
+    this.listeners[event]?.delete(listener);
   }
-  
+
+  /**
+   * Calls every listener registered for an event.
+   *
+   * @private
+   * @param {string} event - Event name
+   * @param {*} payload - Value passed to the listeners
+   */
+  emit(event, payload) {
+    this.listeners[event]?.forEach(listener => {
+      try {
+        listener(payload);
+      } catch (error) {
+        console.error(`Engine ${event} listener failed:`, error);
+      }
+    });
+  }
+
   /**
    * Determines if a UCI command has completed based on the engine response.
    * Different command types have different completion patterns.
-   * 
+   *
    * @private
    * @param {string} line - Current engine response line
    * @param {Object} command - The command object being processed
    * @returns {boolean} True if the command is complete
    */
   isCommandComplete(line, command) {
-    if (line === 'uciok') {
-      this.loaded = true;
-      return true;
+    switch (command.kind) {
+      case 'uci':
+        if (line === 'uciok') {
+          this.loaded = true;
+          return true;
+        }
+        return false;
+
+      case 'isready':
+        if (line === 'readyok') {
+          this.ready = true;
+          return true;
+        }
+        return false;
+
+      case 'go':
+        if (line.startsWith('bestmove')) {
+          command.bestmoveLine = line;
+          return true;
+        }
+        return false;
+
+      case 'perft':
+        return line.startsWith('Nodes searched');
+
+      case 'd':
+        return line.startsWith('Checkers') ||
+               line.startsWith('Legal uci moves') ||
+               line.startsWith('Key is');
+
+      case 'eval':
+        return this.evalRegex.test(line);
+
+      default:
+        return ['pawn key', 'Nodes/second'].some(prefix => line.startsWith(prefix));
+    }
+  }
+
+  /**
+   * Detects engine responses that mean a command failed.
+   *
+   * @private
+   * @param {string} line - Current engine response line
+   * @param {Object} command - The command object being processed
+   * @returns {Error|null} The failure, or null if the line is not an error
+   */
+  getCommandError(line, command) {
+    if (line.startsWith('Unknown command') || line.startsWith('No such option')) {
+      return new Error(`${line} (command: "${command.cmd}")`);
+    }
+    return null;
+  }
+
+  /**
+   * Removes a command from the queue and settles its callback and promise.
+   * Finishing a search releases any commands deferred behind it.
+   *
+   * @private
+   * @param {Object} command - The command object being completed
+   * @param {Error} [error] - Failure reason, if the command did not succeed
+   */
+  finishCommand(command, error) {
+    const index = this.commandQueue.indexOf(command);
+    if (index !== -1) {
+      this.commandQueue.splice(index, 1);
+    }
+
+    // setoption has no reply of its own; the next readyok confirms it was accepted
+    if (command.kind === 'isready') {
+      this.commandQueue
+        .filter(item => item.kind === 'setoption' && item.id < command.id)
+        .forEach(item => this.finishCommand(item));
+    }
+
+    if (command.callback && !command.discard) {
+      // Callbacks historically receive only the bestmove line for searches
+      command.callback(command.bestmoveLine || command.message);
+    }
+
+    if (error) {
+      command.reject?.(error);
+    } else {
+      try {
+        command.resolve?.(command.parse ? command.parse(command) : command.message);
+      } catch (parseError) {
+        command.reject?.(parseError);
+      }
+    }
+
+    if (command === this.activeSearch) {
+      this.activeSearch = null;
+      this.flushDeferred();
+    }
+  }
+
+  /**
+   * Rejects every pending and deferred command, e.g. when the worker dies.
+   *
+   * @private
+   * @param {Error} error - Failure reason passed to each pending promise
+   */
+  rejectAll(error) {
+    const pending = [...this.commandQueue, ...this.deferredQueue];
+    this.commandQueue = [];
+    this.deferredQueue = [];
+    this.activeSearch = null;
+    pending.forEach(command => command.reject?.(error));
+  }
+
+  /**
+   * Posts deferred commands in order until the next search starts.
+   *
+   * @private
+   */
+  flushDeferred() {
+    while (this.deferredQueue.length && !this.activeSearch) {
+      this.post(this.deferredQueue.shift());
     }
-    
-    if (line === 'readyok') {
-      this.ready = true;
-      return true;
+  }
+
+  /**
+   * Writes a command to the worker and starts tracking its response.
+   *
+   * @private
+   * @param {Object} command - The command object to post
+   */
+  post(command) {
+    if (!this.worker) {
+      command.reject?.(new Error(`Engine is not running (command: "${command.cmd}")`));
+      return;
     }
-    
-    if (line.startsWith('bestmove') && command.cmd !== 'bench') {
-      command.message = line;
-      return true;
+
+    if (command.tracked) {
+      this.commandQueue.push(command);
     }
-    
-    if (command.cmd === 'd') {
-      return line.startsWith('Legal uci moves') || line.startsWith('Key is');
+    if (SEARCH_COMMANDS.includes(command.kind)) {
+      this.activeSearch = command;
     }
-    
-    if (command.cmd === 'eval') {
-      return this.evalRegex.test(command.message);
+
+    this.worker.postMessage(command.cmd);
+
+    if (!command.tracked) {
+      command.resolve?.();
     }
-    
-    return ['pawn key', 'Nodes/second', 'Unknown command'].some(prefix => 
-      line.startsWith(prefix)
-    );
   }
-  
+
+  /**
+   * Routes a command either straight to the engine or behind the running search.
+   * While a search runs, everything except `stop`/`ponderhit`/`quit` (and
+   * `isready` when nothing else is waiting) is held back, so a `position`
+   * meant for the next search cannot clobber the current one.
+   *
+   * @private
+   * @param {Object} command - The command object to dispatch
+   */
+  dispatch(command) {
+    const busy = this.activeSearch || this.deferredQueue.length;
+    const canPassThrough = PASSTHROUGH_COMMANDS.includes(this.getFirstWord(command.cmd)) ||
+                           (command.kind === 'isready' && !this.deferredQueue.length);
+
+    if (busy && !canPassThrough) {
+      this.deferredQueue.push(command);
+    } else {
+      this.post(command);
+    }
+  }
+
+  /**
+   * Builds a command object for the queue.
+   *
+   * @private
+   * @param {string} cmd - The UCI command
+   * @param {Object} [options] - Callback, stream and parse handlers
+   * @returns {Object} The command object
+   */
+  createCommand(cmd, { callback, stream, parse, onProgress } = {}) {
+    const firstWord = this.getFirstWord(cmd);
+    const kind = this.getCommandKind(cmd);
+
+    return {
+      id: this.nextCommandId++,
+      cmd,
+      kind,
+      tracked: !UNTRACKED_COMMANDS.includes(firstWord) && !PASSTHROUGH_COMMANDS.includes(firstWord),
+      callback,
+      stream,
+      parse,
+      onProgress,
+      message: '',
+      lines: [],
+      progress: []
+    };
+  }
+
   /**
    * Sends a UCI command to the Stockfish engine.
-   * 
+   *
    * @param {string} command - The UCI command to send (e.g., 'uci', 'go depth 15')
    * @param {Function} [callback] - Optional callback for when command completes
    * @param {Function} [stream] - Optional callback for streaming command output
-   * 
+   *
    * @example
    * ```javascript
    * // Simple command
    * engine.send('uci');
-   * 
+   *
    * // Command with callback
    * engine.send('go depth 10', (result) => {
    *   console.log('Best move:', result);
    * });
-   * 
+   *
    * // Command with streaming output
    * engine.send('go infinite', null, (line) => {
    *   if (line.startsWith('info')) {
@@ -232,32 +578,300 @@ export class StockfishEngine {
    */
   send(command, callback, stream) {
     const cmd = String(command).trim();
-    
-    // Commands that don't need queue tracking
-    const immediateCommands = [
-      'ucinewgame', 'flip', 'stop', 'ponderhit'
-    ];
-    
-    const needsQueue = !immediateCommands.includes(cmd) && 
-                      !cmd.startsWith('position') && 
-                      !cmd.startsWith('setoption');
-    
-    if (needsQueue) {
-      this.commandQueue.push({
-        cmd,
-        callback,
-        stream,
-        message: ''
-      });
+    this.dispatch(this.createCommand(cmd, { callback, stream }));
+  }
+
+  /**
+   * Sends a UCI command and resolves once the engine has finished answering it.
+   * Commands the engine never answers (`position`, `ucinewgame`, ...) resolve
+   * as soon as they are written.
+   *
+   * Aborting `signal` cancels the command: a search that is already running is
+   * stopped and resolves with its result so far, while a command still waiting
+   * behind another search is dropped and rejects with the signal's reason.
+   *
+   * @param {string} command - The UCI command to send
+   * @param {Object} [options]
+   * @param {Function} [options.stream] - Receives each output line for this command
+   * @param {Function} [options.parse] - Converts the finished command into the resolved value
+   * @param {Function} [options.onProgress] - Receives parsed search progress (searches only)
+   * @param {string} [options.prelude] - Untracked command sent immediately before this one
+   *                                     and dropped together with it on abort
+   * @param {AbortSignal} [options.signal] - Cancels the command when aborted
+   * @returns {Promise<*>} The raw response text, or the parsed value
+   *
+   * @example
+   * ```javascript
+   * const text = await engine.request('d');
+   * ```
+   */
+  request(command, { stream, parse, onProgress, prelude, signal } = {}) {
+    const entry = this.createCommand(String(command).trim(), { stream, parse, onProgress });
+    entry.promise = new Promise((resolve, reject) => {
+      entry.resolve = resolve;
+      entry.reject = reject;
+    });
+
+    if (signal?.aborted) {
+      entry.reject(signal.reason);
+      return entry.promise;
+    }
+
+    if (prelude) {
+      entry.prelude = this.createCommand(prelude);
+      this.dispatch(entry.prelude);
+    }
+    this.dispatch(entry);
+
+    if (signal) {
+      // A long-lived signal (a whole match or review) mustn't keep every finished command alive
+      const onAbort = () => this.abortCommand(entry, signal.reason);
+      const removeListener = () => signal.removeEventListener('abort', onAbort);
+      signal.addEventListener('abort', onAbort, { once: true });
+      entry.promise.then(removeListener, removeListener);
+    }
+    return entry.promise;
+  }
+
+  /**
+   * Cancels a command sent with {@link StockfishEngine#request}.
+   *
+   * @private
+   * @param {Object} command - The command object to cancel
+   * @param {*} reason - Rejection reason for a command that never started
+   */
+  abortCommand(command, reason) {
+    if (command === this.activeSearch) {
+      this.send('stop');
+      return;
+    }
+
+    const index = this.deferredQueue.indexOf(command);
+    if (index === -1) return;
+
+    this.deferredQueue = this.deferredQueue.filter(item => item !== command && item !== command.prelude);
+    command.reject(reason);
+  }
+
+  /**
+   * Initializes the UCI protocol.
+   *
+   * @returns {Promise<{name: string|null, author: string|null, options: Array<string>, optionSchema: Array<Object>}>}
+   *          Engine identity, the raw `option` lines it advertised and those
+   *          options parsed (see uci-options.js)
+   */
+  uci() {
+    return this.request('uci', {
+      parse: ({ lines }) => {
+        const options = lines.filter(line => line.startsWith('option '));
+        return {
+          name: lines.find(line => line.startsWith('id name '))?.slice(8) ?? null,
+          author: lines.find(line => line.startsWith('id author '))?.slice(10) ?? null,
+          options,
+          optionSchema: parseUciOptions(options)
+        };
+      }
+    });
+  }
+
+  /**
+   * Waits until the engine has processed every previously sent command.
+   *
+   * @returns {Promise<void>}
+   */
+  isReady() {
+    return this.request('isready', { parse: () => undefined });
+  }
+
+  /**
+   * Sets a UCI option. Resolves once the engine has accepted it and rejects
+   * if the engine reports that no such option exists.
+   *
+   * @param {string} name - Option name (e.g., 'MultiPV')
+   * @param {string|number|boolean} [value] - Option value; omit for button options
+   * @returns {Promise<void>}
+   *
+   * @example
+   * ```javascript
+   * await engine.setOption('Skill Level', 5);
+   * ```
+   */
+  setOption(name, value) {
+    const cmd = value === undefined
+      ? `setoption name ${name}`
+      : `setoption name ${name} value ${value}`;
+
+    const entry = this.createCommand(cmd, { parse: () => undefined });
+    entry.tracked = true;
+    entry.promise = new Promise((resolve, reject) => {
+      entry.resolve = resolve;
+      entry.reject = reject;
+    });
+    this.dispatch(entry);
+    this.isReady().catch(() => {});
+    return entry.promise;
+  }
+
+  /**
+   * Sets the position for the next search.
+   *
+   * @param {string} [fen] - Position in FEN, or omit for the start position
+   * @param {Array<string>} [moves] - Moves in UCI notation played from that position
+   */
+  position(fen, moves = []) {
+    this.send(this.buildPositionCommand(fen, moves));
+  }
+
+  /**
+   * Builds the `position` command string.
+   *
+   * @private
+   * @param {string} [fen] - Position in FEN, or omit for the start position
+   * @param {Array<string>} [moves] - Moves in UCI notation played from that position
+   * @returns {string} The `position` command
+   */
+  buildPositionCommand(fen, moves = []) {
+    const base = fen ? `position fen ${fen}` : 'position startpos';
+    return moves.length ? `${base} moves ${moves.join(' ')}` : base;
+  }
+
+  /**
+   * Tells the engine that the next search is from a different game.
+   */
+  newGame() {
+    this.send('ucinewgame');
+  }
+
+  /**
+   * Starts a search and resolves with its result. Searches are serialized:
+   * a search requested while another is running starts only after the first
+   * one has returned its best move.
+   *
+   * @param {Object} [options]
+   * @param {string} [options.fen] - Position to search; sends `position` first when given
+   * @param {Array<string>} [options.moves] - UCI moves played from `fen` (or the start position)
+   * @param {number} [options.depth] - Search depth in plies
+   * @param {number} [options.nodes] - Node budget
+   * @param {number} [options.movetime] - Time budget in milliseconds
+   * @param {number} [options.mate] - Search for a mate in this many moves
+   * @param {number} [options.wtime] - White's remaining clock time in milliseconds
+   * @param {number} [options.btime] - Black's remaining clock time in milliseconds
+   * @param {number} [options.winc] - White's increment in milliseconds
+   * @param {number} [options.binc] - Black's increment in milliseconds
+   * @param {number} [options.movestogo] - Moves until the next time control
+   * @param {Array<string>} [options.searchmoves] - Restrict the search to these UCI moves
+   * @param {boolean} [options.infinite] - Search until {@link StockfishEngine#stop} is called
+   * @param {boolean} [options.ponder] - Start the search in ponder mode
+   * @param {Function} [options.stream] - Receives each output line of this search
+   * @param {Function} [options.onProgress] - Receives each parsed progress line of this search
+   * @param {AbortSignal} [options.signal] - Stops the search, or drops it if it has not started
+   * @returns {Promise<{bestmove: string|null, ponder: string|null, info: Array<Object>, lines: Array<string>}>}
+   *          Best move and ponder move in UCI notation (null when there is no legal move),
+   *          the last progress info for each MultiPV line, and the raw output lines of the search
+   *
+   * @example
+   * ```javascript
+   * const { bestmove } = await engine.go({ fen, depth: 12 });
+   * ```
+   */
+  go(options = {}) {
+    const { fen, moves, stream, onProgress, signal } = options;
+
+    return this.request(this.buildGoCommand(options), {
+      stream,
+      onProgress,
+      signal,
+      prelude: fen || moves ? this.buildPositionCommand(fen, moves) : undefined,
+      parse: ({ bestmoveLine, progress, lines }) => ({
+        ...parseBestMoveLine(bestmoveLine),
+        info: progress.filter(Boolean),
+        lines
+      })
+    });
+  }
+
+  /**
+   * Builds the `go` command string for a set of search limits.
+   *
+   * @private
+   * @param {Object} options - Search limits, see {@link StockfishEngine#go}
+   * @returns {string} The `go` command
+   */
+  buildGoCommand(options) {
+    const parts = ['go'];
+
+    if (options.ponder) parts.push('ponder');
+
+    GO_LIMITS.forEach(limit => {
+      if (options[limit] !== undefined && options[limit] !== null) {
+        parts.push(limit, Math.round(options[limit]));
+      }
+    });
+
+    if (options.infinite) parts.push('infinite');
+
+    if (options.searchmoves?.length) {
+      parts.push('searchmoves', ...options.searchmoves);
     }
-    
-    this.worker.postMessage(cmd);
+
+    return parts.join(' ');
   }
-  
+
+  /**
+   * Stops the running search.
+   *
+   * @returns {Promise<Object|null>} Result of the stopped search, or null if none was running
+   */
+  stop() {
+    const search = this.activeSearch;
+    this.send('stop');
+    return search?.promise ?? Promise.resolve(null);
+  }
+
+  /**
+   * Asks the engine for its static evaluation of the current position.
+   *
+   * @returns {Promise<{score: number|null, text: string}>} Final evaluation in pawns
+   *          from White's side (null when the engine declines, e.g. in check)
+   */
+  eval() {
+    return this.request('eval', {
+      parse: ({ lines, message }) => {
+        const finalLine = lines.find(line => this.evalRegex.test(line)) || '';
+        const match = finalLine.match(/([+-]?\d+\.\d+)/);
+        return {
+          score: match ? parseFloat(match[1]) : null,
+          text: message
+        };
+      }
+    });
+  }
+
+  /**
+   * Asks the engine to describe the current position (the `d` command).
+   *
+   * @returns {Promise<{fen: string|null, key: string|null, checkers: Array<string>, text: string}>}
+   */
+  display() {
+    return this.request('d', {
+      parse: ({ lines, message }) => {
+        const field = (name) => lines.find(line => line.startsWith(`${name}:`))?.slice(name.length + 1).trim() ?? null;
+        const checkers = field('Checkers');
+        return {
+          fen: field('Fen'),
+          key: field('Key'),
+          checkers: checkers ? checkers.split(/\s+/) : [],
+          text: message
+        };
+      }
+    });
+  }
+
   /**
    * Terminates the Stockfish engine and cleans up resources.
    * After calling this method, the engine instance cannot be reused.
-   * 
+   * Pending promises are rejected.
+   *
    * @example
    * ```javascript
    * engine.quit();
@@ -271,17 +885,18 @@ export class StockfishEngine {
       this.ready = false;
       this.loaded = false;
     }
+    this.rejectAll(new Error('Engine terminated'));
   }
 }
 
 /**
  * Factory function for creating StockfishEngine instances.
  * Provided for backward compatibility with existing code.
- * 
+ *
  * @param {string} path - Path to the Stockfish worker script
  * @param {Object} [options] - Additional options (currently unused)
  * @returns {StockfishEngine} A new StockfishEngine instance
- * 
+ *
  * @example
  * ```javascript
  * const engine = loadEngine('/stockfish/stockfish.js');
@@ -0,0 +1,135 @@
+/**
+ * Engine difficulty presets.
+ *
+ * Stockfish weakens itself in two ways: `Skill Level` (0-20) makes it pick
+ * weaker moves on purpose, and `UCI_LimitStrength` with `UCI_Elo` targets a
+ * rating (Stockfish accepts 1320 and up). Below that range a low skill level
+ * and a small node budget stand in. Ratings are approximate, against humans.
+ */
+
+/**
+ * Level that keeps the plain depth setting from before presets existed
+ * @type {string}
+ */
+export const CUSTOM_DEPTH_LEVEL = 'depth';
+
+/**
+ * Level new games start with
+ * @type {string}
+ */
+export const DEFAULT_STRENGTH_LEVEL = 'intermediate';
+
+/**
+ * Difficulty presets, weakest first.
+ * `options` are sent with setoption; `limits` bound each search.
+ * @type {Array<{id: string, label: string, elo: number|null, options: Object, limits: Object}>}
+ */
+export const STRENGTH_LEVELS = [
+  {
+    id: 'beginner',
+    label: 'Beginner',
+    elo: 800,
+    options: { 'UCI_LimitStrength': false, 'Skill Level': 0 },
+    limits: { nodes: 1000 }
+  },
+  {
+    id: 'casual',
+    label: 'Casual',
+    elo: 1100,
+    options: { 'UCI_LimitStrength': false, 'Skill Level': 2 },
+    limits: { nodes: 10000 }
+  },
+  {
+    id: 'club',
+    label: 'Club player',
+    elo: 1400,
+    options: { 'UCI_LimitStrength': true, 'UCI_Elo': 1400 },
+    limits: { movetime: 500 }
+  },
+  {
+    id: 'intermediate',
+    label: 'Intermediate',
+    elo: 1700,
+    options: { 'UCI_LimitStrength': true, 'UCI_Elo': 1700 },
+    limits: { movetime: 500 }
+  },
+  {
+    id: 'advanced',
+    label: 'Advanced',
+    elo: 2000,
+    options: { 'UCI_LimitStrength': true, 'UCI_Elo': 2000 },
+    limits: { movetime: 1000 }
+  },
+  {
+    id: 'expert',
+    label: 'Expert',
+    elo: 2300,
+    options: { 'UCI_LimitStrength': true, 'UCI_Elo': 2300 },
+    limits: { movetime: 1000 }
+  },
+  {
+    id: 'master',
+    label: 'Master',
+    elo: 2600,
+    options: { 'UCI_LimitStrength': true, 'UCI_Elo': 2600 },
+    limits: { movetime: 2000 }
+  },
+  {
+    id: 'maximum',
+    label: 'Full strength',
+    elo: null,
+    options: { 'UCI_LimitStrength': false, 'Skill Level': 20 },
+    limits: { movetime: 3000 }
+  }
+];
+
+/**
+ * Options that undo every preset, used for the custom depth level
+ * @type {Object}
+ */
+const FULL_STRENGTH_OPTIONS = { 'UCI_LimitStrength': false, 'Skill Level': 20 };
+
+/**
+ * Looks up a preset
+ * @param {string} id
+ * @returns {Object|null} The preset, or null for the custom depth level and unknown ids
+ */
+export const getStrengthLevel = (id) => {
+  return STRENGTH_LEVELS.find(level => level.id === id) ?? null;
+};
+
+/**
+ * Engine options for a level
+ * @param {string} id
+ * @returns {Object} Option name to value
+ */
+export const getStrengthOptions = (id) => {
+  return getStrengthLevel(id)?.options ?? FULL_STRENGTH_OPTIONS;
+};
+
+/**
+ * Search limits for a level. In a timed game the clock replaces the level's
+ * time or depth budget, but a node cap stays: it is what keeps the weakest
+ * levels weak.
+ * @param {string} id
+ * @param {number} engineDepth - Depth used by the custom depth level
+ * @param {Object} [clockLimits] - wtime/btime/winc/binc of a timed game
+ * @returns {Object} Limits for `go`
+ */
+export const getStrengthLimits = (id, engineDepth, clockLimits) => {
+  const limits = getStrengthLevel(id)?.limits ?? { depth: engineDepth };
+  if (!clockLimits) return limits;
+  return limits.nodes ? { ...clockLimits, nodes: limits.nodes } : clockLimits;
+};
+
+/**
+ * Describes a level for menus and the game record, e.g. "Club player (~1400)"
+ * @param {string} id
+ * @param {number} engineDepth - Depth used by the custom depth level
+ * @returns {string}
+ */
+export const describeStrengthLevel = (id, engineDepth) => {
+  const level = getStrengthLevel(id);
+  if (!level) return `depth ${engineDepth}`;
+  return level.elo ? `${level.label} (~${level.elo})` : level.label;
+};
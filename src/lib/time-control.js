@@ -0,0 +1,155 @@
+/**
+ * Time controls and clock arithmetic.
+ *
+ * A time control is `{ baseMs, bonusMs, mode }`, where mode says what the
+ * bonus does after each move:
+ * - 'increment': Fischer increment, always added after the move
+ * - 'bronstein': the time used is given back, up to the bonus
+ * - 'delay': simple (US) delay, the clock only starts after the bonus has passed
+ * `null` stands for an untimed game.
+ */
+
+const MINUTE = 60 * 1000;
+const SECOND = 1000;
+
+/**
+ * Selectable time controls
+ * @type {Array<{id: string, category: string, timeControl: Object}>}
+ */
+export const TIME_CONTROL_PRESETS = [
+  { id: '1+0', category: 'Bullet', timeControl: { baseMs: MINUTE, bonusMs: 0, mode: 'increment' } },
+  { id: '2+1', category: 'Bullet', timeControl: { baseMs: 2 * MINUTE, bonusMs: SECOND, mode: 'increment' } },
+  { id: '3+0', category: 'Blitz', timeControl: { baseMs: 3 * MINUTE, bonusMs: 0, mode: 'increment' } },
+  { id: '3+2', category: 'Blitz', timeControl: { baseMs: 3 * MINUTE, bonusMs: 2 * SECOND, mode: 'increment' } },
+  { id: '5+0', category: 'Blitz', timeControl: { baseMs: 5 * MINUTE, bonusMs: 0, mode: 'increment' } },
+  { id: '5+3', category: 'Blitz', timeControl: { baseMs: 5 * MINUTE, bonusMs: 3 * SECOND, mode: 'increment' } },
+  { id: '10+0', category: 'Rapid', timeControl: { baseMs: 10 * MINUTE, bonusMs: 0, mode: 'increment' } },
+  { id: '10+5', category: 'Rapid', timeControl: { baseMs: 10 * MINUTE, bonusMs: 5 * SECOND, mode: 'increment' } },
+  { id: '15+10', category: 'Rapid', timeControl: { baseMs: 15 * MINUTE, bonusMs: 10 * SECOND, mode: 'increment' } }
+];
+
+/**
+ * Labels for the bonus modes
+ * @type {Object<string, string>}
+ */
+export const BONUS_MODES = {
+  increment: 'Increment',
+  bronstein: 'Bronstein delay',
+  delay: 'Simple delay'
+};
+
+/**
+ * Finds the preset a time control was made from
+ * @param {Object|null} timeControl
+ * @returns {string|null} Preset id, or null for untimed and custom controls
+ */
+export const findPresetId = (timeControl) => {
+  if (!timeControl) return null;
+
+  const preset = TIME_CONTROL_PRESETS.find(({ timeControl: candidate }) =>
+    candidate.baseMs === timeControl.baseMs &&
+    candidate.bonusMs === timeControl.bonusMs &&
+    candidate.mode === timeControl.mode
+  );
+  return preset ? preset.id : null;
+};
+
+/**
+ * Short description such as "5+3", "15 d5" (simple delay) or "15 B5" (Bronstein)
+ * @param {Object|null} timeControl
+ * @returns {string}
+ */
+export const describeTimeControl = (timeControl) => {
+  if (!timeControl) return 'Untimed';
+
+  const minutes = timeControl.baseMs / MINUTE;
+  const seconds = timeControl.bonusMs / SECOND;
+  if (timeControl.mode === 'delay') return `${minutes} d${seconds}`;
+  if (timeControl.mode === 'bronstein') return `${minutes} B${seconds}`;
+  return `${minutes}+${seconds}`;
+};
+
+/**
+ * Value for the PGN TimeControl tag ("300+3", or "-" when untimed)
+ * @param {Object|null} timeControl
+ * @returns {string}
+ */
+export const toPgnTimeControl = (timeControl) => {
+  if (!timeControl) return '-';
+
+  const base = Math.round(timeControl.baseMs / SECOND);
+  const bonus = Math.round(timeControl.bonusMs / SECOND);
+  return bonus ? `${base}+${bonus}` : `${base}`;
+};
+
+/**
+ * Formats remaining time as "1:05:00", "4:59", or "0:09.4" under ten seconds
+ * @param {number} ms
+ * @returns {string}
+ */
+export const formatClock = (ms) => {
+  const clamped = Math.max(0, ms);
+
+  if (clamped < 10 * SECOND) {
+    return `0:0${(Math.floor(clamped / 100) / 10).toFixed(1)}`;
+  }
+
+  const totalSeconds = Math.ceil(clamped / SECOND);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+
+  return hours
+    ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}`
+    : `${minutes}:${seconds}`;
+};
+
+/**
+ * Time left on a running clock, before any bonus for the move is added
+ * @param {number} remainingMs - Time left when the turn started
+ * @param {number} elapsedMs - Time spent on the turn so far
+ * @param {Object} timeControl
+ * @returns {number}
+ */
+export const getRunningTime = (remainingMs, elapsedMs, timeControl) => {
+  if (timeControl.mode === 'delay') {
+    return remainingMs - Math.max(0, elapsedMs - timeControl.bonusMs);
+  }
+  return remainingMs - elapsedMs;
+};
+
+/**
+ * Time left after completing a move
+ * @param {number} remainingMs - Time left when the turn started
+ * @param {number} elapsedMs - Time spent on the move
+ * @param {Object} timeControl
+ * @returns {number}
+ */
+export const chargeMove = (remainingMs, elapsedMs, timeControl) => {
+  const left = getRunningTime(remainingMs, elapsedMs, timeControl);
+
+  if (timeControl.mode === 'increment') {
+    return left + timeControl.bonusMs;
+  }
+  if (timeControl.mode === 'bronstein') {
+    return left + Math.min(elapsedMs, timeControl.bonusMs);
+  }
+  return left;
+};
+
+/**
+ * Limits for `go` so the engine manages its own time.
+ * UCI has no notion of delay, so a delay is passed as an increment: it is what
+ * the engine gets back if it moves within the delay.
+ * @param {{white: number, black: number}} clocks - Remaining time in ms
+ * @param {Object} timeControl
+ * @returns {{wtime: number, btime: number, winc: number, binc: number}}
+ */
+export const getEngineTimeLimits = (clocks, timeControl) => {
+  return {
+    wtime: Math.max(0, Math.round(clocks.white)),
+    btime: Math.max(0, Math.round(clocks.black)),
+    winc: timeControl.bonusMs,
+    binc: timeControl.bonusMs
+  };
+};
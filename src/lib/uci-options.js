@@ -0,0 +1,149 @@
+/**
+ * UCI engine options: parsing the `option` lines an engine answers `uci`
+ * with into a schema, and turning values back into `setoption` commands.
+ *
+ * @typedef {Object} UciOption
+ * @property {string} name - e.g. "Hash"
+ * @property {string} type - 'spin', 'check', 'combo', 'button' or 'string'
+ * @property {number|boolean|string|null} default - Typed by kind; null for buttons
+ * @property {number} [min] - Spin options only
+ * @property {number} [max] - Spin options only
+ * @property {Array<string>} [vars] - Combo options only: the allowed values
+ */
+
+const KEYWORDS = ['name', 'type', 'default', 'min', 'max', 'var'];
+
+// How UCI spells an empty string value
+const EMPTY_STRING = '<empty>';
+
+/**
+ * Parses one `option` line
+ * @param {string} line - e.g. "option name Hash type spin default 16 min 1 max 33554432"
+ * @returns {UciOption|null} Null for lines that aren't a well-formed option
+ */
+export const parseOptionLine = (line) => {
+  const tokens = line.trim().split(/\s+/);
+  if (tokens[0] !== 'option') return null;
+
+  const fields = {};
+  const vars = [];
+  let key = null;
+  let words = [];
+
+  const flush = () => {
+    if (key === 'var') vars.push(words.join(' '));
+    else if (key) fields[key] = words.join(' ');
+  };
+
+  for (const token of tokens.slice(1)) {
+    // Names may contain any word but "type"; a string default runs to the end of the line
+    const inName = key === 'name' && token !== 'type';
+    const inString = key === 'default' && fields.type === 'string';
+    if (KEYWORDS.includes(token) && !inName && !inString) {
+      flush();
+      key = token;
+      words = [];
+    } else {
+      words.push(token);
+    }
+  }
+  flush();
+
+  const { name, type } = fields;
+  if (!name || !type) return null;
+
+  switch (type) {
+    case 'spin': {
+      const option = { name, type, default: Number(fields.default), min: Number(fields.min), max: Number(fields.max) };
+      return [option.default, option.min, option.max].every(Number.isFinite) ? option : null;
+    }
+    case 'check':
+      return { name, type, default: fields.default === 'true' };
+    case 'combo':
+      return { name, type, default: fields.default ?? vars[0] ?? '', vars };
+    case 'button':
+      return { name, type, default: null };
+    case 'string':
+      return { name, type, default: !fields.default || fields.default === EMPTY_STRING ? '' : fields.default };
+    default:
+      return null;
+  }
+};
+
+/**
+ * Parses the `option` lines of a `uci` answer
+ * @param {Array<string>} lines
+ * @returns {Array<UciOption>} In the order the engine listed them
+ */
+export const parseUciOptions = (lines) => lines.map(parseOptionLine).filter(Boolean);
+
+/**
+ * Reads a value for an option, e.g. from a form field or a saved profile
+ * @param {UciOption} option
+ * @param {*} value
+ * @returns {number|boolean|string|null} The value as the option's type, spins
+ *          clamped to their range; null if it can't be one of the option's values
+ */
+export const coerceOptionValue = (option, value) => {
+  switch (option.type) {
+    case 'spin': {
+      const number = Math.round(Number(value));
+      if (value === '' || !Number.isFinite(number)) return null;
+      return Math.min(option.max, Math.max(option.min, number));
+    }
+    case 'check':
+      if (typeof value === 'boolean') return value;
+      return value === 'true' ? true : value === 'false' ? false : null;
+    case 'combo': {
+      // Engines compare combo values case-insensitively
+      const match = option.vars.find(entry => entry.toLowerCase() === String(value).toLowerCase());
+      return match ?? null;
+    }
+    case 'string':
+      return String(value ?? '');
+    default:
+      return null;
+  }
+};
+
+/**
+ * The values of a saved set that the engine can take: options it has, and
+ * values those options allow
+ * @param {Array<UciOption>} options - The engine's options
+ * @param {Object<string, *>} values - e.g. a saved profile
+ * @returns {Map<string, number|boolean|string>} Usable values by option name
+ */
+export const resolveOptionValues = (options, values) => {
+  const resolved = new Map();
+  options.forEach(option => {
+    if (option.type === 'button' || !(option.name in values)) return;
+    const value = coerceOptionValue(option, values[option.name]);
+    if (value !== null) resolved.set(option.name, value);
+  });
+  return resolved;
+};
+
+/**
+ * Whether a value is the option's default
+ * @param {UciOption} option
+ * @param {*} value
+ * @returns {boolean}
+ */
+export const isDefaultValue = (option, value) => coerceOptionValue(option, value) === option.default;
+
+/**
+ * The value as written after `setoption ... value`
+ * @param {number|boolean|string} value
+ * @returns {string}
+ */
+export const formatOptionValue = (value) => value === '' ? EMPTY_STRING : String(value);
+
+/**
+ * The `setoption` command for an option
+ * @param {UciOption} option
+ * @param {*} [value] - Ignored for buttons
+ * @returns {string} e.g. "setoption name Hash value 64" or "setoption name Clear Hash"
+ */
+export const getSetOptionCommand = (option, value) => option.type === 'button'
+  ? `setoption name ${option.name}`
+  : `setoption name ${option.name} value ${formatOptionValue(value)}`;
@@ -0,0 +1,118 @@
+/**
+ * Parsers for UCI engine output lines
+ */
+
+/**
+ * Info tokens followed by a single integer value
+ * @type {Array<string>}
+ */
+const NUMERIC_FIELDS = [
+  'depth', 'seldepth', 'multipv', 'nodes', 'nps', 'hashfull',
+  'tbhits', 'time', 'currmovenumber', 'cpuload', 'sbhits'
+];
+
+/**
+ * Info tokens that consume the rest of the line as a list of UCI moves
+ * @type {Array<string>}
+ */
+const MOVE_LIST_FIELDS = ['pv', 'refutation'];
+
+/**
+ * Parses a UCI `info` line into an object.
+ *
+ * Only fields present on the line are set. `score` is reported from the side
+ * to move's point of view, as the engine sends it.
+ *
+ * @param {string} line - Engine output line
+ * @returns {Object|null} Parsed info, or null if the line is not an `info` line
+ *
+ * @example
+ * parseInfoLine('info depth 12 seldepth 18 multipv 1 score cp 31 nodes 9012 nps 450600 time 20 pv e2e4 e7e5');
+ * // {
+ * //   depth: 12, seldepth: 18, multipv: 1,
+ * //   score: { unit: 'cp', value: 31, lowerbound: false, upperbound: false },
+ * //   nodes: 9012, nps: 450600, time: 20, pv: ['e2e4', 'e7e5']
+ * // }
+ */
+export const parseInfoLine = (line) => {
+  const tokens = line.trim().split(/\s+/);
+  if (tokens[0] !== 'info') return null;
+
+  const info = {};
+  let i = 1;
+
+  while (i < tokens.length) {
+    const token = tokens[i];
+
+    if (NUMERIC_FIELDS.includes(token)) {
+      info[token] = parseInt(tokens[i + 1], 10);
+      i += 2;
+    } else if (token === 'score') {
+      info.score = {
+        unit: tokens[i + 1],
+        value: parseInt(tokens[i + 2], 10),
+        lowerbound: false,
+        upperbound: false
+      };
+      i += 3;
+      // Bounds follow the score value when the search failed high or low
+      while (tokens[i] === 'lowerbound' || tokens[i] === 'upperbound') {
+        info.score[tokens[i]] = true;
+        i += 1;
+      }
+    } else if (token === 'wdl') {
+      info.wdl = tokens.slice(i + 1, i + 4).map(value => parseInt(value, 10));
+      i += 4;
+    } else if (token === 'currmove') {
+      info.currmove = tokens[i + 1];
+      i += 2;
+    } else if (MOVE_LIST_FIELDS.includes(token)) {
+      info[token] = tokens.slice(i + 1);
+      break;
+    } else if (token === 'string') {
+      info.string = tokens.slice(i + 1).join(' ');
+      break;
+    } else {
+      // Unknown token, skip it and keep going
+      i += 1;
+    }
+  }
+
+  return info;
+};
+
+/**
+ * Parses a UCI `bestmove` line.
+ *
+ * @param {string} line - Engine output line
+ * @returns {{bestmove: string|null, ponder: string|null}|null} Moves in UCI notation
+ *          (bestmove is null when the engine had no legal move), or null if the
+ *          line is not a `bestmove` line
+ *
+ * @example
+ * parseBestMoveLine('bestmove e2e4 ponder e7e5');
+ * // { bestmove: 'e2e4', ponder: 'e7e5' }
+ */
+export const parseBestMoveLine = (line) => {
+  const tokens = line.trim().split(/\s+/);
+  if (tokens[0] !== 'bestmove') return null;
+
+  const bestmove = tokens[1] && tokens[1] !== '(none)' ? tokens[1] : null;
+  const ponderIndex = tokens.indexOf('ponder');
+
+  return {
+    bestmove,
+    ponder: ponderIndex !== -1 ? tokens[ponderIndex + 1] ?? null : null
+  };
+};
+
+/**
+ * Checks whether a parsed info object reports search progress (a scored line)
+ * rather than a `currmove` update or an `info string` message.
+ *
+ * @param {Object|null} info - Result of {@link parseInfoLine}
+ * @returns {boolean}
+ */
+export const isSearchProgress = (info) => {
+  return Boolean(info && info.score && info.depth !== undefined);
+};
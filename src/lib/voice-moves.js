@@ -0,0 +1,300 @@
+/**
+ * Turns spoken (or typed) move phrases into legal moves.
+ *
+ * Speech recognition returns loose text ("night to f three", "e takes d5",
+ * "castle kingside"), so the phrase is normalized into words, the pieces,
+ * squares, files and keywords in it are picked out, and the legal moves of
+ * the position are filtered by what was said. When several moves still fit,
+ * the result asks which one was meant; the reply is parsed against those
+ * candidates only.
+ */
+
+import { Chess } from 'chess.js';
+
+const PIECE_WORDS = {
+  pawn: 'p', pawns: 'p', porn: 'p', prawn: 'p',
+  knight: 'n', knights: 'n', night: 'n', nite: 'n', horse: 'n',
+  bishop: 'b', bishops: 'b',
+  rook: 'r', rooks: 'r', brook: 'r', rock: 'r',
+  queen: 'q', queens: 'q',
+  king: 'k', kings: 'k'
+};
+
+const PIECE_NAMES = { p: 'pawn', n: 'knight', b: 'bishop', r: 'rook', q: 'queen', k: 'king' };
+
+// Spoken forms of file letters, including the NATO alphabet
+const FILE_WORDS = {
+  a: 'a', alpha: 'a', alfa: 'a',
+  b: 'b', be: 'b', bee: 'b', bravo: 'b',
+  c: 'c', see: 'c', sea: 'c', charlie: 'c',
+  d: 'd', dee: 'd', delta: 'd',
+  e: 'e', echo: 'e',
+  f: 'f', ef: 'f', eff: 'f', foxtrot: 'f',
+  g: 'g', gee: 'g', golf: 'g',
+  h: 'h', age: 'h', aitch: 'h', hotel: 'h'
+};
+
+// Spoken forms of ranks; "to" and "for" are left alone because they are
+// usually words, not numbers
+const RANK_WORDS = {
+  one: '1', won: '1', two: '2', three: '3', tree: '3', four: '4', five: '5',
+  six: '6', sicks: '6', seven: '7', eight: '8', ate: '8'
+};
+
+const CAPTURE_WORDS = ['takes', 'take', 'took', 'captures', 'capture', 'x'];
+const CHECK_WORDS = ['check', 'mate', 'checkmate'];
+const KINGSIDE_WORDS = ['kingside', 'short'];
+const QUEENSIDE_WORDS = ['queenside', 'long'];
+
+/**
+ * Splits a phrase into lowercase words, with "king side" joined into
+ * "kingside" and squares such as "f 3" or "f three" joined into "f3"
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+export const normalizeSpokenMove = (text) => {
+  const words = text
+    .toLowerCase()
+    .replace(/[-=+#!?,.]/g, ' ')
+    .replace(/\b(king|queen)\s+side\b/g, '$1side')
+    .replace(/\b([a-h])([1-8])\b/g, '$1 $2')
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(word => RANK_WORDS[word] ?? word);
+
+  // "o o" / "o o o" as read from notation
+  const joined = words.join(' ').replace(/\b(0|o) (0|o) (0|o)\b/g, 'queenside castle').replace(/\b(0|o) (0|o)\b/g, 'kingside castle');
+  const tokens = joined.split(' ');
+
+  const result = [];
+  for (let i = 0; i < tokens.length; i++) {
+    const file = FILE_WORDS[tokens[i]];
+    if (file && /^[1-8]$/.test(tokens[i + 1] ?? '')) {
+      result.push(`${file}${tokens[i + 1]}`);
+      i++;
+    } else {
+      result.push(tokens[i]);
+    }
+  }
+  return result;
+};
+
+/**
+ * Picks out what a phrase says about a move
+ * @param {Array<string>} words - From {@link normalizeSpokenMove}
+ * @returns {Object} piece, promotion, squares, files, capture, check and castle ('k', 'q', 'any' or null)
+ */
+const readPhrase = (words) => {
+  const phrase = { piece: null, promotion: null, squares: [], files: [], capture: false, check: false, castle: null };
+
+  words.forEach((word, index) => {
+    if (/^[a-h][1-8]$/.test(word)) {
+      phrase.squares.push(word);
+    } else if (word === 'castle' || word === 'castles' || word === 'castling') {
+      phrase.castle = phrase.castle ?? 'any';
+    } else if (KINGSIDE_WORDS.includes(word)) {
+      phrase.castle = 'k';
+    } else if (QUEENSIDE_WORDS.includes(word)) {
+      phrase.castle = 'q';
+    } else if (PIECE_WORDS[word]) {
+      // A piece named after the target square is a promotion
+      if (phrase.squares.length && !phrase.promotion && PIECE_WORDS[word] !== 'p' && PIECE_WORDS[word] !== 'k') {
+        phrase.promotion = PIECE_WORDS[word];
+      } else if (!phrase.piece) {
+        phrase.piece = PIECE_WORDS[word];
+      }
+    } else if (CAPTURE_WORDS.includes(word) && index > 0) {
+      phrase.capture = true;
+    } else if (CHECK_WORDS.includes(word)) {
+      phrase.check = true;
+    } else if (word === 'a' && PIECE_WORDS[words[index + 1]]) {
+      // "a knight to f3": an article, not the a-file
+    } else if (FILE_WORDS[word] && word.length === 1) {
+      phrase.files.push(FILE_WORDS[word]);
+    }
+  });
+
+  return phrase;
+};
+
+/**
+ * Keeps the candidates a filter allows, unless that would rule out all of them
+ */
+const preferWhere = (moves, predicate) => {
+  const preferred = moves.filter(predicate);
+  return preferred.length ? preferred : moves;
+};
+
+/**
+ * Narrows moves down to the ones a phrase describes
+ */
+const filterMoves = (moves, phrase) => {
+  let candidates = moves;
+
+  if (phrase.castle) {
+    candidates = candidates.filter(move => move.isKingsideCastle() || move.isQueensideCastle());
+    if (phrase.castle === 'k') candidates = candidates.filter(move => move.isKingsideCastle());
+    if (phrase.castle === 'q') candidates = candidates.filter(move => move.isQueensideCastle());
+    return candidates;
+  }
+
+  if (phrase.piece) {
+    candidates = candidates.filter(move => move.piece === phrase.piece);
+  } else if (phrase.squares.length === 1 && !phrase.files.length && !phrase.capture) {
+    // A bare square is a pawn move, as in notation: "f3" is never Nf3
+    candidates = candidates.filter(move => move.piece === 'p');
+  }
+
+  const [first, second] = phrase.squares;
+  if (second) {
+    candidates = candidates.filter(move => move.from === first && move.to === second);
+  } else if (first) {
+    candidates = candidates.filter(move => move.to === first);
+  }
+
+  // A lone file names where the piece comes from ("e takes d5", "knight b d2");
+  // with no square at all it can only be a pawn's target file
+  if (phrase.files.length) {
+    const [file] = phrase.files;
+    candidates = phrase.squares.length
+      ? candidates.filter(move => move.from[0] === file)
+      : candidates.filter(move => move.piece === 'p' && move.captured && (phrase.files[1] ? move.from[0] === file && move.to[0] === phrase.files[1] : move.from[0] === file));
+  }
+
+  if (phrase.capture) {
+    candidates = candidates.filter(move => move.captured);
+  }
+  if (phrase.promotion) {
+    candidates = candidates.filter(move => move.promotion === phrase.promotion);
+  }
+  if (phrase.check) {
+    candidates = preferWhere(candidates, move => /[+#]$/.test(move.san));
+  }
+
+  return candidates;
+};
+
+/**
+ * Question to ask when several moves fit a phrase
+ * @param {Array<Object>} candidates - chess.js verbose moves
+ * @returns {string}
+ */
+const askWhich = (candidates) => {
+  const targets = new Set(candidates.map(move => `${move.from}${move.to}`));
+  if (targets.size === 1) {
+    return 'Promote to a queen, rook, bishop or knight?';
+  }
+
+  const pieces = new Set(candidates.map(move => move.piece));
+  const to = new Set(candidates.map(move => move.to));
+  if (pieces.size === 1 && to.size === 1) {
+    const froms = [...new Set(candidates.map(move => move.from))];
+    return `Which ${PIECE_NAMES[candidates[0].piece]}: ${froms.slice(0, -1).join(', ')} or ${froms[froms.length - 1]}?`;
+  }
+
+  const sans = [...new Set(candidates.map(move => move.san))];
+  return sans.length > 6
+    ? `That fits ${sans.length} moves. Please say the piece and the square.`
+    : `Did you mean ${sans.slice(0, -1).join(', ')} or ${sans[sans.length - 1]}?`;
+};
+
+/**
+ * Parses a reply to a clarifying question against the moves it asked about.
+ * A square is taken as where the piece comes from, then as its target.
+ */
+const resolveReply = (candidates, phrase) => {
+  let remaining = candidates;
+
+  if (phrase.squares.length) {
+    const [square] = phrase.squares;
+    const bySource = remaining.filter(move => move.from === square);
+    remaining = bySource.length ? bySource : remaining.filter(move => move.to === square);
+  }
+  if (phrase.files.length) {
+    remaining = remaining.filter(move => move.from[0] === phrase.files[0]);
+  }
+  const promotion = phrase.promotion ?? (phrase.piece !== 'p' && phrase.piece !== 'k' ? phrase.piece : null);
+  if (promotion && remaining.some(move => move.promotion)) {
+    remaining = remaining.filter(move => move.promotion === promotion);
+  } else if (phrase.piece) {
+    remaining = remaining.filter(move => move.piece === phrase.piece);
+  }
+
+  return remaining;
+};
+
+/**
+ * Finds the moves typed notation names: SAN ("Nf3", "exd5", "Bb5+") or
+ * long algebraic ("e2e4", "e7e8q"). Case is ignored unless it tells a
+ * bishop from a b-pawn ("Bxc3" or "bxc3").
+ * @param {string} text
+ * @param {Array<Object>} moves - chess.js verbose moves
+ * @returns {Array<Object>} Matching moves, empty when the text isn't notation
+ */
+const matchNotation = (text, moves) => {
+  const notation = text.trim().replace(/[+#!?]+$/, '');
+  if (!notation || /\s/.test(notation)) return [];
+
+  const exact = moves.filter(move => move.san.replace(/[+#]$/, '') === notation);
+  if (exact.length) return exact;
+
+  const lower = notation.toLowerCase();
+  return moves.filter(move => move.san.replace(/[+#]$/, '').toLowerCase() === lower || move.lan === lower);
+};
+
+/**
+ * Finds the legal move a phrase describes. Typed notation is tried first.
+ *
+ * @param {string} text - What was said or typed
+ * @param {string} fen - Current position
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.candidates] - Moves from an earlier 'ambiguous' result,
+ *   to read the text as the answer to its question
+ * @param {boolean} [options.autoQueen] - Promote to a queen when no piece is named
+ * @returns {{status: 'ok', move: Object}
+ *   | {status: 'ambiguous', candidates: Array<Object>, question: string}
+ *   | {status: 'invalid', reason: string}}
+ *   Moves are chess.js verbose moves
+ *
+ * @example
+ * parseSpokenMove('knight to f three', DEFAULT_POSITION);
+ * // { status: 'ok', move: { from: 'g1', to: 'f3', san: 'Nf3', ... } }
+ */
+export const parseSpokenMove = (text, fen, { candidates = null, autoQueen = false } = {}) => {
+  const words = normalizeSpokenMove(text);
+  if (!words.length) {
+    return { status: 'invalid', reason: "I didn't catch a move." };
+  }
+
+  const phrase = readPhrase(words);
+  let matches;
+
+  if (candidates) {
+    matches = resolveReply(candidates, phrase);
+  } else {
+    const legalMoves = new Chess(fen).moves({ verbose: true });
+    matches = matchNotation(text, legalMoves);
+    if (!matches.length) {
+      if (!phrase.castle && !phrase.piece && !phrase.squares.length && !phrase.files.length) {
+        return { status: 'invalid', reason: `"${text}" doesn't sound like a move.` };
+      }
+      matches = filterMoves(legalMoves, phrase);
+    }
+  }
+
+  // Promotions that differ only in the piece
+  if (autoQueen && matches.length > 1 && matches.every(move => move.promotion && move.from === matches[0].from && move.to === matches[0].to)) {
+    matches = matches.filter(move => move.promotion === 'q');
+  }
+
+  if (matches.length === 1) {
+    return { status: 'ok', move: matches[0] };
+  }
+  if (matches.length > 1) {
+    return { status: 'ambiguous', candidates: matches, question: askWhich(matches) };
+  }
+  if (phrase.castle) {
+    return { status: 'invalid', reason: "Castling isn't possible here." };
+  }
+  return { status: 'invalid', reason: `No legal move matches "${text}".` };
+};
@@ -0,0 +1,66 @@
+/**
+ * Engine transport over a WebSocket, for UCI engines relayed by the local
+ * bridge (scripts/uci-bridge.js). Each text frame carries one UCI line in
+ * either direction.
+ */
+
+/**
+ * Connects to an engine through the bridge. Commands sent before the
+ * socket opens are queued, so the engine can be used straight away.
+ * @param {string} url - e.g. "ws://localhost:8765/engines/lc0"
+ * @returns {import('./stockfish-engine.js').EngineTransport}
+ */
+export const createWebSocketTransport = (url) => {
+  if (typeof WebSocket !== 'function') {
+    throw new Error('WebSockets not supported in this environment');
+  }
+
+  const socket = new WebSocket(url);
+  const queued = [];
+  let opened = false;
+  let closing = false;
+  let closedReason = null;
+
+  const fail = (message) => transport.onerror?.({ message: `Bridge: ${message}` });
+
+  const transport = {
+    onmessage: null,
+    onerror: null,
+    postMessage: (line) => {
+      if (socket.readyState === WebSocket.OPEN) socket.send(line);
+      else if (socket.readyState === WebSocket.CONNECTING) queued.push(line);
+      // Commands to a dead engine fail instead of waiting forever; the
+      // engine queues the command after posting it, so report it after that
+      else if (!closing) setTimeout(() => fail(closedReason ?? 'connection closed'));
+    },
+    terminate: () => {
+      closing = true;
+      queued.length = 0;
+      socket.close();
+    }
+  };
+
+  socket.onopen = () => {
+    opened = true;
+    queued.splice(0).forEach(line => socket.send(line));
+  };
+
+  socket.onmessage = (event) => {
+    // The bridge sends a line per frame, but tolerate several
+    String(event.data).split('\n').forEach(line => {
+      const text = line.trimEnd();
+      if (text) transport.onmessage?.({ data: text });
+    });
+  };
+
+  // Browsers say nothing useful about why a connection failed; the close
+  // event that follows carries the bridge's reason if there is one
+  socket.onerror = () => {};
+  socket.onclose = (event) => {
+    if (closing) return;
+    closedReason = event.reason || (opened ? `connection to ${url} lost` : `could not reach ${url}`);
+    fail(closedReason);
+  };
+
+  return transport;
+};
@@ -0,0 +1,106 @@
+/**
+ * Engine transports for Node, so StockfishEngine runs outside the browser.
+ *
+ * The stockfish npm package only starts its engine when it is the main
+ * script of a process (it reads UCI from stdin), so it runs in a child
+ * process just like any local UCI binary does.
+ */
+
+import { spawn } from 'node:child_process';
+import { createRequire } from 'node:module';
+import { StockfishEngine } from '../lib/stockfish-engine.js';
+
+const require = createRequire(import.meta.url);
+
+/**
+ * Builds of the stockfish npm package, by name
+ * @type {Object<string, string>}
+ */
+export const PACKAGE_BUILDS = {
+  lite: 'stockfish/src/stockfish-17.1-lite-single-03e3232.js',
+  full: 'stockfish/src/stockfish-17.1-single-a496a04.js'
+};
+
+/**
+ * Talks UCI to a child process over its stdin and stdout
+ * @param {string} command - Executable to run
+ * @param {Array<string>} [args]
+ * @returns {import('../lib/stockfish-engine.js').EngineTransport}
+ */
+export const createProcessTransport = (command, args = []) => {
+  const child = spawn(command, args, { stdio: ['pipe', 'pipe', 'inherit'] });
+  let terminated = false;
+  const transport = {
+    onmessage: null,
+    onerror: null,
+    postMessage: (line) => {
+      if (child.stdin.writable) child.stdin.write(`${line}\n`);
+    },
+    terminate: () => {
+      terminated = true;
+      child.stdin.end();
+      child.kill();
+    }
+  };
+
+  // Output arrives in chunks that needn't end at a line break
+  let buffered = '';
+  child.stdout.setEncoding('utf8');
+  child.stdout.on('data', (chunk) => {
+    const lines = (buffered + chunk).split('\n');
+    buffered = lines.pop();
+    lines.forEach(line => {
+      const text = line.trimEnd();
+      if (text) transport.onmessage?.({ data: text });
+    });
+  });
+
+  const fail = (message) => transport.onerror?.({ message });
+  child.on('error', (error) => fail(`${command}: ${error.message}`));
+  // Any exit that terminate() didn't ask for is a failure, even a clean one:
+  // whatever the engine was answering would otherwise wait forever
+  child.on('exit', (code, signal) => {
+    if (terminated) return;
+    fail(signal ? `${command} was stopped by ${signal}` : `${command} exited with code ${code}`);
+  });
+  // The engine going away mid-write is reported through 'exit'
+  child.stdin.on('error', () => {});
+
+  return transport;
+};
+
+/**
+ * Command line that runs a build of the stockfish npm package
+ * @param {string} [build] - Key of PACKAGE_BUILDS
+ * @returns {{command: string, args: Array<string>}}
+ */
+export const getPackageCommand = (build = 'lite') => {
+  if (!PACKAGE_BUILDS[build]) {
+    throw new Error(`Unknown stockfish build "${build}" (use ${Object.keys(PACKAGE_BUILDS).join(' or ')})`);
+  }
+  return { command: process.execPath, args: [require.resolve(PACKAGE_BUILDS[build])] };
+};
+
+/**
+ * Runs a build of the stockfish npm package in a Node child process
+ * @param {string} [build] - Key of PACKAGE_BUILDS
+ * @returns {import('../lib/stockfish-engine.js').EngineTransport}
+ */
+export const createPackageTransport = (build = 'lite') => {
+  const { command, args } = getPackageCommand(build);
+  return createProcessTransport(command, args);
+};
+
+/**
+ * Starts an engine for scripts: a local UCI binary when one is given,
+ * otherwise the stockfish npm package
+ * @param {Object} [options]
+ * @param {string} [options.binary] - Path to a UCI engine executable
+ * @param {Array<string>} [options.args] - Arguments for the binary
+ * @param {string} [options.build] - Package build when no binary is given
+ * @returns {StockfishEngine}
+ */
+export const createNodeEngine = ({ binary, args = [], build = 'lite' } = {}) => {
+  const transport = binary ? createProcessTransport(binary, args) : createPackageTransport(build);
+  return new StockfishEngine(transport);
+};